@@ -148,6 +148,89 @@ export function buildPolarSphere(vertSteps = 10, horSteps = 12, radius = 1) {
   return { positions, indices, normals };
 }
 
+// Subdivided icosahedron: evenly spread vertices with no poles or seam, so every vertex is
+// shared by its triangles. Each subdivision splits every triangle into four; vertex count is
+// 10 * 4^subdivisions + 2. Triangles wind counter-clockwise seen from outside.
+export function buildIcosphere(subdivisions = 2, radius = 1) {
+  const t = (1 + Math.sqrt(5)) / 2;
+  const dirs = [
+    [-1, t, 0], [1, t, 0], [-1, -t, 0], [1, -t, 0],
+    [0, -1, t], [0, 1, t], [0, -1, -t], [0, 1, -t],
+    [t, 0, -1], [t, 0, 1], [-t, 0, -1], [-t, 0, 1],
+  ].map(([x, y, z]) => {
+    const len = Math.hypot(x, y, z);
+    return [x / len, y / len, z / len];
+  });
+  let faces = [
+    [0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
+    [1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
+    [3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
+    [4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1],
+  ];
+
+  // Edge midpoints are shared by the two triangles on either side
+  for (let level = 0; level < subdivisions; level++) {
+    const midpoints = new Map();
+    const midpoint = (a, b) => {
+      const key = a < b ? a * 1e7 + b : b * 1e7 + a;
+      let i = midpoints.get(key);
+      if (i === undefined) {
+        const p = dirs[a];
+        const q = dirs[b];
+        const m = [p[0] + q[0], p[1] + q[1], p[2] + q[2]];
+        const len = Math.hypot(m[0], m[1], m[2]);
+        i = dirs.push([m[0] / len, m[1] / len, m[2] / len]) - 1;
+        midpoints.set(key, i);
+      }
+      return i;
+    };
+    const next = [];
+    for (const [a, b, c] of faces) {
+      const ab = midpoint(a, b);
+      const bc = midpoint(b, c);
+      const ca = midpoint(c, a);
+      next.push([a, ab, ca], [b, bc, ab], [c, ca, bc], [ab, bc, ca]);
+    }
+    faces = next;
+  }
+
+  const positions = [];
+  const normals = [];
+  for (const [x, y, z] of dirs) {
+    positions.push(x * radius, y * radius, z * radius);
+    normals.push(x, y, z);
+  }
+  const indices = [];
+  for (const face of faces) indices.push(face[0], face[1], face[2]);
+  return { positions, indices, normals };
+}
+
+// Smooth per-vertex normals: each vertex averages the faces around it, weighted by area.
+export function computeNormals(positions, indices) {
+  const normals = new Array(positions.length).fill(0);
+  for (let i = 0; i < indices.length; i += 3) {
+    const ia = indices[i] * 3;
+    const ib = indices[i + 1] * 3;
+    const ic = indices[i + 2] * 3;
+    const ax = positions[ia], ay = positions[ia + 1], az = positions[ia + 2];
+    const bx = positions[ib], by = positions[ib + 1], bz = positions[ib + 2];
+    const cx = positions[ic], cy = positions[ic + 1], cz = positions[ic + 2];
+    const abx = bx - ax, aby = by - ay, abz = bz - az;
+    const acx = cx - ax, acy = cy - ay, acz = cz - az;
+    const nx = aby * acz - abz * acy;
+    const ny = abz * acx - abx * acz;
+    const nz = abx * acy - aby * acx;
+    normals[ia] += nx; normals[ia + 1] += ny; normals[ia + 2] += nz;
+    normals[ib] += nx; normals[ib + 1] += ny; normals[ib + 2] += nz;
+    normals[ic] += nx; normals[ic + 1] += ny; normals[ic + 2] += nz;
+  }
+  for (let i = 0; i < normals.length; i += 3) {
+    const len = Math.hypot(normals[i], normals[i + 1], normals[i + 2]) || 1;
+    normals[i] /= len; normals[i + 1] /= len; normals[i + 2] /= len;
+  }
+  return normals;
+}
+
 // Simple utilities for extrusion/scale/rotate of flat position arrays.
 export function extrudePositions(positions, dir) {
   const out = positions.slice();
@@ -2,6 +2,7 @@
 import { initWebGL } from "./webgl-init.js";
 import {
   initScene,
+  stepScene,
   updateScene,
   renderScene,
   getCameraState,
@@ -9,13 +10,64 @@ import {
   getOrbCount,
   setOrbCount,
   getOrbiters,
-  setOrbSuperSaiyan,
+  setOrbSuperLevel,
+  getOrbSuperState,
+  setOrbPhysicsMode,
+  getOrbToOrbGravity,
+  setOrbToOrbGravity,
+  getOrbGroupBehavior,
+  setOrbGroupBehavior,
+  getPlayerState,
+  setPlayerControlEnabled,
+  getSceneSeed,
+  setSceneSeed,
+  getSelection,
+  setSelection,
+  getOrbProperties,
+  setOrbProperties,
+  serializeScene,
+  loadScene,
+  getLayout,
+  loadLayout,
+  setLayoutEditMode,
+  setTerrainEnabled,
+  getWind,
+  setWind,
+  getLayoutEditState,
+  addLayoutItem,
+  updateLayoutItem,
+  removeLayoutItem,
+  startRecording,
+  stopRecording,
+  getRecording,
+  getRecordingState,
+  startReplay,
+  stopReplay,
+  getReplayState,
+  setReplayState,
+  isEditableTarget,
 } from "./scene.js";
+import { seedFromUrl } from "./rng.js";
+import { encodeSceneHash, decodeSceneHash } from "./share-link.js";
+import { encodeRecording, decodeRecording } from "./recording.js";
+import { SUPER_LEVELS } from "./super-saiyan.js";
+import {
+  SIM_STEP,
+  MAX_FRAME_TIME,
+  MIN_TIME_SCALE,
+  MAX_TIME_SCALE,
+  advanceClock,
+  togglePause,
+  stepSimulation,
+  setTimeScale,
+  getTimeState,
+} from "./sim-clock.js";
 
 let gl;
-let lastTime = 0;
+let lastTime = null;
 let uiRefs = null;
 let lastOrbList = [];
+let lastSelectionKey = "";
 
 function main() {
   const canvas = document.getElementById("glCanvas");
@@ -26,16 +78,50 @@ function main() {
     return;
   }
 
+  seedFromUrl();
   initScene(gl);
   setupUI();
+  loadStartupFiles();
   requestAnimationFrame(loop);
 }
 
+// ?layout=<url> swaps in another planet layout; a #scene=... snapshot then goes on top (it
+// carries its own layout when it was saved on a different planet).
+async function loadStartupFiles() {
+  await loadLayoutFromUrl();
+  await loadSceneFromHash();
+}
+
+async function loadLayoutFromUrl() {
+  const src = new URLSearchParams(window.location.search).get("layout");
+  if (!src) return;
+  try {
+    const response = await fetch(src);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    if (loadLayout(await response.text())) syncAfterSceneLoad();
+  } catch (err) {
+    console.error(`Could not load the layout ${src}:`, err);
+  }
+}
+
+// A #scene=... link restores the shared snapshot over the freshly seeded world.
+async function loadSceneFromHash() {
+  const json = await decodeSceneHash();
+  if (json && loadScene(json)) syncAfterSceneLoad();
+}
+
 function loop(time) {
-  const deltaTime = (time - lastTime) / 1000.0;
+  if (lastTime === null) lastTime = time; // first frame: no elapsed time yet
+  // Clamped like the clock's own input, so camera motion does not jump after a stall either
+  const frameTime = Math.min(Math.max((time - lastTime) / 1000.0, 0), MAX_FRAME_TIME);
   lastTime = time;
 
-  updateScene(gl, deltaTime);
+  // The simulation advances in fixed ticks; rendering interpolates between the last two.
+  const { ticks, alpha } = advanceClock(frameTime);
+  for (let i = 0; i < ticks; i++) stepScene(SIM_STEP);
+
+  // Camera input uses wall-clock time so it stays responsive while paused or slowed down
+  updateScene(gl, frameTime, alpha);
   renderScene(gl);
   syncUI();
 
@@ -48,14 +134,26 @@ function setupUI() {
   const theta = document.getElementById("theta");
   const phi = document.getElementById("phi");
   const zoom = document.getElementById("zoom");
+  const cameraMode = document.getElementById("cameraMode");
   const spriteCount = document.getElementById("spriteCount");
   const orbSelect = document.getElementById("orbSelect");
-  const superToggle = document.getElementById("superToggle");
+  const superLevel = document.getElementById("superLevel");
+  const superRevert = document.getElementById("superRevert");
+  const superStatus = document.getElementById("superStatus");
+  const orbPhysics = document.getElementById("orbPhysics");
+  const orbGravityToggle = document.getElementById("orbGravityToggle");
+  const orbBehavior = document.getElementById("orbBehavior");
+  const orbLeaderApply = document.getElementById("orbLeaderApply");
+  const orbLeaderName = document.getElementById("orbLeaderName");
+  const playerToggle = document.getElementById("playerToggle");
+  const seedInput = document.getElementById("seedInput");
+  const seedApply = document.getElementById("seedApply");
+  const selectionName = document.getElementById("selectionName");
   const thetaVal = document.getElementById("thetaVal");
   const phiVal = document.getElementById("phiVal");
   const zoomVal = document.getElementById("zoomVal");
 
-  if (!theta || !phi || !zoom || !spriteCount || !orbSelect || !superToggle) return;
+  if (!theta || !phi || !zoom || !spriteCount || !orbSelect || !superLevel) return;
 
   const applyCameraFromInputs = () => {
     setCameraState({
@@ -69,6 +167,19 @@ function setupUI() {
   phi.addEventListener("input", applyCameraFromInputs);
   zoom.addEventListener("input", applyCameraFromInputs);
 
+  const applyCameraMode = () => {
+    if (!cameraMode) return;
+    if (cameraMode.value === "orbit" || cameraMode.value === "free") {
+      setCameraState({ mode: cameraMode.value });
+      return;
+    }
+    const id = parseInt(orbSelect.value, 10);
+    const followTarget =
+      cameraMode.value === "orb" && Number.isFinite(id) ? { kind: "orb", id } : { kind: "player" };
+    setCameraState({ mode: "follow", followTarget });
+  };
+  if (cameraMode) cameraMode.addEventListener("change", applyCameraMode);
+
   spriteCount.addEventListener("change", () => {
     const n = parseInt(spriteCount.value, 10);
     setOrbCount(Number.isFinite(n) ? n : 1);
@@ -78,19 +189,558 @@ function setupUI() {
   setOrbCount(parseInt(spriteCount.value, 10) || getOrbCount());
 
   orbSelect.addEventListener("change", () => {
-    syncOrbSelection(orbSelect, superToggle);
+    const id = parseInt(orbSelect.value, 10);
+    if (Number.isFinite(id)) setSelection({ kind: "orb", id });
+    syncOrbSelection(orbSelect, superLevel, orbPhysics, superStatus);
+    if (cameraMode && cameraMode.value === "orb") applyCameraMode();
+  });
+  SUPER_LEVELS.forEach((level, i) => {
+    const opt = document.createElement("option");
+    opt.value = i;
+    opt.textContent = level.name;
+    superLevel.appendChild(opt);
   });
-  superToggle.addEventListener("change", () => {
+  superLevel.addEventListener("change", () => {
     const id = parseInt(orbSelect.value, 10);
     if (!Number.isFinite(id)) return;
-    setOrbSuperSaiyan(id, superToggle.checked);
+    const revertAfter = superRevert ? parseFloat(superRevert.value) : 0;
+    setOrbSuperLevel(id, parseInt(superLevel.value, 10), { revertAfter });
   });
+  if (orbPhysics) {
+    orbPhysics.addEventListener("change", () => {
+      const id = parseInt(orbSelect.value, 10);
+      if (!Number.isFinite(id)) return;
+      setOrbPhysicsMode(id, orbPhysics.value);
+    });
+  }
+  if (orbGravityToggle) {
+    orbGravityToggle.addEventListener("change", () => setOrbToOrbGravity(orbGravityToggle.checked));
+  }
+  if (orbBehavior) {
+    orbBehavior.addEventListener("change", () => setOrbGroupBehavior({ mode: orbBehavior.value }));
+  }
+  if (orbLeaderApply) {
+    orbLeaderApply.addEventListener("click", () => {
+      const id = parseInt(orbSelect.value, 10);
+      if (Number.isFinite(id)) setOrbGroupBehavior({ leaderId: id });
+    });
+  }
+
+  if (seedInput && seedApply) {
+    seedInput.value = getSceneSeed();
+    seedApply.addEventListener("click", () => {
+      const value = seedInput.value.trim();
+      if (!value) return;
+      setSceneSeed(value);
+      // Keep the seed in the URL so a reload or shared link reproduces this world
+      const url = new URL(window.location.href);
+      url.searchParams.set("seed", value);
+      url.hash = ""; // a stale #scene= snapshot would override the new seed on reload
+      window.history.replaceState(null, "", url);
+    });
+  }
+
+  if (playerToggle) {
+    playerToggle.addEventListener("change", () => {
+      setPlayerControlEnabled(playerToggle.checked);
+      playerToggle.blur(); // keep Space from re-toggling the checkbox
+    });
+  }
+
+  setupSceneFiles();
+  setupLayoutFiles();
 
-  uiRefs = { theta, phi, zoom, spriteCount, thetaVal, phiVal, zoomVal, orbSelect, superToggle };
+  uiRefs = {
+    theta,
+    phi,
+    zoom,
+    cameraMode,
+    spriteCount,
+    thetaVal,
+    phiVal,
+    zoomVal,
+    orbSelect,
+    superLevel,
+    superStatus,
+    orbPhysics,
+    orbGravityToggle,
+    orbBehavior,
+    orbLeaderName,
+    playerToggle,
+    selectionName,
+    inspector: setupOrbInspector(orbSelect),
+    time: setupTimeControls(),
+    replay: setupReplayControls(),
+    layoutEditor: setupLayoutEditor(),
+    wind: setupWindControls(),
+  };
   rebuildOrbSelect(orbSelect);
   syncUI();
 }
 
+// Save/open buttons for scene files and a button that puts a compact snapshot in the URL hash.
+function setupSceneFiles() {
+  const saveButton = document.getElementById("sceneSave");
+  const openButton = document.getElementById("sceneOpen");
+  const fileInput = document.getElementById("sceneFile");
+  const linkButton = document.getElementById("sceneLink");
+
+  if (saveButton) {
+    saveButton.addEventListener("click", () => {
+      const blob = new Blob([serializeScene()], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `scene-${getSceneSeed()}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+    });
+  }
+  if (openButton && fileInput) {
+    openButton.addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", async () => {
+      const file = fileInput.files && fileInput.files[0];
+      fileInput.value = ""; // picking the same file again should load it again
+      if (!file) return;
+      if (loadScene(await file.text())) syncAfterSceneLoad();
+      else alert("That file is not a scene this version can open.");
+    });
+  }
+  if (linkButton) {
+    linkButton.addEventListener("click", async () => {
+      const url = new URL(window.location.href);
+      url.hash = await encodeSceneHash(serializeScene({ compact: true }));
+      window.history.replaceState(null, "", url);
+      if (navigator.clipboard) navigator.clipboard.writeText(url.href).catch(() => {});
+    });
+  }
+}
+
+// Save/open buttons for planet layout files (see planet-layout.js for the format).
+function setupLayoutFiles() {
+  const saveButton = document.getElementById("layoutSave");
+  const openButton = document.getElementById("layoutOpen");
+  const fileInput = document.getElementById("layoutFile");
+
+  if (saveButton) {
+    saveButton.addEventListener("click", () => {
+      const blob = new Blob([JSON.stringify(getLayout(), null, 2)], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = "layout.json";
+      a.click();
+      URL.revokeObjectURL(url);
+    });
+  }
+  if (openButton && fileInput) {
+    openButton.addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", async () => {
+      const file = fileInput.files && fileInput.files[0];
+      fileInput.value = ""; // picking the same file again should load it again
+      if (!file) return;
+      if (loadLayout(await file.text())) syncAfterSceneLoad();
+      else alert("That file is not a planet layout this version can open.");
+    });
+  }
+  const layoutName = document.getElementById("layoutName");
+  if (layoutName) layoutName.textContent = getLayout().name;
+  const terrainToggle = document.getElementById("terrainToggle");
+  if (terrainToggle) {
+    terrainToggle.checked = !!getLayout().planet.terrain;
+    terrainToggle.addEventListener("change", () => setTerrainEnabled(terrainToggle.checked));
+  }
+}
+
+// Edit-mode toggle, a palette that drops props and trees in the middle of the view, and yaw,
+// scale, tree species and delete for the clicked item. Layout Save exports the result.
+function setupLayoutEditor() {
+  const refs = {
+    edit: document.getElementById("layoutEdit"),
+    itemName: document.getElementById("layoutItemName"),
+    yaw: document.getElementById("layoutYaw"),
+    yawVal: document.getElementById("layoutYawVal"),
+    scale: document.getElementById("layoutScale"),
+    scaleVal: document.getElementById("layoutScaleVal"),
+    species: document.getElementById("layoutSpecies"),
+    remove: document.getElementById("layoutDelete"),
+    warnings: document.getElementById("layoutWarnings"),
+    lastWarnings: "",
+  };
+  const palette = { house: "layoutAddHouse", garage: "layoutAddGarage", fountain: "layoutAddFountain", tree: "layoutAddTree" };
+  const selectedId = () => getLayoutEditState().item?.id;
+
+  if (refs.edit) refs.edit.addEventListener("change", () => setLayoutEditMode(refs.edit.checked));
+  for (const [type, id] of Object.entries(palette)) {
+    const button = document.getElementById(id);
+    if (!button) continue;
+    button.addEventListener("click", () => {
+      setLayoutEditMode(true);
+      addLayoutItem(type);
+    });
+  }
+  if (refs.yaw) {
+    refs.yaw.addEventListener("input", () => {
+      const id = selectedId();
+      if (id) updateLayoutItem(id, { yaw: (parseFloat(refs.yaw.value) * Math.PI) / 180 });
+    });
+  }
+  if (refs.scale) {
+    refs.scale.addEventListener("input", () => {
+      const id = selectedId();
+      if (id) updateLayoutItem(id, { scale: parseFloat(refs.scale.value) });
+    });
+  }
+  if (refs.species) {
+    refs.species.addEventListener("change", () => {
+      const id = selectedId();
+      if (id) updateLayoutItem(id, { species: refs.species.value });
+    });
+  }
+  if (refs.remove) {
+    refs.remove.addEventListener("click", () => {
+      const id = selectedId();
+      if (id) removeLayoutItem(id);
+    });
+  }
+  return refs;
+}
+
+function syncLayoutEditor(refs) {
+  if (!refs) return;
+  const state = getLayoutEditState();
+  const item = state.item;
+  if (refs.edit) refs.edit.checked = state.enabled;
+  if (refs.itemName) refs.itemName.textContent = item ? item.name : "None";
+  for (const el of [refs.yaw, refs.scale, refs.remove]) if (el) el.disabled = !item;
+  if (refs.species) refs.species.disabled = !item?.species;
+  if (item) {
+    const yawDeg = Math.round((item.yaw * 180) / Math.PI);
+    if (refs.yaw && document.activeElement !== refs.yaw) refs.yaw.value = yawDeg;
+    if (refs.scale && document.activeElement !== refs.scale) refs.scale.value = item.scale;
+    if (refs.yawVal) refs.yawVal.textContent = `${yawDeg}°`;
+    if (refs.scaleVal) refs.scaleVal.textContent = item.scale.toFixed(2);
+    if (refs.species && item.species && document.activeElement !== refs.species) refs.species.value = item.species;
+  } else {
+    if (refs.yawVal) refs.yawVal.textContent = "";
+    if (refs.scaleVal) refs.scaleVal.textContent = "";
+  }
+  // Rebuild the warning list only when it changed
+  const text = state.overlaps.map((o) => o.message).join("\n");
+  if (refs.warnings && text !== refs.lastWarnings) {
+    refs.lastWarnings = text;
+    refs.warnings.textContent = text ? `Overlaps:\n${text}` : "";
+  }
+}
+
+// Inputs that syncUI leaves alone (they only push values into the scene).
+function syncAfterSceneLoad() {
+  const spriteCount = document.getElementById("spriteCount");
+  const seedInput = document.getElementById("seedInput");
+  const layoutName = document.getElementById("layoutName");
+  if (spriteCount) spriteCount.value = getOrbCount();
+  if (seedInput) seedInput.value = getSceneSeed();
+  if (layoutName) layoutName.textContent = getLayout().name;
+  const terrainToggle = document.getElementById("terrainToggle");
+  if (terrainToggle) terrainToggle.checked = !!getLayout().planet.terrain;
+}
+
+// Wind speed (0 calm to 1 strong) and the heading it blows toward, in degrees from east.
+function setupWindControls() {
+  const refs = {
+    speed: document.getElementById("windSpeed"),
+    speedVal: document.getElementById("windSpeedVal"),
+    direction: document.getElementById("windDirection"),
+    directionVal: document.getElementById("windDirectionVal"),
+  };
+  if (refs.speed) {
+    refs.speed.addEventListener("input", () => setWind({ speed: parseFloat(refs.speed.value) }));
+  }
+  if (refs.direction) {
+    refs.direction.addEventListener("input", () => {
+      setWind({ direction: (parseFloat(refs.direction.value) * Math.PI) / 180 });
+    });
+  }
+  return refs;
+}
+
+function syncWindControls(refs) {
+  if (!refs) return;
+  const wind = getWind();
+  const deg = Math.round((wind.direction * 180) / Math.PI) % 360;
+  if (refs.speed && document.activeElement !== refs.speed) refs.speed.value = wind.speed;
+  if (refs.direction && document.activeElement !== refs.direction) refs.direction.value = deg;
+  if (refs.speedVal) refs.speedVal.textContent = wind.speed.toFixed(2);
+  if (refs.directionVal) refs.directionVal.textContent = `${deg}°`;
+}
+
+// Pause/step buttons plus a log-scale speed slider (0.05x–8x); P, "." and [ / ] as shortcuts.
+function setupTimeControls() {
+  const pauseButton = document.getElementById("pauseButton");
+  const stepButton = document.getElementById("stepButton");
+  const timeScale = document.getElementById("timeScale");
+  const timeScaleVal = document.getElementById("timeScaleVal");
+
+  if (timeScale) {
+    timeScale.min = Math.log2(MIN_TIME_SCALE).toFixed(2);
+    timeScale.max = Math.log2(MAX_TIME_SCALE).toFixed(2);
+    timeScale.value = "0";
+    timeScale.addEventListener("input", () => {
+      setTimeScale(Math.pow(2, parseFloat(timeScale.value)));
+    });
+  }
+  if (pauseButton) pauseButton.addEventListener("click", () => togglePause());
+  if (stepButton) stepButton.addEventListener("click", () => stepSimulation());
+
+  window.addEventListener("keydown", (event) => {
+    if (isEditableTarget(event.target)) return;
+    switch (event.key) {
+      case "p":
+      case "P":
+        togglePause();
+        break;
+      case ".":
+        stepSimulation();
+        break;
+      case "[":
+        setTimeScale(getTimeState().timeScale / 2);
+        break;
+      case "]":
+        setTimeScale(getTimeState().timeScale * 2);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return { pauseButton, stepButton, timeScale, timeScaleVal };
+}
+
+// Record / replay buttons, the timeline scrubber, replay speed (log scale), loop region and
+// recording export / import.
+function setupReplayControls() {
+  const refs = {
+    record: document.getElementById("recordButton"),
+    replay: document.getElementById("replayButton"),
+    play: document.getElementById("replayPlay"),
+    timeline: document.getElementById("replayTimeline"),
+    timeVal: document.getElementById("replayTimeVal"),
+    speed: document.getElementById("replaySpeed"),
+    speedVal: document.getElementById("replaySpeedVal"),
+    loop: document.getElementById("replayLoop"),
+    loopVal: document.getElementById("replayLoopVal"),
+    loopStart: document.getElementById("replayLoopStart"),
+    loopEnd: document.getElementById("replayLoopEnd"),
+    camera: document.getElementById("replayCamera"),
+    exportButton: document.getElementById("recordingExport"),
+    importButton: document.getElementById("recordingImport"),
+    file: document.getElementById("recordingFile"),
+  };
+
+  // Replay options picked before a replay starts apply as soon as it does
+  const applyOptions = () =>
+    setReplayState({
+      speed: refs.speed ? Math.pow(2, parseFloat(refs.speed.value)) : 1,
+      loop: refs.loop ? refs.loop.checked : false,
+      recordedCamera: refs.camera ? refs.camera.checked : true,
+    });
+  const beginReplay = (rec) => {
+    if (!startReplay(rec)) return false;
+    applyOptions();
+    return true;
+  };
+
+  if (refs.record) {
+    refs.record.addEventListener("click", () => {
+      if (getRecordingState().recording) stopRecording();
+      else startRecording();
+    });
+  }
+  if (refs.replay) {
+    refs.replay.addEventListener("click", () => {
+      if (getReplayState()) stopReplay();
+      else beginReplay();
+    });
+  }
+  if (refs.play) {
+    refs.play.addEventListener("click", () => {
+      const state = getReplayState();
+      if (state) setReplayState({ playing: !state.playing });
+    });
+  }
+  if (refs.timeline) {
+    refs.timeline.addEventListener("input", () => setReplayState({ frame: parseInt(refs.timeline.value, 10) }));
+  }
+  if (refs.speed) refs.speed.addEventListener("input", applyOptions);
+  if (refs.loop) refs.loop.addEventListener("change", applyOptions);
+  if (refs.camera) refs.camera.addEventListener("change", applyOptions);
+  if (refs.loopStart) {
+    refs.loopStart.addEventListener("click", () => {
+      const state = getReplayState();
+      if (state) setReplayState({ loopStart: state.frame, loop: true });
+    });
+  }
+  if (refs.loopEnd) {
+    refs.loopEnd.addEventListener("click", () => {
+      const state = getReplayState();
+      if (state) setReplayState({ loopEnd: state.frame, loop: true });
+    });
+  }
+  if (refs.exportButton) {
+    refs.exportButton.addEventListener("click", () => {
+      const rec = getRecording();
+      if (!rec) return;
+      const url = URL.createObjectURL(new Blob([encodeRecording(rec)], { type: "application/octet-stream" }));
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `session-${getSceneSeed()}.kkrec`;
+      a.click();
+      URL.revokeObjectURL(url);
+    });
+  }
+  if (refs.importButton && refs.file) {
+    refs.importButton.addEventListener("click", () => refs.file.click());
+    refs.file.addEventListener("change", async () => {
+      const file = refs.file.files && refs.file.files[0];
+      refs.file.value = "";
+      if (!file) return;
+      const rec = decodeRecording(await file.arrayBuffer());
+      if (!rec || !beginReplay(rec)) alert("That file is not a recording this version can open.");
+    });
+  }
+
+  return refs;
+}
+
+function syncReplayControls(refs) {
+  if (!refs) return;
+  const recording = getRecordingState();
+  const replay = getReplayState();
+  if (refs.record) {
+    refs.record.textContent = recording.recording ? `Stop (${recording.duration.toFixed(1)}s)` : "Record";
+    refs.record.disabled = !!replay;
+  }
+  if (refs.replay) {
+    refs.replay.textContent = replay ? "Exit replay" : "Replay";
+    refs.replay.disabled = !replay && (recording.recording || !recording.frames);
+  }
+  if (refs.exportButton) refs.exportButton.disabled = recording.recording || !getRecording();
+  if (refs.play) {
+    refs.play.textContent = replay && !replay.playing ? "Play" : "Pause";
+    refs.play.disabled = !replay;
+  }
+  if (refs.timeline) {
+    refs.timeline.disabled = !replay;
+    refs.timeline.max = replay ? replay.frames - 1 : 0;
+    if (replay && document.activeElement !== refs.timeline) refs.timeline.value = replay.frame;
+  }
+  if (refs.timeVal) {
+    refs.timeVal.textContent = replay ? `${replay.time.toFixed(1)} / ${replay.duration.toFixed(1)}s` : "";
+  }
+  if (refs.speedVal && refs.speed) refs.speedVal.textContent = `${Math.pow(2, parseFloat(refs.speed.value)).toFixed(2)}x`;
+  if (refs.loopVal) {
+    const step = replay ? replay.duration / replay.frames : 0;
+    refs.loopVal.textContent = replay
+      ? ` ${(replay.loopStart * step).toFixed(1)}–${(replay.loopEnd * step).toFixed(1)}s`
+      : "";
+  }
+  if (replay && refs.loop) refs.loop.checked = replay.loop;
+  if (refs.loopStart) refs.loopStart.disabled = !replay;
+  if (refs.loopEnd) refs.loopEnd.disabled = !replay;
+}
+
+// Property editor for the orb chosen in orbSelect; each field patches just its own property.
+function setupOrbInspector(orbSelect) {
+  const refs = {
+    name: document.getElementById("orbName"),
+    color: document.getElementById("orbColor"),
+    size: document.getElementById("orbSize"),
+    sizeVal: document.getElementById("orbSizeVal"),
+    trail: document.getElementById("orbTrail"),
+    trailVal: document.getElementById("orbTrailVal"),
+    speedMin: document.getElementById("orbSpeedMin"),
+    speedMax: document.getElementById("orbSpeedMax"),
+    radiusMin: document.getElementById("orbRadiusMin"),
+    radiusMax: document.getElementById("orbRadiusMax"),
+    heightMin: document.getElementById("orbHeightMin"),
+    heightMax: document.getElementById("orbHeightMax"),
+    teleport: document.getElementById("orbTeleport"),
+  };
+
+  const patchSelected = (patch) => {
+    const id = parseInt(orbSelect.value, 10);
+    if (Number.isFinite(id)) setOrbProperties(id, patch);
+  };
+  const onNumber = (el, key, event = "change") => {
+    if (!el) return;
+    el.addEventListener(event, () => {
+      const value = parseFloat(el.value);
+      if (Number.isFinite(value)) patchSelected({ [key]: value });
+    });
+  };
+
+  if (refs.name) {
+    refs.name.addEventListener("change", () => patchSelected({ name: refs.name.value }));
+  }
+  if (refs.color) refs.color.addEventListener("input", () => patchSelected({ color: hexToRgb(refs.color.value) }));
+  onNumber(refs.size, "size", "input");
+  onNumber(refs.trail, "trailMax", "input");
+  onNumber(refs.speedMin, "speedMin");
+  onNumber(refs.speedMax, "speedMax");
+  onNumber(refs.radiusMin, "radiusMin");
+  onNumber(refs.radiusMax, "radiusMax");
+  onNumber(refs.heightMin, "heightMin");
+  onNumber(refs.heightMax, "heightMax");
+  if (refs.teleport) refs.teleport.addEventListener("change", () => patchSelected({ canTeleport: refs.teleport.checked }));
+
+  return refs;
+}
+
+function syncOrbInspector(refs, id) {
+  if (!refs) return;
+  const props = getOrbProperties(id);
+  if (!props) return;
+  // Leave whatever the user is editing alone
+  const set = (el, value) => {
+    if (el && document.activeElement !== el) el.value = value;
+  };
+  set(refs.name, props.name);
+  set(refs.color, rgbToHex(props.color));
+  set(refs.size, props.size);
+  set(refs.trail, props.trailMax);
+  set(refs.speedMin, props.speedMin.toFixed(2));
+  set(refs.speedMax, props.speedMax.toFixed(2));
+  set(refs.radiusMin, props.radiusMin.toFixed(2));
+  set(refs.radiusMax, props.radiusMax.toFixed(2));
+  set(refs.heightMin, props.heightMin.toFixed(2));
+  set(refs.heightMax, props.heightMax.toFixed(2));
+  if (refs.teleport) refs.teleport.checked = props.canTeleport;
+  if (refs.sizeVal) refs.sizeVal.textContent = props.size.toFixed(3);
+  if (refs.trailVal) refs.trailVal.textContent = String(props.trailMax);
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255];
+}
+
+function rgbToHex(rgb) {
+  return `#${rgb.map((c) => Math.round(c * 255).toString(16).padStart(2, "0")).join("")}`;
+}
+
+function syncTimeControls(refs) {
+  if (!refs) return;
+  const state = getTimeState();
+  if (refs.pauseButton) refs.pauseButton.textContent = state.paused ? "Resume" : "Pause";
+  if (refs.timeScale && document.activeElement !== refs.timeScale) {
+    refs.timeScale.value = Math.log2(state.timeScale).toFixed(2);
+  }
+  if (refs.timeScaleVal) {
+    const label = state.timeScale < 1 ? state.timeScale.toFixed(2) : state.timeScale.toFixed(1);
+    refs.timeScaleVal.textContent = `${label}x${state.paused ? " (paused)" : ""}`;
+  }
+}
+
 function syncUI() {
   if (!uiRefs) return;
   const cam = getCameraState();
@@ -101,14 +751,41 @@ function syncUI() {
   if (uiRefs.thetaVal) uiRefs.thetaVal.textContent = `${deg(cam.theta)}°`;
   if (uiRefs.phiVal) uiRefs.phiVal.textContent = `${deg(cam.phi)}°`;
   if (uiRefs.zoomVal) uiRefs.zoomVal.textContent = cam.radius.toFixed(2);
+  if (uiRefs.cameraMode) {
+    uiRefs.cameraMode.value = cam.mode === "follow" ? cam.followTarget.kind : cam.mode;
+  }
   rebuildOrbSelect(uiRefs.orbSelect);
-  syncOrbSelection(uiRefs.orbSelect, uiRefs.superToggle);
+  syncPickedSelection(uiRefs);
+  syncOrbSelection(uiRefs.orbSelect, uiRefs.superLevel, uiRefs.orbPhysics, uiRefs.superStatus);
+  syncOrbInspector(uiRefs.inspector, parseInt(uiRefs.orbSelect.value, 10));
+  if (uiRefs.orbGravityToggle) uiRefs.orbGravityToggle.checked = getOrbToOrbGravity();
+  syncGroupBehavior(uiRefs);
+  syncTimeControls(uiRefs.time);
+  syncReplayControls(uiRefs.replay);
+  syncLayoutEditor(uiRefs.layoutEditor);
+  syncWindControls(uiRefs.wind);
+  const playerState = getPlayerState();
+  if (uiRefs.playerToggle && playerState) uiRefs.playerToggle.checked = playerState.controlEnabled;
+}
+
+function syncGroupBehavior(refs) {
+  const behavior = getOrbGroupBehavior();
+  if (refs.orbBehavior && document.activeElement !== refs.orbBehavior) {
+    refs.orbBehavior.value = behavior.mode;
+  }
+  if (refs.orbLeaderName) {
+    const leader = lastOrbList.find((o) => o.id === behavior.leaderId);
+    refs.orbLeaderName.textContent = behavior.mode === "flock" ? "—" : leader ? leader.name : "None";
+  }
 }
 
 function rebuildOrbSelect(selectEl) {
   if (!selectEl) return;
   const orbs = getOrbiters();
-  if (orbs.length === lastOrbList.length && orbs.every((o, i) => o.id === lastOrbList[i]?.id)) {
+  if (
+    orbs.length === lastOrbList.length &&
+    orbs.every((o, i) => o.id === lastOrbList[i]?.id && o.name === lastOrbList[i]?.name)
+  ) {
     return; // no change
   }
   lastOrbList = orbs;
@@ -124,10 +801,32 @@ function rebuildOrbSelect(selectEl) {
   if (first !== undefined) selectEl.value = first;
 }
 
-function syncOrbSelection(selectEl, superToggle) {
-  if (!selectEl || !superToggle) return;
+// A click in the viewport picked something new: point the panel (and an orb follow camera) at it.
+function syncPickedSelection(refs) {
+  const selection = getSelection();
+  const key = selection ? `${selection.kind}:${selection.id ?? ""}` : "";
+  if (refs.selectionName) refs.selectionName.textContent = selection ? selection.name : "None";
+  if (key === lastSelectionKey) return;
+  lastSelectionKey = key;
+  if (selection?.kind !== "orb") return;
+  refs.orbSelect.value = String(selection.id);
+  const cam = getCameraState();
+  if (cam.mode === "follow" && cam.followTarget.kind === "orb" && cam.followTarget.id !== selection.id) {
+    setCameraState({ followTarget: { kind: "orb", id: selection.id } });
+  }
+}
+
+function syncOrbSelection(selectEl, superLevel, physicsSelect, superStatus) {
+  if (!selectEl || !superLevel) return;
   const id = parseInt(selectEl.value, 10);
-  const orb = getOrbiters().find((o) => o.id === id);
+  const orb = getOrbProperties(id);
   if (!orb) return;
-  superToggle.checked = !!orb.isSuper;
+  const transform = getOrbSuperState(id);
+  if (document.activeElement !== superLevel) superLevel.value = String(transform.targetLevel);
+  if (superStatus) {
+    if (transform.poweringUp) superStatus.textContent = `Powering up ${Math.round(transform.progress * 100)}%`;
+    else if (transform.revertIn > 0) superStatus.textContent = `Reverts in ${Math.ceil(transform.revertIn)}s`;
+    else superStatus.textContent = "";
+  }
+  if (physicsSelect) physicsSelect.value = orb.physicsMode;
 }
@@ -0,0 +1,292 @@
+// orb-groups.js
+// Group behaviors for orbs on the orbit shell: boids flocking, follow-the-leader chains and
+// fixed ring / V formations around a leader. Agents are plain { position, velocity } objects
+// with [x, y, z] arrays; simulation.js blends these positions with each orb's free flight.
+
+import { createSpatialHash, rebuildSpatialHash, forEachPairWithin } from "./spatial-hash.js";
+
+export const GROUP_MODES = ["none", "flock", "chain", "ring", "v"];
+
+const CRUISE_SPEED = 1.0; // units/sec along the shell
+const MAX_SPEED = 1.8;
+const CATCH_UP_SPEED = 1.5; // followers may outrun the leader by this much to reach their slot
+const MAX_ACCEL = 12.0;
+const STEER_GAIN = 4.0; // how hard velocity tracks the desired velocity
+const ARRIVE_GAIN = 3.0; // desired closing speed per unit of distance to a formation slot
+const RADIAL_SPRING = 2.0; // pull toward the middle of the radius band
+
+// Flocking neighborhood
+const FLOCK_VIEW_DIST = 0.6;
+const FLOCK_SEPARATION_DIST = 0.26;
+const SEPARATION_WEIGHT = 2.5;
+const ALIGNMENT_WEIGHT = 1.0;
+const COHESION_WEIGHT = 0.8;
+
+// Formation geometry
+const CHAIN_SPACING = 0.22;
+const V_SPACING = 0.2;
+const RING_MIN_RADIUS = 0.28;
+const V_SLANT = Math.hypot(1, 0.75); // wing slot distance per unit of V_SPACING back
+// Widest a formation opens, as an angle from the leader seen from the planet center: a ring
+// at this angle is a great circle. Larger groups pack their slots closer instead.
+const MAX_FORMATION_ANGLE = Math.PI / 2;
+
+const flockGrid = createSpatialHash(FLOCK_VIEW_DIST);
+let flockCoords = new Float64Array(0); // agent positions packed for the grid, reused per tick
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0],
+  ];
+}
+
+// Math.hypot is several times slower, and this runs per agent every tick
+function length(v) {
+  return Math.sqrt(dot(v, v));
+}
+
+function normalize(v) {
+  const len = length(v) || 1;
+  return [v[0] / len, v[1] / len, v[2] / len];
+}
+
+function projectOnPlane(v, n) {
+  const d = dot(v, n);
+  return [v[0] - n[0] * d, v[1] - n[1] * d, v[2] - n[2] * d];
+}
+
+function clampLength(v, max) {
+  const len = length(v);
+  if (len <= max || len === 0) return v;
+  const s = max / len;
+  return [v[0] * s, v[1] * s, v[2] * s];
+}
+
+// Tangent frame at a point on the shell: up = outward normal, forward = heading, side = right.
+// Without a heading, forward comes from a fixed world axis so the frame only moves with the point.
+function shellFrame(position, heading) {
+  const up = normalize(position);
+  let forward = heading ? projectOnPlane(heading, up) : [0, 0, 0];
+  if (Math.hypot(forward[0], forward[1], forward[2]) < 1e-4) {
+    const ref = Math.abs(up[1]) > 0.9 ? [1, 0, 0] : [0, 1, 0];
+    forward = cross(ref, up);
+  }
+  forward = normalize(forward);
+  return { up, forward, side: normalize(cross(forward, up)) };
+}
+
+// Offset a point along the tangent plane, then wrap it back onto a sphere of the given radius.
+function onShell(origin, offset, radius) {
+  return normalize([origin[0] + offset[0], origin[1] + offset[1], origin[2] + offset[2]]).map(
+    (c) => c * radius
+  );
+}
+
+// The point `angle` radians from `up` toward the unit tangent `dir`, on a sphere of `radius`.
+function alongShell(up, dir, angle, radius) {
+  const c = Math.cos(angle) * radius;
+  const s = Math.sin(angle) * radius;
+  return [up[0] * c + dir[0] * s, up[1] * c + dir[1] * s, up[2] * c + dir[2] * s];
+}
+
+// Slot positions for ring / V formations around the leader, one per follower. Slots are spaced
+// by arc length along the shell, and the formation never opens wider than MAX_FORMATION_ANGLE.
+export function formationTargets(mode, leader, count) {
+  // A ring is symmetric, so it ignores heading; otherwise every leader U-turn would spin it 180°
+  const { up, forward, side } = shellFrame(
+    leader.position,
+    mode === "ring" ? null : leader.velocity
+  );
+  const radius = Math.hypot(leader.position[0], leader.position[1], leader.position[2]);
+  const targets = [];
+  if (mode === "ring") {
+    const ringRadius = Math.max(RING_MIN_RADIUS, (count * CHAIN_SPACING) / (Math.PI * 2));
+    const angle = Math.min(MAX_FORMATION_ANGLE, ringRadius / radius);
+    for (let k = 0; k < count; k++) {
+      const a = (k / count) * Math.PI * 2;
+      const c = Math.cos(a);
+      const s = Math.sin(a);
+      const dir = [
+        side[0] * c + forward[0] * s,
+        side[1] * c + forward[1] * s,
+        side[2] * c + forward[2] * s,
+      ];
+      targets.push(alongShell(up, dir, angle, radius));
+    }
+  } else if (mode === "v") {
+    const ranks = Math.ceil(count / 2);
+    const step = Math.min((V_SPACING * V_SLANT) / radius, MAX_FORMATION_ANGLE / ranks);
+    const wings = [-1, 1].map((wing) =>
+      normalize([
+        -forward[0] + side[0] * wing * 0.75,
+        -forward[1] + side[1] * wing * 0.75,
+        -forward[2] + side[2] * wing * 0.75,
+      ])
+    );
+    for (let k = 0; k < count; k++) {
+      const rank = Math.floor(k / 2) + 1;
+      targets.push(alongShell(up, wings[k % 2], rank * step, radius));
+    }
+  }
+  return targets;
+}
+
+// One tick of group steering. `agents` are the participating followers (or the whole flock),
+// `leader` is the anchor orb for chain/ring/v and is read but never moved. Returns how many
+// candidate pairs the flock broadphase tested (0 for the other modes), for the world's stats.
+export function stepGroup(mode, agents, leader, dt, band) {
+  if (!agents.length || mode === "none") return 0;
+  const accels = new Array(agents.length);
+  let maxSpeed = MAX_SPEED;
+
+  if (mode === "flock") {
+    flockAccelerations(agents, accels);
+  } else if (leader) {
+    // Targets come from positions at the start of the tick so update order does not matter
+    const targets =
+      mode === "chain"
+        ? agents.map((_, k) => {
+            const ahead = k === 0 ? leader : agents[k - 1];
+            const { forward } = shellFrame(ahead.position, ahead.velocity);
+            const r = Math.hypot(ahead.position[0], ahead.position[1], ahead.position[2]);
+            return onShell(ahead.position, forward.map((c) => -c * CHAIN_SPACING), r);
+          })
+        : formationTargets(mode, leader, agents.length);
+    // Erratic leaders can outpace MAX_SPEED, so the cap follows the leader's speed
+    const leaderSpeed = Math.hypot(leader.velocity[0], leader.velocity[1], leader.velocity[2]);
+    maxSpeed = Math.max(MAX_SPEED, leaderSpeed + CATCH_UP_SPEED);
+    agents.forEach((agent, k) => {
+      accels[k] = arriveAcceleration(agent, targets[k], leader.velocity, maxSpeed);
+      avoidLeader(agent, leader, accels[k]);
+    });
+  } else {
+    return 0;
+  }
+
+  agents.forEach((agent, k) => integrateOnShell(agent, accels[k], dt, band, maxSpeed));
+  return mode === "flock" ? flockGrid.checks : 0;
+}
+
+// No steering: agents keep their heading along the shell (used while orbs ease out of a group).
+export function coastOnShell(agents, dt, band) {
+  for (const agent of agents) integrateOnShell(agent, [0, 0, 0], dt, band);
+}
+
+function arriveAcceleration(agent, target, carryVelocity, maxSpeed) {
+  const toTarget = [
+    target[0] - agent.position[0],
+    target[1] - agent.position[1],
+    target[2] - agent.position[2],
+  ];
+  const desired = clampLength([
+    carryVelocity[0] + toTarget[0] * ARRIVE_GAIN,
+    carryVelocity[1] + toTarget[1] * ARRIVE_GAIN,
+    carryVelocity[2] + toTarget[2] * ARRIVE_GAIN,
+  ], maxSpeed);
+  return [
+    (desired[0] - agent.velocity[0]) * STEER_GAIN,
+    (desired[1] - agent.velocity[1]) * STEER_GAIN,
+    (desired[2] - agent.velocity[2]) * STEER_GAIN,
+  ];
+}
+
+// Slots on the far side of a ring or V are reached by cutting past the leader; steer around it
+// rather than bouncing off it every tick.
+function avoidLeader(agent, leader, accel) {
+  const away = [
+    agent.position[0] - leader.position[0],
+    agent.position[1] - leader.position[1],
+    agent.position[2] - leader.position[2],
+  ];
+  const dist = length(away);
+  if (dist <= 0 || dist >= FLOCK_SEPARATION_DIST) return;
+  const w = ((FLOCK_SEPARATION_DIST - dist) / (dist * FLOCK_SEPARATION_DIST)) * SEPARATION_WEIGHT * 4;
+  for (let c = 0; c < 3; c++) accel[c] += away[c] * w;
+}
+
+// Separation / alignment / cohesion over neighbors found with the shared grid broadphase.
+function flockAccelerations(agents, out) {
+  const n = agents.length;
+  // Per agent: separation, summed neighbor velocities, summed neighbor positions (x, y, z
+  // each) and the neighbor count, added into by the pairs
+  const sums = new Float64Array(n * 10);
+  if (flockCoords.length < n * 3) flockCoords = new Float64Array(n * 6);
+  agents.forEach((agent, i) => flockCoords.set(agent.position, i * 3));
+  rebuildSpatialHash(flockGrid, flockCoords, n);
+  forEachPairWithin(flockGrid, FLOCK_VIEW_DIST, (i, j, dist) => {
+    const a = agents[i];
+    const b = agents[j];
+    const si = i * 10;
+    const sj = j * 10;
+    for (let c = 0; c < 3; c++) {
+      sums[si + 3 + c] += b.velocity[c];
+      sums[sj + 3 + c] += a.velocity[c];
+      sums[si + 6 + c] += b.position[c];
+      sums[sj + 6 + c] += a.position[c];
+    }
+    sums[si + 9]++;
+    sums[sj + 9]++;
+    if (dist > 0 && dist < FLOCK_SEPARATION_DIST) {
+      // Inverse-distance push, strongest when nearly touching
+      const w = (FLOCK_SEPARATION_DIST - dist) / (dist * FLOCK_SEPARATION_DIST);
+      for (let c = 0; c < 3; c++) {
+        const d = (a.position[c] - b.position[c]) * w;
+        sums[si + c] += d;
+        sums[sj + c] -= d;
+      }
+    }
+  });
+
+  agents.forEach((agent, i) => {
+    const s = sums.subarray(i * 10, i * 10 + 10);
+    const count = s[9];
+    const accel = [0, 0, 0];
+    for (let c = 0; c < 3; c++) accel[c] += s[c] * SEPARATION_WEIGHT;
+    if (count) {
+      for (let c = 0; c < 3; c++) {
+        accel[c] += (s[3 + c] / count - agent.velocity[c]) * ALIGNMENT_WEIGHT;
+        accel[c] += (s[6 + c] / count - agent.position[c]) * COHESION_WEIGHT;
+      }
+    }
+    // Keep cruising: nudge speed toward CRUISE_SPEED along the current heading
+    const speed = length(agent.velocity);
+    if (speed > 1e-4) {
+      const k = (CRUISE_SPEED - speed) / speed;
+      for (let c = 0; c < 3; c++) accel[c] += agent.velocity[c] * k;
+    }
+    out[i] = accel;
+  });
+}
+
+// Integrate on the shell: tangential steering, a soft pull toward mid-band and a hard clamp.
+// The tangential step is wrapped back onto the sphere so sideways motion never changes radius.
+function integrateOnShell(agent, accel, dt, band, maxSpeed = MAX_SPEED) {
+  const p = agent.position;
+  const r = length(p) || 1;
+  const up = [p[0] / r, p[1] / r, p[2] / r];
+  const midRadius = (band.min + band.max) * 0.5;
+  const a = clampLength(projectOnPlane(accel, up), MAX_ACCEL);
+  const radialAccel = (midRadius - r) * RADIAL_SPRING - dot(agent.velocity, up) * 2.0;
+  for (let c = 0; c < 3; c++) agent.velocity[c] += (a[c] + up[c] * radialAccel) * dt;
+  agent.velocity = clampLength(agent.velocity, maxSpeed);
+
+  const radialSpeed = dot(agent.velocity, up);
+  const nextRadius = Math.min(Math.max(r + radialSpeed * dt, band.min), band.max);
+  const dir = normalize([
+    p[0] + (agent.velocity[0] - up[0] * radialSpeed) * dt,
+    p[1] + (agent.velocity[1] - up[1] * radialSpeed) * dt,
+    p[2] + (agent.velocity[2] - up[2] * radialSpeed) * dt,
+  ]);
+  for (let c = 0; c < 3; c++) p[c] = dir[c] * nextRadius;
+
+  // Carry the heading into the new tangent plane; drop radial speed at the band edges
+  const tangential = projectOnPlane(agent.velocity, dir);
+  const keepRadial = nextRadius > band.min && nextRadius < band.max ? radialSpeed : 0;
+  for (let c = 0; c < 3; c++) agent.velocity[c] = tangential[c] + dir[c] * keepRadial;
+}
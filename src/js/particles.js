@@ -0,0 +1,265 @@
+// particles.js
+// Pooled particle emitters for sparks, auras and dust. Live particles sit densely at the front
+// of fixed-size typed arrays (dead ones are swapped out), so a busy scene never allocates.
+// Looks come from the data presets below; scene.js owns the GL side and draws the pool.
+
+// Sizes are world units and speeds units/sec; sizes, speeds and gravity scale with an emit's
+// `scale`, so a bigger burst keeps the same shape.
+// color: stops spread evenly over the particle's life (RGBA, multiplied by an emit's `tint`).
+// size: [start, end] over life. gravity: radial accel toward the planet center (negative rises).
+// drag: per-second velocity damping. direction: "sphere" (any way) or "cone" (around `normal`,
+// up to `spread` radians off it). radius: spawn jitter around the emit point.
+// inherit: share of the emitter's velocity the particle starts with. rate: particles per second
+// for continuous emitters; count: [min, max] per one-shot emit.
+export const PARTICLE_PRESETS = {
+  // The original collision flash: one white billboard that shrinks as it fades
+  collisionFlash: {
+    blend: "additive",
+    count: [1, 1],
+    life: [0.6, 0.6],
+    speed: [0, 0],
+    direction: "sphere",
+    radius: 0,
+    drag: 0,
+    gravity: 0,
+    size: [0.31, 0.13],
+    color: [[1, 1, 1, 1], [1, 1, 1, 0.6], [1, 1, 1, 0]],
+  },
+  sparks: {
+    blend: "additive",
+    count: [6, 10],
+    life: [0.25, 0.55],
+    speed: [0.6, 1.6],
+    direction: "sphere",
+    radius: 0.01,
+    drag: 3.0,
+    gravity: 2.5,
+    size: [0.035, 0.008],
+    color: [[1, 1, 0.9, 1], [1, 0.8, 0.4, 0.9], [1, 0.4, 0.1, 0]],
+  },
+  superAura: {
+    blend: "additive",
+    rate: 45,
+    life: [0.35, 0.7],
+    speed: [0.05, 0.25],
+    direction: "sphere",
+    radius: 0.07,
+    inherit: 0.85,
+    drag: 1.5,
+    gravity: -0.8,
+    size: [0.06, 0.015],
+    color: [[1, 1, 1, 0], [1, 1, 1, 0.55], [1, 1, 1, 0]],
+  },
+  dust: {
+    blend: "alpha",
+    count: [8, 12],
+    life: [0.5, 0.9],
+    speed: [0.12, 0.4],
+    direction: "cone",
+    spread: 1.35,
+    radius: 0.015,
+    drag: 4.0,
+    gravity: 0.6,
+    size: [0.02, 0.06],
+    color: [[0.72, 0.62, 0.48, 0.55], [0.7, 0.62, 0.5, 0.3], [0.7, 0.62, 0.5, 0]],
+  },
+};
+
+const PRESET_NAMES = Object.keys(PARTICLE_PRESETS);
+const PRESET_LIST = PRESET_NAMES.map((name) => PARTICLE_PRESETS[name]); // by pool.preset index
+export const PARTICLE_INSTANCE_FLOATS = 8; // center xyz, size, rgba
+
+// `groundRadius(dir)` is the ground's distance from the planet center below the world-space
+// unit direction `dir`; particles that sink below it are gone.
+export function createParticlePool(capacity, random = Math.random, groundRadius = () => 1.0) {
+  return {
+    capacity,
+    count: 0,
+    random,
+    groundRadius,
+    position: new Float32Array(capacity * 3),
+    velocity: new Float32Array(capacity * 3),
+    tint: new Float32Array(capacity * 3),
+    age: new Float32Array(capacity),
+    life: new Float32Array(capacity),
+    scale: new Float32Array(capacity),
+    preset: new Uint8Array(capacity),
+  };
+}
+
+export function clearParticles(pool) {
+  pool.count = 0;
+}
+
+function range(pool, [min, max]) {
+  return min + (max - min) * pool.random();
+}
+
+function randomUnit(pool) {
+  const z = pool.random() * 2 - 1;
+  const a = pool.random() * Math.PI * 2;
+  const r = Math.sqrt(1 - z * z);
+  return [r * Math.cos(a), r * Math.sin(a), z];
+}
+
+// Random direction within `spread` radians of the unit vector n.
+function randomInCone(pool, n, spread) {
+  const helper = Math.abs(n[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0];
+  const u = [
+    n[1] * helper[2] - n[2] * helper[1],
+    n[2] * helper[0] - n[0] * helper[2],
+    n[0] * helper[1] - n[1] * helper[0],
+  ];
+  const ul = Math.hypot(u[0], u[1], u[2]);
+  u[0] /= ul; u[1] /= ul; u[2] /= ul;
+  const w = [n[1] * u[2] - n[2] * u[1], n[2] * u[0] - n[0] * u[2], n[0] * u[1] - n[1] * u[0]];
+  const cosT = 1 - pool.random() * (1 - Math.cos(spread));
+  const sinT = Math.sqrt(Math.max(0, 1 - cosT * cosT));
+  const a = pool.random() * Math.PI * 2;
+  const cu = Math.cos(a) * sinT;
+  const cw = Math.sin(a) * sinT;
+  return [
+    n[0] * cosT + u[0] * cu + w[0] * cw,
+    n[1] * cosT + u[1] * cu + w[1] * cw,
+    n[2] * cosT + u[2] * cu + w[2] * cw,
+  ];
+}
+
+// One-shot emit at `position`. Options: count (overrides the preset range), normal (for
+// cones), tint [r, g, b], scale, velocity (the emitter's, for `inherit`).
+// Returns how many particles were spawned; a full pool drops the rest.
+export function emitParticles(pool, presetName, position, options = {}) {
+  const preset = PARTICLE_PRESETS[presetName];
+  if (!preset) return 0;
+  const wanted = options.count ?? Math.round(range(pool, preset.count || [1, 1]));
+  return spawn(pool, preset, PRESET_NAMES.indexOf(presetName), position, wanted, options);
+}
+
+function spawn(pool, preset, presetIndex, position, wanted, options) {
+  const n = Math.min(wanted, pool.capacity - pool.count);
+  const scale = options.scale ?? 1;
+  const tint = options.tint || [1, 1, 1];
+  const normal = options.normal || [0, 1, 0];
+  const carry = options.velocity;
+  const inherit = preset.inherit || 0;
+  for (let k = 0; k < n; k++) {
+    const i = pool.count++;
+    const dir = preset.direction === "cone" ? randomInCone(pool, normal, preset.spread) : randomUnit(pool);
+    const jitter = randomUnit(pool);
+    const jr = (preset.radius || 0) * scale * pool.random();
+    const speed = range(pool, preset.speed) * scale;
+    for (let c = 0; c < 3; c++) {
+      pool.position[i * 3 + c] = position[c] + jitter[c] * jr;
+      pool.velocity[i * 3 + c] = dir[c] * speed + (carry ? carry[c] * inherit : 0);
+      pool.tint[i * 3 + c] = tint[c];
+    }
+    pool.age[i] = 0;
+    pool.life[i] = range(pool, preset.life);
+    pool.scale[i] = scale;
+    pool.preset[i] = presetIndex;
+  }
+  return n;
+}
+
+// Continuous emitter: carries fractional particles between ticks so low rates still emit.
+export function createEmitter(presetName) {
+  return { preset: presetName, carry: 0 };
+}
+
+export function runEmitter(pool, emitter, dt, position, options = {}) {
+  const preset = PARTICLE_PRESETS[emitter.preset];
+  if (!preset || !preset.rate) return 0;
+  emitter.carry += preset.rate * (options.rateScale ?? 1) * dt;
+  const whole = Math.floor(emitter.carry);
+  if (!whole) return 0;
+  emitter.carry -= whole;
+  return spawn(pool, preset, PRESET_NAMES.indexOf(emitter.preset), position, whole, options);
+}
+
+function kill(pool, i) {
+  const last = --pool.count;
+  if (i === last) return;
+  for (let c = 0; c < 3; c++) {
+    pool.position[i * 3 + c] = pool.position[last * 3 + c];
+    pool.velocity[i * 3 + c] = pool.velocity[last * 3 + c];
+    pool.tint[i * 3 + c] = pool.tint[last * 3 + c];
+  }
+  pool.age[i] = pool.age[last];
+  pool.life[i] = pool.life[last];
+  pool.scale[i] = pool.scale[last];
+  pool.preset[i] = pool.preset[last];
+}
+
+// Age, drag, radial gravity and integration; expired or grounded particles are swapped out.
+export function stepParticles(pool, dt) {
+  let i = 0;
+  while (i < pool.count) {
+    pool.age[i] += dt;
+    if (pool.age[i] >= pool.life[i]) {
+      kill(pool, i);
+      continue;
+    }
+    const preset = PRESET_LIST[pool.preset[i]];
+    const p = i * 3;
+    const x = pool.position[p];
+    const y = pool.position[p + 1];
+    const z = pool.position[p + 2];
+    const r = Math.hypot(x, y, z) || 1;
+    const damp = Math.exp(-preset.drag * dt);
+    const pull = (preset.gravity * pool.scale[i] * dt) / r;
+    pool.velocity[p] = pool.velocity[p] * damp - x * pull;
+    pool.velocity[p + 1] = pool.velocity[p + 1] * damp - y * pull;
+    pool.velocity[p + 2] = pool.velocity[p + 2] * damp - z * pull;
+    pool.position[p] += pool.velocity[p] * dt;
+    pool.position[p + 1] += pool.velocity[p + 1] * dt;
+    pool.position[p + 2] += pool.velocity[p + 2] * dt;
+    const px = pool.position[p];
+    const py = pool.position[p + 1];
+    const pz = pool.position[p + 2];
+    const r2 = px * px + py * py + pz * pz;
+    const pr = Math.sqrt(r2) || 1;
+    const ground = pool.groundRadius([px / pr, py / pr, pz / pr]);
+    if (r2 < ground * ground) {
+      kill(pool, i);
+      continue;
+    }
+    i++;
+  }
+}
+
+// Piecewise-linear sample of evenly spaced RGBA stops at t in [0, 1].
+function sampleStops(stops, t, out) {
+  const f = t * (stops.length - 1);
+  const k = Math.min(stops.length - 2, Math.floor(f));
+  const u = f - k;
+  const a = stops[k];
+  const b = stops[k + 1];
+  for (let c = 0; c < 4; c++) out[c] = a[c] + (b[c] - a[c]) * u;
+  return out;
+}
+
+const colorScratch = [0, 0, 0, 0];
+
+// Write instance data (PARTICLE_INSTANCE_FLOATS each) for live particles using `blend`
+// ("additive" | "alpha") into `out`; returns the number written.
+export function fillParticleInstances(pool, blend, out) {
+  let n = 0;
+  let k = 0;
+  for (let i = 0; i < pool.count; i++) {
+    const preset = PRESET_LIST[pool.preset[i]];
+    if (preset.blend !== blend) continue;
+    const t = pool.age[i] / pool.life[i];
+    const color = sampleStops(preset.color, t, colorScratch);
+    const p = i * 3;
+    out[k++] = pool.position[p];
+    out[k++] = pool.position[p + 1];
+    out[k++] = pool.position[p + 2];
+    out[k++] = (preset.size[0] + (preset.size[1] - preset.size[0]) * t) * pool.scale[i];
+    out[k++] = color[0] * pool.tint[p];
+    out[k++] = color[1] * pool.tint[p + 1];
+    out[k++] = color[2] * pool.tint[p + 2];
+    out[k++] = color[3];
+    n++;
+  }
+  return n;
+}
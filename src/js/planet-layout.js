@@ -0,0 +1,317 @@
+// planet-layout.js
+// Planet layout files: which props stand where, the road belts, the tree-scatter rules and the
+// colors. A layout is plain JSON with angles in radians, like saved scenes. normalizeLayout
+// checks one and fills in defaults; scene.js builds the planet from the result.
+//
+// {
+//   version: 1, name,
+//   planet: { color, terrain: { amplitude, frequency, octaves, craters, craterRadius,
+//             craterDepth, dirtColor, rockColor } | null },
+//   props: [{ type: "house" | "garage" | "fountain", lat, lon, yaw, scale, offsetFactor,
+//             clearance, color, accent }],
+//   roads: [{ lat, halfWidth, color, stripes: { width, gap, color } | null, cap }],
+//   trees: { count, minSeparation, roadClearance, minLat, maxLat, extra: [{ lat, lon }],
+//            exclusions: [{ lat, lon, radius }],
+//            placements: [{ lat, lon, yaw, scale, species }] | null,
+//            species: { broccoli, pine, palm, bush }, trunkColor, foliageColors: [rgb, ...] },
+//   grass: { count, frequency, coverage, height, color } | null
+// }
+//
+// yaw turns a prop around its local up; offsetFactor sinks (< 0) or raises it relative to its
+// own height. clearance keeps trees that far (radians) from the prop. accent colors the second
+// part (house door, fountain cap). Trees are scattered over minLat <= |lat| <= maxLat on both
+// hemispheres, then the extra spots are tried; every spot must clear the roads by
+// roadClearance, the props, the exclusion zones and the other trees. A layout with placements
+// (hand-placed trees, e.g. from the layout editor) uses those instead and skips the scatter;
+// a placement's scale multiplies the tree's own size.
+//
+// Each tree grows as one of the vegetation.js species, drawn by the species weights unless its
+// placement names one; trunkColor and foliageColors color the broccoli trees. Grass tries
+// `count` random spots and grows a tuft where the noise density map (patches at `frequency`
+// covering about `coverage` of the planet) and the tree rules for roads, props and exclusion
+// zones allow; height is the tuft height.
+//
+// terrain (off when null) raises hills of up to about amplitude from noise.simplex3 (frequency
+// and octaves as in fBm) and sinks `craters` round craters up to craterRadius wide (radians)
+// and craterDepth deep. The ground is colored planet.color in the lowlands, dirtColor on the
+// slopes and crater floors and rockColor on the peaks.
+
+import { TREE_SPECIES } from "./vegetation.js";
+
+export const LAYOUT_VERSION = 1;
+
+// Per prop type: every field a layout may leave out
+export const PROP_DEFAULTS = {
+  house: { yaw: 0, scale: 0.36, offsetFactor: -0.18, clearance: 0.32, color: [1.0, 0.92, 0.55], accent: [1.0, 1.0, 1.0] },
+  garage: { yaw: 0, scale: 0.26, offsetFactor: -0.3, clearance: 0.26, color: [0.92, 0.88, 0.78], accent: null },
+  fountain: { yaw: 0, scale: 0.38, offsetFactor: -0.08, clearance: 0.24, color: [0.9, 0.9, 0.95], accent: [0.85, 0.85, 0.95] },
+};
+
+const ROAD_DEFAULTS = { lat: 0, halfWidth: 0.12, color: [0.7, 0.7, 0.7], cap: false };
+const STRIPE_DEFAULTS = { width: 0.02, gap: 0.01, color: [0.6, 0.6, 0.6] };
+const TERRAIN_DEFAULTS = {
+  amplitude: 0.04,
+  frequency: 2.5,
+  octaves: 4,
+  craters: 6,
+  craterRadius: 0.22,
+  craterDepth: 0.035,
+  dirtColor: [0.55, 0.42, 0.28],
+  rockColor: [0.52, 0.52, 0.55],
+};
+const GRASS_DEFAULTS = { count: 900, frequency: 2.2, coverage: 0.6, height: 0.035, color: [0.24, 0.68, 0.2] };
+const TREE_DEFAULTS = {
+  count: 20,
+  minSeparation: 0.16,
+  roadClearance: 0.06,
+  minLat: 0.2,
+  maxLat: 1.4907963267948965, // 0.08 short of the poles
+  species: { broccoli: 3, pine: 1, palm: 1, bush: 2 },
+  trunkColor: [0.94, 0.92, 0.88],
+  foliageColors: [
+    [0.11, 0.55, 0.11],
+    [0.13, 0.6, 0.12],
+    [0.1, 0.5, 0.1],
+  ],
+};
+
+// King Kai's planet
+export const DEFAULT_LAYOUT = {
+  version: LAYOUT_VERSION,
+  name: "King Kai's planet",
+  planet: { color: [0.2, 0.8, 0.3], terrain: null },
+  props: [
+    { type: "house", lat: 0.5654866776461628, lon: 0.9424777960769379 },
+    { type: "garage", lat: 0.6911503837897545, lon: 1.5079644737231006 },
+    { type: "fountain", lat: 0.7539822368615503, lon: 0.37699111843077515 },
+  ],
+  roads: [{ lat: 0, halfWidth: 0.12, stripes: {}, cap: true }],
+  trees: {
+    count: 20,
+    // A few spots across from the house, on both hemispheres
+    extra: [
+      { lat: 0.5854866776461628, lon: 4.084070449666731 },
+      { lat: -0.6154866776461628, lon: 4.334070449666731 },
+      { lat: -0.5354866776461628, lon: 3.884070449666731 },
+    ],
+    exclusions: [],
+  },
+  grass: {},
+};
+
+function isNumber(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+function isColor(v) {
+  return Array.isArray(v) && v.length === 3 && v.every(isNumber);
+}
+
+// `value` when it passes `check`, else the default; throws on a present but malformed value.
+function pick(obj, key, fallback, check, where) {
+  const value = obj[key];
+  if (value === undefined || value === null) return Array.isArray(fallback) ? fallback.slice() : fallback;
+  if (!check(value)) throw new Error(`${where}.${key} is not valid`);
+  return Array.isArray(value) ? value.slice() : value;
+}
+
+function spot(p, where) {
+  if (!p || !isNumber(p.lat) || !isNumber(p.lon)) throw new Error(`${where} needs numeric lat and lon`);
+  return { lat: p.lat, lon: p.lon };
+}
+
+function normalizeProp(p, i) {
+  const where = `props[${i}]`;
+  const defaults = PROP_DEFAULTS[p?.type];
+  if (!defaults) throw new Error(`${where}.type must be one of ${Object.keys(PROP_DEFAULTS).join(", ")}`);
+  const prop = { type: p.type, ...spot(p, where) };
+  for (const key of ["yaw", "scale", "offsetFactor", "clearance"]) {
+    prop[key] = pick(p, key, defaults[key], isNumber, where);
+  }
+  if (!(prop.scale > 0)) throw new Error(`${where}.scale must be positive`);
+  prop.color = pick(p, "color", defaults.color, isColor, where);
+  prop.accent = defaults.accent ? pick(p, "accent", defaults.accent, isColor, where) : null;
+  return prop;
+}
+
+function normalizeRoad(r, i) {
+  const where = `roads[${i}]`;
+  if (!r || typeof r !== "object") throw new Error(`${where} is not an object`);
+  const road = {
+    lat: pick(r, "lat", ROAD_DEFAULTS.lat, isNumber, where),
+    halfWidth: pick(r, "halfWidth", ROAD_DEFAULTS.halfWidth, (v) => isNumber(v) && v > 0, where),
+    color: pick(r, "color", ROAD_DEFAULTS.color, isColor, where),
+    stripes: null,
+    cap: !!(r.cap ?? ROAD_DEFAULTS.cap),
+  };
+  if (r.stripes) {
+    const s = r.stripes;
+    road.stripes = {
+      width: pick(s, "width", STRIPE_DEFAULTS.width, (v) => isNumber(v) && v > 0, `${where}.stripes`),
+      gap: pick(s, "gap", STRIPE_DEFAULTS.gap, isNumber, `${where}.stripes`),
+      color: pick(s, "color", STRIPE_DEFAULTS.color, isColor, `${where}.stripes`),
+    };
+  }
+  return road;
+}
+
+function normalizeTerrain(t) {
+  const where = "planet.terrain";
+  if (typeof t !== "object") throw new Error(`${where} is not an object`);
+  const terrain = {};
+  for (const key of ["amplitude", "frequency", "octaves", "craters", "craterRadius", "craterDepth"]) {
+    terrain[key] = pick(t, key, TERRAIN_DEFAULTS[key], (v) => isNumber(v) && v >= 0, where);
+  }
+  terrain.octaves = Math.max(1, Math.floor(terrain.octaves));
+  terrain.craters = Math.floor(terrain.craters);
+  terrain.dirtColor = pick(t, "dirtColor", TERRAIN_DEFAULTS.dirtColor, isColor, where);
+  terrain.rockColor = pick(t, "rockColor", TERRAIN_DEFAULTS.rockColor, isColor, where);
+  return terrain;
+}
+
+function isSpecies(v) {
+  return TREE_SPECIES.includes(v);
+}
+
+function normalizeGrass(g) {
+  const where = "grass";
+  if (typeof g !== "object") throw new Error(`${where} is not an object`);
+  const grass = {};
+  for (const key of ["count", "frequency", "coverage", "height"]) {
+    grass[key] = pick(g, key, GRASS_DEFAULTS[key], (v) => isNumber(v) && v >= 0, where);
+  }
+  grass.count = Math.floor(grass.count);
+  grass.color = pick(g, "color", GRASS_DEFAULTS.color, isColor, where);
+  return grass;
+}
+
+function normalizeTrees(t) {
+  const where = "trees";
+  const trees = {};
+  for (const key of ["count", "minSeparation", "roadClearance", "minLat", "maxLat"]) {
+    trees[key] = pick(t, key, TREE_DEFAULTS[key], (v) => isNumber(v) && v >= 0, where);
+  }
+  trees.count = Math.floor(trees.count);
+  trees.extra = (t.extra || []).map((p, i) => spot(p, `${where}.extra[${i}]`));
+  trees.exclusions = (t.exclusions || []).map((z, i) => {
+    if (!isNumber(z?.radius)) throw new Error(`${where}.exclusions[${i}] needs a numeric radius`);
+    return { ...spot(z, `${where}.exclusions[${i}]`), radius: z.radius };
+  });
+  if (t.placements !== undefined && t.placements !== null && !Array.isArray(t.placements)) {
+    throw new Error(`${where}.placements must be a list`);
+  }
+  trees.placements = t.placements
+    ? t.placements.map((p, i) => {
+        const w = `${where}.placements[${i}]`;
+        const scale = pick(p, "scale", 1, (v) => isNumber(v) && v > 0, w);
+        const placement = { ...spot(p, w), yaw: pick(p, "yaw", 0, isNumber, w), scale };
+        if (p.species != null) placement.species = pick(p, "species", null, isSpecies, w);
+        return placement;
+      })
+    : null;
+  const weights = t.species || TREE_DEFAULTS.species;
+  if (typeof weights !== "object" || !Object.keys(weights).every(isSpecies)) {
+    throw new Error(`${where}.species must weigh ${TREE_SPECIES.join(", ")}`);
+  }
+  trees.species = {};
+  for (const s of TREE_SPECIES) trees.species[s] = pick(weights, s, 0, (v) => isNumber(v) && v >= 0, `${where}.species`);
+  trees.trunkColor = pick(t, "trunkColor", TREE_DEFAULTS.trunkColor, isColor, where);
+  trees.foliageColors = pick(
+    t,
+    "foliageColors",
+    TREE_DEFAULTS.foliageColors,
+    (v) => Array.isArray(v) && v.length > 0 && v.every(isColor),
+    where
+  ).map((c) => c.slice());
+  return trees;
+}
+
+// A complete layout (every default filled in, nothing shared with the input) from layout data
+// or its JSON string, or null when it is not a layout this version reads.
+export function normalizeLayout(json) {
+  let data = json;
+  try {
+    if (typeof json === "string") data = JSON.parse(json);
+    if (!data || data.version !== LAYOUT_VERSION) {
+      throw new Error(`expected a layout with version ${LAYOUT_VERSION}`);
+    }
+    if (data.props !== undefined && !Array.isArray(data.props)) throw new Error("props must be a list");
+    if (data.roads !== undefined && !Array.isArray(data.roads)) throw new Error("roads must be a list");
+    return {
+      version: LAYOUT_VERSION,
+      name: typeof data.name === "string" ? data.name : "",
+      planet: {
+        color: pick(data.planet || {}, "color", DEFAULT_LAYOUT.planet.color, isColor, "planet"),
+        terrain: data.planet?.terrain ? normalizeTerrain(data.planet.terrain) : null,
+      },
+      props: (data.props || []).map(normalizeProp),
+      roads: (data.roads || []).map(normalizeRoad),
+      trees: normalizeTrees(data.trees || {}),
+      grass: data.grass ? normalizeGrass(data.grass) : null,
+    };
+  } catch (err) {
+    console.error("Unsupported planet layout:", err);
+    return null;
+  }
+}
+
+// Angular separation between two lat/lon points (radians)
+export function angularSeparation(lat1, lon1, lat2, lon2) {
+  const sin1 = Math.sin(lat1), cos1 = Math.cos(lat1);
+  const sin2 = Math.sin(lat2), cos2 = Math.cos(lat2);
+  const dLon = lon1 - lon2;
+  // Rounding can push the cosine just past ±1 for equal or opposite points, where acos gives NaN
+  const c = sin1 * sin2 + cos1 * cos2 * Math.cos(dLon);
+  return Math.acos(Math.min(1, Math.max(-1, c)));
+}
+
+// Scene ids for a layout's props: the type for the first of each ("house"), then "house-2"...
+export function propIds(props) {
+  const seen = {};
+  return props.map(({ type }) => {
+    const n = (seen[type] = (seen[type] || 0) + 1);
+    return n === 1 ? type : `${type}-${n}`;
+  });
+}
+
+// Everything that sits too close to something else, by the rules the tree scatter follows:
+// trees keep a prop's clearance, minSeparation from each other and out of the exclusion zones;
+// nothing stands within roadClearance of a road; two props keep the larger of their
+// clearances apart. Trees are only checked when the layout places them by hand. Each entry is
+// { a, b, message } with scene ids ("house", "tree-3") or "road" / "zone" for b.
+export function findLayoutOverlaps(layout) {
+  const rules = layout.trees;
+  const ids = propIds(layout.props);
+  const items = [
+    ...layout.props.map((p, i) => ({ id: ids[i], lat: p.lat, lon: p.lon, clearance: p.clearance, prop: true })),
+    ...(rules.placements || []).map((p, i) => ({ id: `tree-${i}`, lat: p.lat, lon: p.lon, prop: false })),
+  ];
+  const overlaps = [];
+  items.forEach((a, i) => {
+    for (const road of layout.roads) {
+      if (Math.abs(a.lat - road.lat) < road.halfWidth + rules.roadClearance) {
+        overlaps.push({ a: a.id, b: "road", message: `${a.id} is on a road` });
+        break;
+      }
+    }
+    if (!a.prop) {
+      for (const zone of rules.exclusions) {
+        if (angularSeparation(a.lat, a.lon, zone.lat, zone.lon) < zone.radius) {
+          overlaps.push({ a: a.id, b: "zone", message: `${a.id} is in an exclusion zone` });
+          break;
+        }
+      }
+    }
+    for (let j = i + 1; j < items.length; j++) {
+      const b = items[j];
+      let needed = rules.minSeparation;
+      if (a.prop && b.prop) needed = Math.max(a.clearance, b.clearance);
+      else if (a.prop) needed = a.clearance;
+      else if (b.prop) needed = b.clearance;
+      if (angularSeparation(a.lat, a.lon, b.lat, b.lon) < needed) {
+        overlaps.push({ a: a.id, b: b.id, message: `${a.id} is too close to ${b.id}` });
+      }
+    }
+  });
+  return overlaps;
+}
@@ -0,0 +1,198 @@
+// player.js
+// Walkable character on the planet: radial gravity, jumping, ground snap and prop blocking.
+// The ground sits at GROUND_RADIUS unless updatePlayer is told the terrain height.
+// Pure math on plain [x, y, z] arrays so it does not depend on glMatrix or WebGL.
+
+const GROUND_RADIUS = 1.0;
+const GRAVITY = 3.2; // units/sec^2 toward the planet center
+const WALK_SPEED = 0.45; // units/sec along the surface
+const TURN_SPEED = 2.4; // radians/sec yaw around local up
+const JUMP_SPEED = 1.35; // initial radial speed
+const AIR_CONTROL = 0.35; // fraction of walk acceleration available mid-air
+const GROUND_ACCEL = 10.0; // how quickly tangential velocity tracks input on the ground
+
+export const PLAYER_RADIUS = 0.035; // angular footprint (radians at radius 1.0)
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0],
+  ];
+}
+
+function normalize(v) {
+  const len = Math.hypot(v[0], v[1], v[2]) || 1;
+  v[0] /= len; v[1] /= len; v[2] /= len;
+  return v;
+}
+
+function latLonToUnit(lat, lon) {
+  return [Math.cos(lat) * Math.cos(lon), Math.sin(lat), Math.cos(lat) * Math.sin(lon)];
+}
+
+// Remove the component of v along the unit vector n.
+function projectOnPlane(v, n) {
+  const d = dot(v, n);
+  return [v[0] - n[0] * d, v[1] - n[1] * d, v[2] - n[2] * d];
+}
+
+// Keep forward tangent to the sphere at up; fall back to a stable reference near degeneracy.
+function retangent(forward, up) {
+  let f = projectOnPlane(forward, up);
+  if (Math.hypot(f[0], f[1], f[2]) < 1e-4) {
+    const ref = Math.abs(up[1]) > 0.9 ? [1, 0, 0] : [0, 1, 0];
+    f = cross(ref, up);
+  }
+  return normalize(f);
+}
+
+export function createPlayer({ lat = 0.35, lon = Math.PI * 0.3 + Math.PI, heading = 0 } = {}) {
+  const up = latLonToUnit(lat, lon);
+  let forward = retangent([0, 1, 0], up);
+  if (heading !== 0) {
+    const right = cross(forward, up);
+    const c = Math.cos(heading);
+    const s = Math.sin(heading);
+    forward = normalize([
+      forward[0] * c + right[0] * s,
+      forward[1] * c + right[1] * s,
+      forward[2] * c + right[2] * s,
+    ]);
+  }
+  return {
+    position: [up[0] * GROUND_RADIUS, up[1] * GROUND_RADIUS, up[2] * GROUND_RADIUS],
+    velocity: [0, 0, 0],
+    up,
+    forward,
+    onGround: true,
+    height: 0, // distance above the ground
+  };
+}
+
+export function createPlayerInput() {
+  return { forward: false, back: false, left: false, right: false, jump: false };
+}
+
+// Orthonormal tangent frame: +Y along the surface normal, +Z along heading, +X to the
+// character's left (up × forward, so the three make a rotation, not a mirror).
+export function getPlayerFrame(player) {
+  const up = player.up;
+  const forward = player.forward;
+  const left = normalize(cross(up, forward));
+  return { up, forward, left, position: player.position };
+}
+
+export function getPlayerLatLon(player) {
+  const u = player.up;
+  return { lat: Math.asin(Math.max(-1, Math.min(1, u[1]))), lon: Math.atan2(u[2], u[0]) };
+}
+
+// `groundRadiusAt(up)` is the distance from the planet center to the ground below the unit
+// direction `up` (planet-local, like the player); leave it out for a smooth sphere.
+export function updatePlayer(player, input, dt, blockers = [], groundRadiusAt = () => GROUND_RADIUS) {
+  if (dt <= 0) return;
+
+  // Yaw around the local up (tank-style turning keeps the follow camera readable)
+  const turn = (input.left ? 1 : 0) - (input.right ? 1 : 0);
+  if (turn !== 0) {
+    const a = turn * TURN_SPEED * dt;
+    const left = cross(player.up, player.forward);
+    const c = Math.cos(a);
+    const s = Math.sin(a);
+    player.forward = normalize([
+      player.forward[0] * c + left[0] * s,
+      player.forward[1] * c + left[1] * s,
+      player.forward[2] * c + left[2] * s,
+    ]);
+  }
+
+  // Walk input drives the tangential velocity toward a target
+  const move = (input.forward ? 1 : 0) - (input.back ? 1 : 0);
+  const target = [
+    player.forward[0] * move * WALK_SPEED,
+    player.forward[1] * move * WALK_SPEED,
+    player.forward[2] * move * WALK_SPEED,
+  ];
+  const up = player.up;
+  const radialSpeed = dot(player.velocity, up);
+  const tangential = projectOnPlane(player.velocity, up);
+  const accel = Math.min(1, dt * GROUND_ACCEL * (player.onGround ? 1 : AIR_CONTROL));
+  for (let i = 0; i < 3; i++) tangential[i] += (target[i] - tangential[i]) * accel;
+
+  let vr = radialSpeed;
+  if (player.onGround && input.jump) {
+    vr = JUMP_SPEED;
+    player.onGround = false;
+  }
+  if (!player.onGround) vr -= GRAVITY * dt;
+
+  player.velocity = [
+    tangential[0] + up[0] * vr,
+    tangential[1] + up[1] * vr,
+    tangential[2] + up[2] * vr,
+  ];
+
+  const p = player.position;
+  p[0] += player.velocity[0] * dt;
+  p[1] += player.velocity[1] * dt;
+  p[2] += player.velocity[2] * dt;
+
+  const dist = Math.hypot(p[0], p[1], p[2]) || GROUND_RADIUS;
+  const newUp = [p[0] / dist, p[1] / dist, p[2] / dist];
+  const ground = groundRadiusAt(newUp);
+
+  // Ground snap: walking hugs the curve, and anything at or below the surface lands
+  if (dist <= ground || player.onGround) {
+    p[0] = newUp[0] * ground;
+    p[1] = newUp[1] * ground;
+    p[2] = newUp[2] * ground;
+    player.velocity = projectOnPlane(player.velocity, newUp);
+    player.onGround = true;
+  }
+
+  player.up = newUp;
+  resolveBlockers(player, blockers);
+  player.forward = retangent(player.forward, player.up);
+  player.height = Math.hypot(p[0], p[1], p[2]) - groundRadiusAt(player.up);
+}
+
+// Push the player out of any blocker footprint along the great circle through both centers.
+function resolveBlockers(player, blockers) {
+  const p = player.position;
+  const dist = Math.hypot(p[0], p[1], p[2]) || GROUND_RADIUS;
+  for (const blocker of blockers) {
+    const center = latLonToUnit(blocker.lat, blocker.lon);
+    const minAngle = blocker.radius + PLAYER_RADIUS;
+    const cosSep = Math.max(-1, Math.min(1, dot(player.up, center)));
+    if (Math.acos(cosSep) >= minAngle) continue;
+
+    let away = projectOnPlane(player.up, center);
+    if (Math.hypot(away[0], away[1], away[2]) < 1e-6) away = retangent(player.forward, center);
+    normalize(away);
+    const c = Math.cos(minAngle);
+    const s = Math.sin(minAngle);
+    const up = normalize([
+      center[0] * c + away[0] * s,
+      center[1] * c + away[1] * s,
+      center[2] * c + away[2] * s,
+    ]);
+    player.up = up;
+    p[0] = up[0] * dist;
+    p[1] = up[1] * dist;
+    p[2] = up[2] * dist;
+
+    // Drop the velocity component heading back into the blocker
+    const outward = retangent(away, up);
+    const into = dot(player.velocity, outward);
+    if (into < 0) {
+      player.velocity[0] -= outward[0] * into;
+      player.velocity[1] -= outward[1] * into;
+      player.velocity[2] -= outward[2] * into;
+    }
+  }
+}
@@ -0,0 +1,165 @@
+// recording.js
+// Recorded simulation sessions: one packed frame per simulation tick (orb states, camera,
+// planet spin, character, and the collisions and teleports of that tick), plus a compact
+// binary file format. scene.js fills frames while recording and reads them back on replay.
+
+// Per orb per tick: id, position xyz, transformation level, target level, power-up timer
+export const REC_ORB_FLOATS = 7;
+// Per event: kind, then a, b, position xyz, level for a collision or id, from xyz, to xyz for
+// a teleport
+export const REC_EVENT_FLOATS = 8;
+export const REC_EVENT_KINDS = ["collision", "teleport"];
+// Character: position, up, forward
+export const REC_PLAYER_FLOATS = 9;
+// Camera: theta, phi, radius, mode, follow target (orb id, -1 = character), follow distance,
+// free-fly position xyz and orientation quaternion
+export const REC_CAMERA_FLOATS = 13;
+const CAMERA_MODES = ["orbit", "follow", "free"];
+
+// Recording stops by itself once its frames hold this many floats (about 96 MB)
+export const RECORDING_MAX_FLOATS = 24e6;
+
+const FILE_MAGIC = 0x52524b4b; // "KKRR" read as a little-endian uint32
+const FILE_VERSION = 1;
+const FRAME_FIXED_FLOATS = 2 + REC_CAMERA_FLOATS + REC_PLAYER_FLOATS + 2; // + orb and event counts
+
+// step: seconds per frame (the simulation tick the session was recorded at); 0 = set by the
+// first frame.
+export function createRecording(step = 0) {
+  return {
+    step,
+    frames: [], // { time, spin, camera, player, orbs, events } with Float32Array fields
+    orbInfo: new Map(), // id -> { name, color, size, trailMax } as first seen
+    floats: 0,
+    full: false,
+  };
+}
+
+export function recordingDuration(rec) {
+  return rec.frames.length * rec.step;
+}
+
+// Remember how an orb looks the first time it shows up; later edits are not tracked.
+export function noteRecordedOrb(rec, orb) {
+  if (rec.orbInfo.has(orb.id)) return;
+  rec.orbInfo.set(orb.id, { name: orb.name, color: orb.color.slice(), size: orb.size, trailMax: orb.trailMax });
+}
+
+// Index of orb `id` in a frame's orb floats, or -1. `hint` is where it sat in another frame.
+export function findRecordedOrb(frame, id, hint = 0) {
+  if (frame.orbs[hint] === id) return hint;
+  for (let i = 0; i < frame.orbs.length; i += REC_ORB_FLOATS) {
+    if (frame.orbs[i] === id) return i;
+  }
+  return -1;
+}
+
+// Append a frame; returns false (and marks the recording full) once the budget is spent.
+export function addRecordedFrame(rec, frame) {
+  const size = FRAME_FIXED_FLOATS + frame.orbs.length + frame.events.length;
+  if (rec.full || rec.floats + size > RECORDING_MAX_FLOATS) {
+    rec.full = true;
+    return false;
+  }
+  rec.frames.push(frame);
+  rec.floats += size;
+  return true;
+}
+
+export function packCamera(state, out = new Float32Array(REC_CAMERA_FLOATS)) {
+  out[0] = state.theta;
+  out[1] = state.phi;
+  out[2] = state.radius;
+  out[3] = Math.max(0, CAMERA_MODES.indexOf(state.mode));
+  out[4] = state.followTarget && state.followTarget.kind === "orb" ? state.followTarget.id : -1;
+  out[5] = state.followDistance;
+  out.set(state.freePosition, 6);
+  out.set(state.freeOrientation, 9);
+  return out;
+}
+
+// Back to the shape setCameraState takes.
+export function unpackCamera(c) {
+  return {
+    theta: c[0],
+    phi: c[1],
+    radius: c[2],
+    mode: CAMERA_MODES[c[3]] || "orbit",
+    followTarget: c[4] >= 0 ? { kind: "orb", id: c[4] } : { kind: "player" },
+    followDistance: c[5],
+    freePosition: [c[6], c[7], c[8]],
+    freeOrientation: [c[9], c[10], c[11], c[12]],
+  };
+}
+
+// Binary file: magic, version, header length (uint32 each), a UTF-8 JSON header padded to
+// 4 bytes, then every frame as little-endian float32s in FRAME_FIXED_FLOATS + payload order.
+export function encodeRecording(rec) {
+  const header = new TextEncoder().encode(
+    JSON.stringify({
+      step: rec.step,
+      frames: rec.frames.length,
+      orbs: [...rec.orbInfo].map(([id, info]) => ({ id, ...info })),
+    })
+  );
+  const headerBytes = Math.ceil(header.length / 4) * 4;
+  const bytes = 12 + headerBytes + rec.floats * 4;
+  const view = new DataView(new ArrayBuffer(bytes));
+  view.setUint32(0, FILE_MAGIC, true);
+  view.setUint32(4, FILE_VERSION, true);
+  view.setUint32(8, header.length, true);
+  new Uint8Array(view.buffer, 12, header.length).set(header);
+
+  let offset = 12 + headerBytes;
+  const put = (v) => {
+    view.setFloat32(offset, v, true);
+    offset += 4;
+  };
+  const putAll = (arr) => {
+    for (let i = 0; i < arr.length; i++) put(arr[i]);
+  };
+  for (const f of rec.frames) {
+    put(f.time);
+    put(f.spin);
+    putAll(f.camera);
+    putAll(f.player);
+    put(f.orbs.length / REC_ORB_FLOATS);
+    putAll(f.orbs);
+    put(f.events.length / REC_EVENT_FLOATS);
+    putAll(f.events);
+  }
+  return view.buffer;
+}
+
+// A recording from encodeRecording output, or null when the buffer is not one.
+export function decodeRecording(buffer) {
+  try {
+    const view = new DataView(buffer);
+    if (view.getUint32(0, true) !== FILE_MAGIC || view.getUint32(4, true) !== FILE_VERSION) return null;
+    const headerLength = view.getUint32(8, true);
+    const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 12, headerLength)));
+    const rec = createRecording(header.step);
+    for (const { id, ...info } of header.orbs) rec.orbInfo.set(id, info);
+
+    let offset = 12 + Math.ceil(headerLength / 4) * 4;
+    const take = (n) => {
+      const out = new Float32Array(n);
+      for (let i = 0; i < n; i++) out[i] = view.getFloat32(offset + i * 4, true);
+      offset += n * 4;
+      return out;
+    };
+    for (let k = 0; k < header.frames; k++) {
+      const [time, spin] = take(2);
+      const camera = take(REC_CAMERA_FLOATS);
+      const player = take(REC_PLAYER_FLOATS);
+      const orbs = take(take(1)[0] * REC_ORB_FLOATS);
+      const events = take(take(1)[0] * REC_EVENT_FLOATS);
+      addRecordedFrame(rec, { time, spin, camera, player, orbs, events });
+    }
+    rec.full = false;
+    return rec;
+  } catch (err) {
+    console.error("Could not read the recording:", err);
+    return null;
+  }
+}
@@ -0,0 +1,86 @@
+// rng.js
+// Seedable randomness for the whole scene. A seed fixes the tree layout, orb colors and
+// flight paths; the Perlin/simplex tables in noise.js are reseeded alongside.
+
+import noise from "./noise.js";
+
+// mulberry32: tiny and fast, plenty for visuals and simulation (not for crypto).
+export function createRng(seed) {
+  let state = seed >>> 0;
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  // The whole generator is one 32-bit word, so a saved scene can resume the exact sequence
+  next.getState = () => state;
+  next.setState = (value) => {
+    state = value >>> 0;
+  };
+  return next;
+}
+
+// FNV-1a over the string form, so "42", 42 and "king-kai" all make usable 32-bit seeds.
+export function hashSeed(value) {
+  const str = String(value);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+let seedValue = null; // as given by the caller (shown in the UI / URL)
+let seedHash = 0;
+const streams = new Map();
+
+// Reset every stream and the noise tables from a new seed (number or string).
+export function setSeed(value) {
+  seedValue = value;
+  seedHash = hashSeed(value);
+  streams.clear();
+  noise.seed(seedHash & 0xffff);
+}
+
+export function getSeed() {
+  return seedValue;
+}
+
+// Independent named streams: drawing more trees never shifts the orb sequence and vice versa.
+export function rngStream(name) {
+  let next = streams.get(name);
+  if (!next) {
+    next = createRng(hashSeed(`${seedHash}:${name}`));
+    streams.set(name, next);
+  }
+  return next;
+}
+
+// Position of every stream drawn from so far, keyed by name (see setStreamStates).
+export function getStreamStates() {
+  const states = {};
+  streams.forEach((next, name) => {
+    states[name] = next.getState();
+  });
+  return states;
+}
+
+// Resume streams saved with getStreamStates; call after setSeed with the same seed.
+export function setStreamStates(states) {
+  for (const [name, value] of Object.entries(states || {})) {
+    if (Number.isFinite(value)) rngStream(name).setState(value);
+  }
+}
+
+// Seed from ?seed=... when present; otherwise pick one so the session can still be reproduced.
+export function seedFromUrl(search = window.location.search) {
+  const param = new URLSearchParams(search).get("seed");
+  const value = param !== null && param !== "" ? param : String(Math.floor(Math.random() * 1e9));
+  setSeed(value);
+  return value;
+}
+
+setSeed(0);
@@ -0,0 +1,53 @@
+// scene-events.js
+// Small publish/subscribe hub for things that happen in the simulation. Every world from
+// simulation.js emits into its own hub; scene.js re-exports on/off for the world it draws, so
+// overlays, audio and logging can react without patching either.
+
+// collision: { a, b, position, level }  two orb ids, the midpoint where they touched and the
+//   higher of their transformation levels
+// teleport: { id, from, to }            positions just before and after the jump
+// impact: { id, normal, speed, level }  an orbital orb bounced hard off the ground; normal is the
+//   unit surface normal (also the hit point on the unit planet), speed the radial speed lost
+// superChange: { id, level, previousLevel, targetLevel, reason }
+//   reason: "powerUp" (started climbing toward targetLevel), "reached", "set" (an immediate
+//   drop or cancel) or "reverted" (the revertAfter timer ran out)
+// orbAdded / orbRemoved: { id, name }
+// frame: { time, alpha }                 after each rendered frame; time is simulated seconds
+export const SCENE_EVENTS = ["collision", "teleport", "impact", "superChange", "orbAdded", "orbRemoved", "frame"];
+
+export function createEventHub(types) {
+  return { handlers: new Map(types.map((type) => [type, []])) };
+}
+
+// Returns a function that removes this subscription. Unknown types are reported and ignored.
+export function subscribe(hub, type, handler) {
+  const list = hub.handlers.get(type);
+  if (!list || typeof handler !== "function") {
+    console.error("Cannot subscribe to scene event:", type);
+    return () => {};
+  }
+  list.push(handler);
+  return () => unsubscribe(hub, type, handler);
+}
+
+export function unsubscribe(hub, type, handler) {
+  const list = hub.handlers.get(type);
+  if (!list) return;
+  const i = list.indexOf(handler);
+  if (i !== -1) list.splice(i, 1);
+}
+
+// Handlers run in subscription order on a snapshot of the list, so subscribing or
+// unsubscribing from inside a handler takes effect on the next emit. A throwing handler is
+// logged and skipped rather than aborting the simulation tick.
+export function emitEvent(hub, type, payload) {
+  const list = hub.handlers.get(type);
+  if (!list || !list.length) return;
+  for (const handler of list.slice()) {
+    try {
+      handler(payload);
+    } catch (err) {
+      console.error(`Scene event "${type}" handler failed:`, err);
+    }
+  }
+}
@@ -0,0 +1,109 @@
+// scene-graph.js
+// Parent/child transform hierarchy for the drawn scene. Each node keeps a local matrix
+// relative to its parent and a cached world matrix that is rebuilt only after the node or one
+// of its ancestors changed. Matrices are column-major 16-float arrays (the glMatrix layout),
+// but the math here is plain so the module does not depend on glMatrix or WebGL.
+
+function identity(out) {
+  out.fill(0);
+  out[0] = out[5] = out[10] = out[15] = 1;
+  return out;
+}
+
+// out = a * b (out may alias a or b)
+function multiply(out, a, b) {
+  const a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
+  const a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
+  const a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11];
+  const a30 = a[12], a31 = a[13], a32 = a[14], a33 = a[15];
+  for (let col = 0; col < 4; col++) {
+    const b0 = b[col * 4], b1 = b[col * 4 + 1], b2 = b[col * 4 + 2], b3 = b[col * 4 + 3];
+    out[col * 4] = b0 * a00 + b1 * a10 + b2 * a20 + b3 * a30;
+    out[col * 4 + 1] = b0 * a01 + b1 * a11 + b2 * a21 + b3 * a31;
+    out[col * 4 + 2] = b0 * a02 + b1 * a12 + b2 * a22 + b3 * a32;
+    out[col * 4 + 3] = b0 * a03 + b1 * a13 + b2 * a23 + b3 * a33;
+  }
+  return out;
+}
+
+// `local` is copied; omit it for identity.
+export function createSceneNode(name = "", local = null) {
+  const node = {
+    name,
+    parent: null,
+    children: [],
+    local: identity(new Float32Array(16)),
+    world: identity(new Float32Array(16)),
+    dirty: true,
+  };
+  if (local) node.local.set(local);
+  return node;
+}
+
+// Flag a node and everything under it for a world-matrix rebuild. A dirty node's subtree is
+// always dirty already, so the walk stops there.
+function markDirty(node) {
+  if (node.dirty) return;
+  node.dirty = true;
+  for (const child of node.children) markDirty(child);
+}
+
+// Like markDirty, but also walks a node that is already dirty (its parent just changed).
+function invalidate(node) {
+  node.dirty = true;
+  for (const child of node.children) markDirty(child);
+}
+
+// Move `child` under `parent` (detaching it from any previous parent). Returns the child.
+export function attachNode(parent, child) {
+  if (child.parent) detachNode(child);
+  child.parent = parent;
+  parent.children.push(child);
+  invalidate(child);
+  return child;
+}
+
+export function detachNode(child) {
+  const parent = child.parent;
+  if (!parent) return;
+  const i = parent.children.indexOf(child);
+  if (i >= 0) parent.children.splice(i, 1);
+  child.parent = null;
+  invalidate(child);
+}
+
+// Replace the node's local transform.
+export function setNodeLocal(node, matrix) {
+  node.local.set(matrix);
+  invalidate(node);
+}
+
+// Local-to-world matrix, rebuilt from the parent chain only when something above changed.
+// The returned array is the node's cache: read it, do not modify it.
+export function getWorldMatrix(node) {
+  if (!node.dirty) return node.world;
+  if (node.parent) multiply(node.world, getWorldMatrix(node.parent), node.local);
+  else node.world.set(node.local);
+  node.dirty = false;
+  return node.world;
+}
+
+// Point in the node's local space to world space.
+export function nodePointToWorld(node, p, out = [0, 0, 0]) {
+  const m = getWorldMatrix(node);
+  const x = p[0], y = p[1], z = p[2];
+  out[0] = m[0] * x + m[4] * y + m[8] * z + m[12];
+  out[1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+  out[2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+  return out;
+}
+
+// Direction in the node's local space to world space (no translation).
+export function nodeDirectionToWorld(node, v, out = [0, 0, 0]) {
+  const m = getWorldMatrix(node);
+  const x = v[0], y = v[1], z = v[2];
+  out[0] = m[0] * x + m[4] * y + m[8] * z;
+  out[1] = m[1] * x + m[5] * y + m[9] * z;
+  out[2] = m[2] * x + m[6] * y + m[10] * z;
+  return out;
+}
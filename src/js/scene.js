@@ -1,35 +1,164 @@
 // scene.js
 // Planet geometry + shaders for King Kai's planet branch.
 
-const { mat4 } = window.glMatrix;
+const { mat4, quat, vec3 } = window.glMatrix;
 // Helpers for procedural meshes
 import {
   buildBox,
+  buildIcosphere,
+  computeNormals,
   latheProfile,
   buildTriangleStripIndices,
   extrudePositions,
   scalePositions,
   rotateYPositions,
 } from "./geo-helpers.js";
-import noise from "./noise.js";
+import { createWind, sampleWind, MAX_WIND_SPEED } from "./wind.js";
+import { createRng, hashSeed, rngStream, setSeed, getSeed, getStreamStates, setStreamStates } from "./rng.js";
+import { SUPER_LEVELS } from "./super-saiyan.js";
+import {
+  PARTICLE_INSTANCE_FLOATS,
+  createParticlePool,
+  clearParticles,
+  emitParticles,
+  createEmitter,
+  runEmitter,
+  stepParticles,
+  fillParticleInstances,
+} from "./particles.js";
+import {
+  createPlayer,
+  createPlayerInput,
+  updatePlayer,
+  getPlayerFrame,
+  getPlayerLatLon,
+} from "./player.js";
+import { subscribe, unsubscribe, emitEvent } from "./scene-events.js";
+import {
+  DEFAULT_LAYOUT,
+  PROP_DEFAULTS,
+  normalizeLayout,
+  angularSeparation,
+  propIds,
+  findLayoutOverlaps,
+} from "./planet-layout.js";
+import {
+  TREE_SPECIES,
+  SPECIES_PALETTES,
+  buildPlant,
+  pickSpecies,
+  buildGrassTuft,
+  grassDensity,
+} from "./vegetation.js";
+import {
+  createSceneNode,
+  attachNode,
+  detachNode,
+  setNodeLocal,
+  getWorldMatrix,
+  nodePointToWorld,
+} from "./scene-graph.js";
+import { createTerrain, terrainHeightAt, groundRadius, terrainMaxHeight } from "./terrain.js";
+import {
+  MAX_ORBS,
+  MAX_TRAIL_POINTS,
+  TELEPORT_BREAK_DIST,
+  createWorld,
+  planetSurfaceRadius,
+  seedWorld,
+  stepWorld,
+  findWorldOrb,
+  getWorldOrbs,
+  getWorldOrbProperties,
+  setWorldOrbProperties,
+  setWorldOrbCount,
+  setWorldOrbPhysicsMode,
+  getWorldGroupBehavior,
+  setWorldGroupBehavior,
+  getWorldOrbGravity,
+  setWorldOrbGravity,
+  setWorldOrbSuperLevel,
+  getWorldOrbSuperState,
+  serializeWorld,
+  restoreWorld,
+  savedOrbsProblem,
+  createOrbState,
+  appendTrailPoint,
+  currentOrbiterPosition,
+  getOrbLook,
+} from "./simulation.js";
+import {
+  REC_ORB_FLOATS,
+  REC_EVENT_FLOATS,
+  REC_EVENT_KINDS,
+  REC_PLAYER_FLOATS,
+  createRecording,
+  recordingDuration,
+  noteRecordedOrb,
+  findRecordedOrb,
+  addRecordedFrame,
+  packCamera,
+  unpackCamera,
+} from "./recording.js";
 
 // Module-level state for the planet and its shader program
-let planet = null;
+let planet = null; // { lods: [{ maxDistance, subdivisions, mesh }], lod } (see PLANET_LODS)
 let planetProgram = null;
-let house = null;
-let trees = [];
-let garage = null;
-let road = null;
-let roadStripes = [];
-let roadCap = null;
-let fountain = null;
+let uintIndices = null; // OES_element_index_uint: meshes past 65536 vertices need it
+// What stands where, from a planet layout (see planet-layout.js)
+let layout = normalizeLayout(DEFAULT_LAYOUT);
+const DEFAULT_LAYOUT_JSON = JSON.stringify(layout);
+let terrain = null; // hills and craters (terrain.js) when the layout turns them on
+let props = []; // { id, name, type, lat, lon, footprint, parts, node, pickBounds }
+let roadBands = []; // road belts, their stripes and caps: { mesh, color, node }
+let trees = []; // { lat, lon, yaw, scale, species, footprint, node, pickBounds, parts }
+let grass = null; // { mesh, instanceBuffer, count }: tufts drawn instanced over the planet
+let grassProgram = null;
+let treeProgram = null;
+const wind = createWind(); // sways the trees and grass; see setWind
+let layoutEditing = false; // presses on props and trees drag them (see setLayoutEditMode)
+let layoutDrag = null; // { id } of the prop or tree being dragged
 let glRef = null;
+// Transform hierarchy: the planet node carries the spin, and the props and the character hang
+// under it in planet-local space so they turn with the ground.
+const sceneRoot = createSceneNode("scene");
+const planetNode = attachNode(sceneRoot, createSceneNode("planet"));
+let planetNodeSpin = null; // spin the planet node is posed at
+// Surface footprints ({ lat, lon, radius } in radians) the player cannot walk through
+let surfaceBlockers = [];
+
+// Walkable character
+let player = null;
+let playerMesh = null;
+let playerControlEnabled = false;
+let playerPrevPosition = null; // position at the previous simulation tick, for interpolation
+const playerInput = createPlayerInput();
+
+// Click-selected entity: { kind: "orb", id } | { kind: "prop", id: "house" | "tree-3" ... } | { kind: "planet" }
+let selection = null;
+let selectionProgram = null;
+const CLICK_SLOP = 4; // pixels of drag travel still treated as a click
+
+// Orbs, planet spin and simulated time live in a GL-free world (simulation.js); its event hub
+// is the one on/off subscribe to. stepScene steps it and the draw calls read it. Its orbs draw
+// from the seeded "orbs" stream, whose position a saved scene keeps.
+const world = createWorld({ random: () => rngStream("orbs")() });
+
+// Session recording and replay (see recording.js). During a replay, world.orbs holds stand-in
+// orbs driven by the recorded frames and replay.restore is the live scene to return to.
+let recorder = null; // { rec, events } while recording
+let lastRecording = null;
+let replay = null;
+const REPLAY_MIN_SPEED = 0.1;
+const REPLAY_MAX_SPEED = 8;
+
+// Fraction of the way from the previous simulation tick to the current one (set per frame)
+let renderAlpha = 1;
 
 // Background (gradient + clouds) state
 let bgProgram = null;
 let bgQuadVbo = null;
 let bgQuadIbo = null;
-let bgTime = 0;
 // Clouds disabled, keep placeholders to avoid reference errors
 let cloudProgram = null;
 let cloudNoiseTex = null;
@@ -39,97 +168,58 @@ let orbProgram = null;
 let orbTrailProgram = null;
 let orbTrailSpriteProgram = null;
 let orbBillboardVbo = null;
-let orbTrailVbo = null;
-let orbTrailIbo = null;
-let orbTrailVertexCount = 0;
-let orbStates = [];
-let orbCount = 3;
-let retiredTrails = [];
-let orbIdCounter = 1;
-let collisionBursts = [];
-
-function createOrbState() {
-  const baseColor = randomBrightColor();
-  return {
-    id: orbIdCounter++,
-    name: `Orb ${orbIdCounter - 1}`,
-    angle: Math.random() * Math.PI * 2,
-    angularSpeed: 0.6, // radians/sec
-    radius: 1.6,
-    height: 0.2,
-    size: 0.07,
-    trailMax: 220,
-    trailPositions: [],
-    trailDirty: true,
-    direction: Math.random() < 0.5 ? -1 : 1,
-    targetAngularSpeed: 0.6,
-    targetRadius: 1.6,
-    targetHeight: 0.2,
-    segmentTime: 0,
-    segmentDuration: 1.4,
-    pauseTimer: 0,
-    pauseDuration: 0,
-    isPaused: false,
-    wobblePhaseA: Math.random() * Math.PI * 2,
-    wobblePhaseB: Math.random() * Math.PI * 2,
-    renderRadius: 1.6,
-    renderHeight: 0.2,
-    planeNormal: randomUnitVec3(),
-    targetPlaneNormal: [0, 1, 0],
-    teleportPlanned: false,
-    teleportDone: false,
-    skipTrailInterpolation: false,
-    color: baseColor, // store chosen color
-    isSuper: false,
-    baseColor,
-  };
-}
-
-const ORBIT_MIN_RADIUS = 1.15;
-const ORBIT_MAX_RADIUS = 2.05;
-const ORBIT_MIN_HEIGHT = -0.35;
-const ORBIT_MAX_HEIGHT = 0.75;
-const TELEPORT_BREAK_DIST = 0.55;
-
-function clampOrbit(v, min, max) {
-  return Math.min(Math.max(v, min), max);
-}
-
-function randomRange(min, max) {
-  return Math.random() * (max - min) + min;
-}
-
-function randomUnitVec3() {
-  // Marsaglia method
-  const u = randomRange(-1, 1);
-  const theta = randomRange(0, Math.PI * 2);
-  const s = Math.sqrt(1 - u * u);
-  return [s * Math.cos(theta), u, s * Math.sin(theta)];
-}
-
-function randomBrightColor() {
-  // Pastel-ish palette: moderate saturation, high value
-  const h = Math.random();
-  const s = 0.35 + Math.random() * 0.2; // 0.35–0.55
-  const v = 0.88 + Math.random() * 0.12; // 0.88–1.0
-  const toRgb = (h, s, v) => {
-    const i = Math.floor(h * 6);
-    const f = h * 6 - i;
-    const p = v * (1 - s);
-    const q = v * (1 - f * s);
-    const t = v * (1 - (1 - f) * s);
-    const mod = i % 6;
-    const rgb =
-      mod === 0 ? [v, t, p] :
-      mod === 1 ? [q, v, p] :
-      mod === 2 ? [p, v, t] :
-      mod === 3 ? [p, q, v] :
-      mod === 4 ? [t, p, v] :
-      [v, p, q];
-    return rgb;
-  };
-  return toRgb(h, s, v);
-}
+let orbInstancing = null; // ANGLE_instanced_arrays
+let orbInstanceVbo = null; // per-instance center/size/colors, one entry per orb
+let orbInstanceData = new Float32Array(0);
+let orbTrailVbo = null; // ring buffer: one TRAIL_RING_CAPACITY (+1) slot per drawn trail
+let orbTrailIndexVbo = null; // ring positions 0..TRAIL_RING_CAPACITY, shared by every slot
+let trailRingSlots = 0; // slots allocated in orbTrailVbo
+let trailRingUsed = 0; // slots ever handed out (free ones are recycled first)
+let trailRingFree = [];
+// Ring slot ({ slot, head, lastPoint }) per drawn trail, keyed by its point list. A removed
+// orb's list lives on as a retired trail, so the fading trail keeps the slot it already filled.
+const trailRings = new Map();
+
+// Pooled particles: collision sparks, super auras and ground dust (see particles.js)
+const PARTICLE_CAPACITY = 4096;
+const AURA_REFERENCE_SIZE = 0.07; // orb size the superAura preset is tuned for
+// Particles live in world space, so they land on the ground under the spinning planet's terrain
+const particles = createParticlePool(
+  PARTICLE_CAPACITY,
+  () => rngStream("particles")(),
+  (dir) => planetSurfaceRadius(world, dir)
+);
+const particleInstanceData = new Float32Array(PARTICLE_CAPACITY * PARTICLE_INSTANCE_FLOATS);
+let particleProgram = null;
+let particleInstanceVbo = null;
+const auraEmitters = new WeakMap(); // orb -> its superAura emitter
+
+// Bursts follow the world's events, so live ticks and replayed ones look the same
+subscribe(world.events, "collision", ({ position, level }) => spawnCollisionBurst(position, level));
+subscribe(world.events, "impact", ({ normal, speed, level }) => {
+  spawnCollisionBurst(normal, level);
+  spawnGroundDust(normal, speed);
+});
+subscribe(world.events, "superChange", ({ id, level, reason }) => {
+  // A finished power-up goes off like a collision flash at the new level's size
+  const orb = reason === "reached" ? findWorldOrb(world, id) : null;
+  if (orb) spawnCollisionBurst(orb.prevPosition.slice(), level);
+});
+
+// Seeded streams: orbs (creation + flight, in simulation.js) and layout (trees, clouds) never
+// disturb each other
+function layoutRandom() {
+  return rngStream("layout")();
+}
+
+// Saved scenes (serializeScene / loadScene); loading rejects any other version
+const SCENE_FILE_VERSION = 1;
+const COMPACT_PRECISION = 1e4; // compact snapshots keep 4 decimals
+
+const ORB_INSTANCE_FLOATS = 10; // center xyz, size, outer rgb, inner rgb
+const TRAIL_RING_CAPACITY = MAX_TRAIL_POINTS; // stored points per trail slot
+const TRAIL_SLOT_BYTES = (TRAIL_RING_CAPACITY + 1) * 3 * 4; // +1 entry read by the head instance
+const trailUploadScratch = new Float32Array(TRAIL_RING_CAPACITY * 3);
 
 function lerpVec3(out, a, b, t) {
   out[0] = a[0] + (b[0] - a[0]) * t;
@@ -146,31 +236,6 @@ function normalizeVec3(v) {
   return v;
 }
 
-function pickNewFlightSegment(orbState, forceFlip = false) {
-  if (forceFlip || Math.random() < 0.35) {
-    orbState.direction *= -1;
-  }
-  orbState.segmentTime = 0;
-  orbState.segmentDuration = randomRange(0.9, 2.4);
-  orbState.targetAngularSpeed = randomRange(0.35, 1.8);
-
-  const nextRadius = randomRange(1.25, 1.95);
-  orbState.targetRadius = clampOrbit(nextRadius, ORBIT_MIN_RADIUS, ORBIT_MAX_RADIUS);
-
-  const anywhere = randomRange(-0.32, 0.62);
-  const lift = Math.sin(orbState.wobblePhaseA * 0.5 + Math.random() * 0.6) * 0.08;
-  const nextHeight = anywhere + lift;
-  orbState.targetHeight = clampOrbit(nextHeight, ORBIT_MIN_HEIGHT, ORBIT_MAX_HEIGHT);
-
-  // Occasionally pick a completely new orbit plane so he can loop over poles
-  if (forceFlip || Math.random() < 0.6) {
-    orbState.targetPlaneNormal = randomUnitVec3();
-  }
-
-  orbState.teleportPlanned = false;
-  orbState.teleportDone = false;
-}
-
 // Orbit camera state
 const camera = {
   radius: 4.5,
@@ -184,8 +249,47 @@ const camera = {
   isDragging: false,
   lastMouseX: 0,
   lastMouseY: 0,
+  dragTravel: 0, // pixels moved since mousedown; small travel on release counts as a click
   rotationSpeed: 0.0035,
   zoomSpeed: 0.15,
+  mode: "orbit", // "orbit" | "follow" | "free"
+};
+// Quaternion free-fly camera: no phi clamp, so it can pass over the poles and roll
+const freeCam = {
+  position: [0, 0, 4.5],
+  orientation: quat.create(), // camera-to-world rotation; looks down local -Z
+  moveSpeed: 1.2, // units/sec
+  boostMultiplier: 3,
+  rollSpeed: 1.6, // radians/sec
+  lookSpeed: 0.0035, // radians per pixel of drag
+  minRadius: 1.06, // keep the eye out of the planet
+};
+const freeInput = {
+  forward: false,
+  back: false,
+  left: false,
+  right: false,
+  rise: false,
+  sink: false,
+  rollLeft: false,
+  rollRight: false,
+  boost: false,
+};
+// Third-person follow camera: trails an entity and rides its surface normal as up
+const followCam = {
+  target: { kind: "player" }, // { kind: "player" } | { kind: "orb", id }
+  distance: 0.45, // behind the target along its heading
+  minDistance: 0.2,
+  maxDistance: 1.6,
+  height: 0.22, // above the target along its up
+  lookAhead: 0.06, // aim slightly above the target
+  stiffness: 28, // spring constant; damping is derived for critical damping
+  clearance: 0.04, // keep the eye this far off the planet and prop bounds
+  eye: null,
+  eyeVelocity: [0, 0, 0],
+  up: [0, 1, 0],
+  heading: [0, 0, 1],
+  lastTargetPos: null,
 };
 const cameraInput = {
   left: false,
@@ -196,6 +300,17 @@ const cameraInput = {
   zoomOut: false,
 };
 
+// Planet detail by eye distance: icosphere subdivisions for the smooth sphere and for terrain,
+// whose hills need finer cells. Levels past MAX_SHORT_INDEX_SUBDIVISIONS need 32-bit indices
+// and are capped to it when the GPU lacks them.
+const PLANET_LODS = [
+  { maxDistance: 3.0, smooth: 5, terrain: 7 },
+  { maxDistance: 5.5, smooth: 4, terrain: 6 },
+  { maxDistance: Infinity, smooth: 3, terrain: 5 },
+];
+const PLANET_LOD_HYSTERESIS = 0.08;
+const MAX_SHORT_INDEX_SUBDIVISIONS = 6; // 40962 vertices
+
 // Vertex / fragment shader sources for the planet
 const PLANET_VERTEX_SOURCE = `
 attribute vec3 aPosition;
@@ -207,10 +322,12 @@ uniform mat4 uProjection;
 
 varying vec3 vNormal;
 varying vec3 vWorldPos;
+varying float vHeight;
 
 void main() {
   vec4 worldPos = uModel * vec4(aPosition, 1.0);
   vWorldPos = worldPos.xyz;
+  vHeight = length(aPosition) - 1.0; // terrain height; only the planet mesh reads it
 
   // Transform normal by upper-left 3x3 of model matrix
   vNormal = mat3(uModel) * aNormal;
@@ -219,14 +336,113 @@ void main() {
 }
 `;
 
+// Wind uniforms shared by the sway shaders (WebGL1 has no uniform blocks, so setWindUniforms
+// fills them per program). windOffset pushes a point along the wind, across the ground under
+// `up`; `weight` is its height up the stem (0 at the foot, 1 at the top) and `phase` keeps
+// neighbours from swaying in step.
+const WIND_GLSL = `
+uniform vec2 uWindDirection; // cos and sin of the heading, from east toward north
+uniform float uWindStrength; // 0 calm, about 1 in a strong gust
+uniform float uWindTime;
+
+vec3 windOffset(vec3 up, float weight, float phase) {
+  vec3 east = cross(up, vec3(0.0, 1.0, 0.0));
+  east = dot(east, east) > 1e-6 ? normalize(east) : vec3(0.0, 0.0, 1.0);
+  vec3 north = cross(east, up);
+  vec3 along = east * uWindDirection.x + north * uWindDirection.y;
+  vec3 across = cross(up, along);
+  float sway = 0.75 + 0.25 * sin(uWindTime * 2.1 + phase);
+  float flutter = 0.15 * sin(uWindTime * 3.7 + phase * 1.7);
+  return (along * sway + across * flutter) * (uWindStrength * weight * weight);
+}
+`;
+
+// Trees: PLANET_VERTEX_SOURCE plus the wind. Plant space has +Y up from the foot, so aPosition.y
+// over uPlantHeight weights the sway; the top bends by up to TREE_BEND of the tree's height.
+const TREE_VERTEX_SOURCE = `
+attribute vec3 aPosition;
+attribute vec3 aNormal;
+
+uniform mat4 uModel;
+uniform mat4 uView;
+uniform mat4 uProjection;
+uniform float uPlantHeight;
+uniform float uSwayPhase;
+${WIND_GLSL}
+varying vec3 vNormal;
+varying vec3 vWorldPos;
+varying float vHeight;
+
+const float TREE_BEND = 0.15;
+
+void main() {
+  vec4 worldPos = uModel * vec4(aPosition, 1.0);
+  vec3 up = mat3(uModel) * vec3(0.0, 1.0, 0.0); // scaled with the tree
+  float weight = clamp(aPosition.y / uPlantHeight, 0.0, 1.0);
+  worldPos.xyz += windOffset(normalize(up), weight, uSwayPhase) * (TREE_BEND * uPlantHeight * length(up));
+  vWorldPos = worldPos.xyz;
+  vHeight = 0.0;
+  vNormal = mat3(uModel) * aNormal;
+
+  gl_Position = uProjection * uView * worldPos;
+}
+`;
+
+// Grass tufts, one instance per tuft: aRoot is the tuft's foot in planet space and aYawScale its
+// turn around the surface normal and its height. The tangent frame matches
+// buildSurfaceTransformScaled. Blades bend in the wind by up to GRASS_BEND of their height.
+// Shaded with PLANET_FRAGMENT_SOURCE.
+const GRASS_VERTEX_SOURCE = `
+attribute vec3 aPosition;
+attribute vec3 aNormal;
+attribute vec3 aRoot;
+attribute vec2 aYawScale;
+
+uniform mat4 uModel;
+uniform mat4 uView;
+uniform mat4 uProjection;
+${WIND_GLSL}
+varying vec3 vNormal;
+varying vec3 vWorldPos;
+varying float vHeight;
+
+const float GRASS_BEND = 0.45;
+
+void main() {
+  vec3 up = normalize(aRoot);
+  vec3 ref = abs(up.y) > 0.9 ? vec3(1.0, 0.0, 0.0) : vec3(0.0, 1.0, 0.0);
+  vec3 forward = normalize(cross(ref, up));
+  vec3 right = cross(up, forward);
+  float c = cos(aYawScale.x);
+  float s = sin(aYawScale.x);
+  mat3 frame = mat3(right * c - forward * s, up, right * s + forward * c);
+
+  vec3 placed = aRoot + frame * aPosition * aYawScale.y;
+  float phase = dot(aRoot, vec3(23.0, 17.0, 29.0));
+  placed += windOffset(up, clamp(aPosition.y, 0.0, 1.0), phase) * (GRASS_BEND * aYawScale.y);
+  vec4 worldPos = uModel * vec4(placed, 1.0);
+  vWorldPos = worldPos.xyz;
+  vHeight = 0.0;
+  vNormal = mat3(uModel) * (frame * aNormal);
+
+  gl_Position = uProjection * uView * worldPos;
+}
+`;
+
 const PLANET_FRAGMENT_SOURCE = `
 precision mediump float;
 
 varying vec3 vNormal;
 varying vec3 vWorldPos;
+varying float vHeight;
 
 uniform vec3 uLightDirection;
 uniform vec3 uBaseColor;
+// Terrain coloring: with uTerrainHeight > 0 (the hill amplitude), uBaseColor stays in the
+// lowlands, slopes and crater floors turn to dirt and the peaks to rock
+uniform float uTerrainHeight;
+uniform vec3 uDirtColor;
+uniform vec3 uRockColor;
 
 void main() {
   vec3 N = normalize(vNormal);
@@ -244,8 +460,14 @@ void main() {
 
   // Vertical gradient based on normal.y
   float t = clamp(0.5 + 0.5 * N.y, 0.0, 1.0);
-  vec3 topColor = uBaseColor + vec3(0.1, 0.1, 0.0);      // slightly warmer top
-  vec3 bottomColor = uBaseColor * vec3(0.4, 0.6, 1.0);   // cooler bottom
+  vec3 surface = uBaseColor;
+  if (uTerrainHeight > 0.0) {
+    float h = vHeight / uTerrainHeight;
+    surface = mix(surface, uDirtColor, smoothstep(0.3, 0.55, h) + 1.0 - smoothstep(-0.8, -0.5, h));
+    surface = mix(surface, uRockColor, smoothstep(0.6, 0.85, h));
+  }
+  vec3 topColor = surface + vec3(0.1, 0.1, 0.0);      // slightly warmer top
+  vec3 bottomColor = surface * vec3(0.4, 0.6, 1.0);   // cooler bottom
   vec3 base = mix(bottomColor, topColor, t);
 
   vec3 color = base * lighting;
@@ -378,19 +600,25 @@ void main() {
 }
 `;
 
-// Orbiting sprite billboard
+// Orbiting sprite billboard, instanced: one instance per orb or collision burst
 const ORB_VERTEX_SOURCE = `
 attribute vec2 aOffset;
+attribute vec3 aCenter;
+attribute float aSize;
+attribute vec3 aColorOuter;
+attribute vec3 aColorInner;
 uniform mat4 uView;
 uniform mat4 uProjection;
 uniform vec3 uRight;
 uniform vec3 uUp;
-uniform float uSize;
-uniform vec3 uCenter;
 varying vec2 vUv;
+varying vec3 vColorOuter;
+varying vec3 vColorInner;
 void main() {
-  vec3 worldPos = uCenter + (uRight * aOffset.x + uUp * aOffset.y) * uSize;
+  vec3 worldPos = aCenter + (uRight * aOffset.x + uUp * aOffset.y) * aSize;
   vUv = aOffset * 0.5 + 0.5;
+  vColorOuter = aColorOuter;
+  vColorInner = aColorInner;
   gl_Position = uProjection * uView * vec4(worldPos, 1.0);
 }
 `;
@@ -398,13 +626,13 @@ void main() {
 const ORB_FRAGMENT_SOURCE = `
 precision mediump float;
 varying vec2 vUv;
-uniform vec3 uColorOuter;
-uniform vec3 uColorInner;
+varying vec3 vColorOuter;
+varying vec3 vColorInner;
 void main() {
   float d = length(vUv - 0.5) * 2.0;
   float falloff = smoothstep(1.0, 0.0, d);
   float core = smoothstep(0.25, 0.0, d);
-  vec3 col = mix(uColorOuter, uColorInner, core);
+  vec3 col = mix(vColorOuter, vColorInner, core);
   gl_FragColor = vec4(col, falloff);
 }
 `;
@@ -431,23 +659,47 @@ void main() {
 }
 `;
 
-// Orbit trail sprites (billboarded puffs)
+// Orbit trail sprites (billboarded puffs), instanced over one ring-buffer slot per trail.
+// aIndex is the ring position; the extra index uCapacity stands for the interpolated head.
+// Taper comes from each point's age, so stored points never need rewriting as the trail moves.
 const ORB_TRAIL_SPRITE_VERTEX_SOURCE = `
-attribute vec3 aCenter;
 attribute vec2 aOffset;
-attribute float aSize;
-attribute float aAlpha;
+attribute vec3 aCenter;
+attribute float aIndex;
 uniform mat4 uView;
 uniform mat4 uProjection;
 uniform vec3 uRight;
 uniform vec3 uUp;
+uniform float uCapacity;
+uniform float uHead;
+uniform float uCount;
+uniform float uHasHead;
+uniform vec3 uHeadCenter;
+uniform float uSize;
+uniform float uAlphaScale;
 varying vec2 vUv;
 varying float vAlpha;
 void main() {
-  vec3 worldPos = aCenter + (uRight * aOffset.x + uUp * aOffset.y) * aSize;
+  vec3 center = aCenter;
+  float age = 0.0; // 0 = newest drawn point
+  float visible = uHasHead;
+  if (aIndex < uCapacity - 0.5) {
+    float back = uHead - aIndex;
+    back += uCapacity * step(back, -0.5);
+    age = back + uHasHead;
+    visible = step(back, uCount - 0.5);
+  } else {
+    center = uHeadCenter;
+  }
+  float span = uCount + uHasHead - 1.0;
+  float t = span > 0.0 ? 1.0 - age / span : 0.0;
+  // Sharper taper and brighter, fuller head; thinner ribbon, distinct from orb
+  float size = uSize * (0.14 + 0.95 * t);
+  vAlpha = pow(max(t, 0.0), 0.45) * 0.9 * uAlphaScale;
   vUv = aOffset * 0.5 + 0.5;
-  vAlpha = aAlpha;
-  gl_Position = uProjection * uView * vec4(worldPos, 1.0);
+  vec3 worldPos = center + (uRight * aOffset.x + uUp * aOffset.y) * size;
+  // Unused ring entries collapse outside the clip volume
+  gl_Position = visible > 0.5 ? uProjection * uView * vec4(worldPos, 1.0) : vec4(2.0, 2.0, 2.0, 1.0);
 }
 `;
 
@@ -464,6 +716,64 @@ void main() {
 }
 `;
 
+// Particles: instanced soft discs; color (with alpha) comes per instance from particles.js
+const PARTICLE_VERTEX_SOURCE = `
+attribute vec2 aOffset;
+attribute vec3 aCenter;
+attribute float aSize;
+attribute vec4 aColor;
+uniform mat4 uView;
+uniform mat4 uProjection;
+uniform vec3 uRight;
+uniform vec3 uUp;
+varying vec2 vUv;
+varying vec4 vColor;
+void main() {
+  vec3 worldPos = aCenter + (uRight * aOffset.x + uUp * aOffset.y) * aSize;
+  vUv = aOffset;
+  vColor = aColor;
+  gl_Position = uProjection * uView * vec4(worldPos, 1.0);
+}
+`;
+
+const PARTICLE_FRAGMENT_SOURCE = `
+precision mediump float;
+varying vec2 vUv;
+varying vec4 vColor;
+void main() {
+  float falloff = smoothstep(1.0, 0.0, length(vUv));
+  gl_FragColor = vec4(vColor.rgb, vColor.a * falloff);
+}
+`;
+
+// Selection highlight: camera-facing ring around the picked entity
+const SELECTION_VERTEX_SOURCE = `
+attribute vec2 aOffset;
+uniform mat4 uView;
+uniform mat4 uProjection;
+uniform vec3 uRight;
+uniform vec3 uUp;
+uniform vec3 uCenter;
+uniform float uSize;
+varying vec2 vUv;
+void main() {
+  vec3 worldPos = uCenter + (uRight * aOffset.x + uUp * aOffset.y) * uSize;
+  vUv = aOffset;
+  gl_Position = uProjection * uView * vec4(worldPos, 1.0);
+}
+`;
+
+const SELECTION_FRAGMENT_SOURCE = `
+precision mediump float;
+varying vec2 vUv;
+uniform vec3 uColor;
+void main() {
+  float d = length(vUv);
+  float ring = smoothstep(0.84, 0.9, d) * (1.0 - smoothstep(0.95, 1.0, d));
+  gl_FragColor = vec4(uColor, ring * 0.9);
+}
+`;
+
 export function initScene(gl) {
   glRef = gl;
   console.log("Scene initialized");
@@ -477,26 +787,55 @@ export function initScene(gl) {
   // Deep space-like clear color, slight purple/blue tint
   gl.clearColor(0.02, 0.0, 0.08, 1.0);
 
+  uintIndices = gl.getExtension("OES_element_index_uint");
   initBackground(gl);
   setupOrbitControls(gl.canvas);
   initPlanet(gl);
-  initHouse(gl);
-  initGarage(gl);
-  initRoad(gl);
-  initFountain(gl);
+  initProps(gl);
+  initRoads(gl);
   initTrees(gl);
+  initGrass(gl);
+  initPlayer(gl);
   initOrbiters(gl);
+  initParticles(gl);
+  selectionProgram = createSelectionProgram(gl);
+}
+
+// One fixed simulation tick. Everything that affects what the world does lives here,
+// so results depend only on the tick size, not on the display refresh rate.
+export function stepScene(dt) {
+  if (replay) {
+    // The recording stands in for the world's own motion
+    stepReplay(dt);
+  } else {
+    updatePlayerCharacter(dt);
+    stepWorld(world, dt);
+  }
+  emitSuperAuras(dt);
+  stepParticles(particles, dt);
+  if (recorder) captureRecordedFrame(dt);
 }
 
-export function updateScene(gl, dt) {
+// Per-frame work: viewport, camera input and matrices. alpha (0..1) says how far rendering
+// sits between the previous and the latest simulation tick.
+export function updateScene(gl, dt, alpha = 1) {
   resizeViewportIfNeeded(gl);
-  updateCameraMatrices(gl);
-  spinPlanet(dt);
-  bgTime += dt;
+  renderAlpha = Math.max(0, Math.min(1, alpha));
   applyCameraKeyboard(dt);
-  updateOrbiters(dt);
-  decayRetiredTrails(dt);
-  updateCollisionBursts(dt);
+  poseSceneNodes();
+  // Camera last so the follow mode sees this frame's interpolated target
+  updateCameraMatrices(gl, dt);
+  updatePlanetLod();
+}
+
+// Subscribe to a scene event (see scene-events.js for the types and payloads). Returns a
+// function that unsubscribes, same as calling off with the same handler.
+export function on(type, handler) {
+  return subscribe(world.events, type, handler);
+}
+
+export function off(type, handler) {
+  unsubscribe(world.events, type, handler);
 }
 
 export function getCameraState() {
@@ -506,148 +845,849 @@ export function getCameraState() {
     radius: camera.radius,
     minRadius: camera.minRadius,
     maxRadius: camera.maxRadius,
+    mode: camera.mode,
+    followTarget: { ...followCam.target },
+    followDistance: followCam.distance,
+    freePosition: freeCam.position.slice(),
+    freeOrientation: Array.from(freeCam.orientation),
   };
 }
 
-export function setCameraState({ theta, phi, radius }) {
+export function setCameraState({
+  theta,
+  phi,
+  radius,
+  mode,
+  followTarget,
+  followDistance,
+  freePosition,
+  freeOrientation,
+}) {
   if (typeof theta === "number") camera.theta = theta;
   if (typeof phi === "number") camera.phi = Math.max(0.1, Math.min(Math.PI - 0.1, phi));
   if (typeof radius === "number") {
     camera.radius = Math.max(camera.minRadius, Math.min(camera.maxRadius, radius));
   }
+  if (followTarget && (followTarget.kind === "player" || followTarget.kind === "orb")) {
+    const changed =
+      followTarget.kind !== followCam.target.kind || followTarget.id !== followCam.target.id;
+    followCam.target = followTarget.kind === "orb" ? { kind: "orb", id: followTarget.id } : { kind: "player" };
+    if (changed) followCam.lastTargetPos = null;
+  }
+  if (typeof followDistance === "number") {
+    followCam.distance = Math.max(followCam.minDistance, Math.min(followCam.maxDistance, followDistance));
+  }
+  if ((mode === "orbit" || mode === "follow" || mode === "free") && mode !== camera.mode) {
+    // Start free flight from wherever the current view is so the switch is seamless
+    if (mode === "free") syncFreeCameraFromView();
+    camera.mode = mode;
+    if (mode === "follow") resetFollowCamera();
+    clearCameraInput();
+  }
+  if (Array.isArray(freePosition) && freePosition.length === 3) {
+    freeCam.position = freePosition.slice();
+    clampFreeCameraPosition();
+  }
+  if (freeOrientation && freeOrientation.length === 4) {
+    quat.normalize(freeCam.orientation, freeOrientation);
+  }
 }
 
-export function getOrbCount() {
-  return orbCount;
+export function getPlayerState() {
+  if (!player) return null;
+  const { lat, lon } = getPlayerLatLon(player);
+  return {
+    lat,
+    lon,
+    height: player.height,
+    onGround: player.onGround,
+    controlEnabled: playerControlEnabled,
+  };
 }
 
-export function setOrbCount(count) {
-  const next = Math.max(1, Math.min(20, Math.floor(count || 1)));
-  if (!glRef) {
-    orbCount = next;
-    return;
+// When enabled, WASD/Space drive the character; arrows and Q/E keep driving the camera.
+export function setPlayerControlEnabled(enabled) {
+  playerControlEnabled = !!enabled;
+  if (!playerControlEnabled) {
+    playerInput.forward = playerInput.back = playerInput.left = playerInput.right = false;
+    playerInput.jump = false;
   }
+}
 
-  if (!orbStates || !orbStates.length) {
-    orbCount = next;
-    initOrbiters(glRef);
-    return;
+export function getSceneSeed() {
+  return getSeed();
+}
+
+// Reseed every random stream and regenerate what depends on it (terrain, tree layout, orbs).
+export function setSceneSeed(seed) {
+  setSeed(seed);
+  if (!glRef) return; // initScene will build from this seed
+  replay = null; // the new world replaces whatever was being replayed
+  rebuildLayout(glRef);
+  seedWorld(world);
+  clearParticles(particles);
+  selection = null; // ids now name different trees and orbs
+}
+
+// Height of the ground above the base radius 1.0 at a planet-local latitude/longitude (radians);
+// 0 everywhere unless the layout turns terrain on.
+export function surfaceHeightAt(lat, lon) {
+  return terrainHeightAt(terrain, lat, lon);
+}
+
+// The planet layout in use, as plain data (the normalized form, every default filled in).
+export function getLayout() {
+  return JSON.parse(JSON.stringify(layout));
+}
+
+// Rebuild the props, roads and trees from a layout (planet-layout.js describes the format),
+// given as data or a JSON string. Trees are scattered afresh from the layout stream. Returns
+// false and leaves the planet untouched when the layout cannot be read.
+export function loadLayout(json) {
+  const next = normalizeLayout(json);
+  if (!next) return false;
+  layout = next;
+  if (!glRef) return true; // initScene will build from it
+  rebuildLayout(glRef);
+  if (selection && selection.kind === "prop") selection = null; // prop ids may name others now
+  return true;
+}
+
+// { speed, direction }: speed 0 (calm) to MAX_WIND_SPEED, direction the heading the wind blows
+// toward in radians, from east toward north on the ground.
+export function getWind() {
+  return { ...wind };
+}
+
+// Set the wind's speed and/or heading (see getWind); gusts vary both around these.
+export function setWind({ speed, direction } = {}) {
+  if (typeof speed === "number" && Number.isFinite(speed)) {
+    wind.speed = Math.max(0, Math.min(MAX_WIND_SPEED, speed));
   }
+  if (typeof direction === "number" && Number.isFinite(direction)) {
+    wind.direction = ((direction % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+  }
+}
 
-  if (next > orbStates.length) {
-    const toAdd = next - orbStates.length;
-    for (let i = 0; i < toAdd; i++) {
-      const state = createOrbState();
-      const p = currentOrbiterPosition(state);
-      state.trailPositions = [p];
-      state.trailDirty = true;
-      pickNewFlightSegment(state, true);
-      orbStates.push(state);
-    }
-  } else if (next < orbStates.length) {
-    while (orbStates.length > next) {
-      const removed = orbStates.pop();
-      if (removed && removed.trailPositions?.length) {
-        const trailColor = getOrbTrailColor(removed);
-        retiredTrails.push({
-          trailPositions: removed.trailPositions.slice(),
-          size: removed.size,
-          alphaScale: 1,
-          fade: 1.2, // seconds to fade out
-          trailDirty: true,
-          trailIndexCount: removed.trailIndexCount || 0,
-          color: trailColor,
-        });
-      }
+// Turn the layout's procedural terrain on (default hills and craters) or off. Props and trees
+// stay where they are and settle onto the new ground.
+export function setTerrainEnabled(enabled) {
+  if (!!layout.planet.terrain === !!enabled) return;
+  const next = normalizeLayout({ ...layout, planet: { ...layout.planet, terrain: enabled ? {} : null } });
+  if (!next) return;
+  layout = next;
+  if (glRef) rebuildLayout(glRef, standingTreePlacements());
+}
+
+// Layout edit mode: pressing on a prop or tree drags it over the planet instead of turning
+// the camera. Entering it pins the current trees into the layout (trees.placements), so each
+// can be moved on its own and a saved layout keeps them where they stand.
+export function setLayoutEditMode(enabled) {
+  layoutEditing = !!enabled;
+  layoutDrag = null;
+  if (layoutEditing && !layout.trees.placements) pinLayoutTrees();
+}
+
+// { enabled, item, overlaps }: item is the selected prop or tree ({ id, name, type, lat, lon,
+// yaw, scale }, type "tree" and its species for trees) or null; overlaps come from
+// findLayoutOverlaps.
+export function getLayoutEditState() {
+  const found = selection && selection.kind === "prop" ? findLayoutItem(selection.id) : null;
+  let item = null;
+  if (found) {
+    const { lat, lon, yaw, scale } = found.spec;
+    const name = found.kind === "prop" ? props[found.index].name : `Tree ${found.index + 1}`;
+    item = { id: selection.id, name, type: found.kind === "prop" ? found.spec.type : "tree", lat, lon, yaw, scale };
+    if (found.kind === "tree") item.species = trees[found.index].species;
+  }
+  return { enabled: layoutEditing, item, overlaps: findLayoutOverlaps(layout) };
+}
+
+// Add a prop ("house", "garage", "fountain") or a "tree" at { lat, lon }, by default the
+// surface point in the middle of the view, and select it. Returns its id, or null for an
+// unknown type.
+export function addLayoutItem(type, at = null) {
+  if (!glRef || (type !== "tree" && !PROP_DEFAULTS[type])) return null;
+  const rect = glRef.canvas.getBoundingClientRect();
+  const spot = at || surfacePointAt(rect.left + rect.width / 2, rect.top + rect.height / 2) || { lat: 0.5, lon: 0 };
+  if (!layout.trees.placements) pinLayoutTrees();
+
+  let id;
+  if (type === "tree") {
+    const spec = { lat: spot.lat, lon: spot.lon, yaw: 0, scale: 1 };
+    layout.trees.placements.push(spec);
+    id = `tree-${trees.length}`;
+    trees.push(buildTree(glRef, spec, trees.length));
+    spec.species = trees[trees.length - 1].species; // keep it when later trees are rebuilt
+  } else {
+    const spec = { type, lat: spot.lat, lon: spot.lon, ...JSON.parse(JSON.stringify(PROP_DEFAULTS[type])) };
+    layout.props.push(spec);
+    id = propIds(layout.props)[layout.props.length - 1];
+    props.push(buildProp(glRef, spec, id));
+    regrowGrass(glRef);
+  }
+  updateSurfaceBlockers();
+  selection = { kind: "prop", id };
+  return id;
+}
+
+// Move, turn or resize a prop or tree: `patch` holds any of lat, lon, yaw (radians) and scale,
+// and for a tree its species. Returns false when no such item exists.
+export function updateLayoutItem(id, patch = {}) {
+  if (!glRef) return false;
+  if (!layout.trees.placements) pinLayoutTrees();
+  const item = findLayoutItem(id);
+  if (!item) return false;
+  for (const key of ["lat", "lon", "yaw", "scale"]) {
+    const value = patch[key];
+    if (typeof value === "number" && Number.isFinite(value) && (key !== "scale" || value > 0)) {
+      item.spec[key] = value;
     }
   }
+  item.spec.lat = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, item.spec.lat));
+  if (item.kind === "tree" && TREE_SPECIES.includes(patch.species)) item.spec.species = patch.species;
+
+  if (item.kind === "prop") {
+    const old = props[item.index];
+    for (const part of old.parts) deleteMesh(glRef, part.mesh);
+    detachNode(old.node);
+    props[item.index] = buildProp(glRef, item.spec, id);
+    regrowGrass(glRef);
+  } else {
+    deleteTree(glRef, trees[item.index]);
+    trees[item.index] = buildTree(glRef, item.spec, item.index);
+  }
+  updateSurfaceBlockers();
+  return true;
+}
+
+// Delete a prop or tree. Later ones of its kind move up an id ("tree-4" becomes "tree-3").
+export function removeLayoutItem(id) {
+  if (!glRef) return false;
+  if (!layout.trees.placements) pinLayoutTrees();
+  const item = findLayoutItem(id);
+  if (!item) return false;
+  if (item.kind === "prop") {
+    layout.props.splice(item.index, 1);
+    deleteProps(glRef);
+    initProps(glRef);
+    regrowGrass(glRef);
+    updateSurfaceBlockers();
+  } else {
+    layout.trees.placements.splice(item.index, 1);
+    deleteTreeMeshes(glRef);
+    initTrees(glRef);
+  }
+  layoutDrag = null;
+  if (selection && selection.kind === "prop") selection = null;
+  return true;
+}
+
+function pinLayoutTrees() {
+  layout.trees.placements = standingTreePlacements();
+}
+
+// The layout entry behind a prop or tree id: { kind: "prop" | "tree", index, spec }, or null.
+function findLayoutItem(id) {
+  const index = props.findIndex((prop) => prop.id === id);
+  if (index >= 0) return { kind: "prop", index, spec: layout.props[index] };
+  const match = /^tree-(\d+)$/.exec(id);
+  const placements = layout.trees.placements;
+  if (!match || !placements || !placements[Number(match[1])]) return null;
+  return { kind: "tree", index: Number(match[1]), spec: placements[Number(match[1])] };
+}
+
+// The whole scene as a JSON string: camera, planet spin, character, tree layout, group
+// settings and every orb's full state (trail and transformation included). The RNG stream
+// positions ride along, so a loaded scene carries on exactly as the saved one would have.
+// `compact` leaves out trails and rounds to 4 decimals, small enough for a URL.
+export function serializeScene({ compact = false } = {}) {
+  const { time, spinAngle, orbs } = serializeWorld(world, { compact });
+  const scene = {
+    version: SCENE_FILE_VERSION,
+    seed: getSeed(),
+    rng: getStreamStates(),
+    time,
+    camera: getCameraState(),
+    planet: { spinAngle },
+    player: player ? { ...player } : null,
+    wind: { ...wind },
+    props: {
+      trees: trees.map(({ lat, lon, yaw, scale, species }) =>
+        yaw || scale !== 1 ? { lat, lon, yaw, scale, species } : { lat, lon, species }
+      ),
+    },
+    orbs,
+  };
+  // Scenes on the stock planet stay small; any other layout travels with the scene
+  if (JSON.stringify(layout) !== DEFAULT_LAYOUT_JSON) scene.layout = layout;
+  if (!compact) return JSON.stringify(scene);
+  return JSON.stringify(scene, (key, value) =>
+    typeof value === "number" && !Number.isInteger(value)
+      ? Math.round(value * COMPACT_PRECISION) / COMPACT_PRECISION
+      : value
+  );
+}
 
-  orbCount = next;
+// Replace the current scene with serializeScene output (a JSON string or the parsed object).
+// Returns false and leaves the scene untouched when the data is not a scene this version reads.
+export function loadScene(json) {
+  let data = json;
+  if (typeof json === "string") {
+    try {
+      data = JSON.parse(json);
+    } catch (err) {
+      console.error("Scene data is not valid JSON:", err);
+      return false;
+    }
+  }
+  if (!data || data.version !== SCENE_FILE_VERSION) {
+    console.error("Unsupported scene data (expected version " + SCENE_FILE_VERSION + ")");
+    return false;
+  }
+  // Check everything restored below first: past this point the old scene is gone
+  const problem =
+    savedOrbsProblem(data.orbs) ||
+    savedPlayerProblem(data.player) ||
+    savedTreesProblem(data.props?.trees) ||
+    savedCameraProblem(data.camera) ||
+    savedWindProblem(data.wind);
+  if (problem) {
+    console.error("Scene data is damaged:", problem);
+    return false;
+  }
+  if (!glRef) return false; // initScene first: trees and trail buffers need the GL context
+  const nextLayout = data.layout ? normalizeLayout(data.layout) : normalizeLayout(DEFAULT_LAYOUT);
+  if (!nextLayout) return false;
+
+  replay = null; // a loaded scene ends any replay without restoring what it interrupted
+  // Same seed first, so seeded tree shapes and any stream not saved match the original
+  setSeed(data.seed ?? 0);
+  layout = nextLayout;
+  rebuildLayout(glRef, Array.isArray(data.props?.trees) ? data.props.trees : null);
+
+  restoreWorld(world, { time: data.time, spinAngle: data.planet?.spinAngle, orbs: data.orbs });
+  clearParticles(particles);
+  if (player && data.player) {
+    Object.assign(player, data.player);
+    playerPrevPosition = player.position.slice();
+  }
+  if (data.camera) setCameraState(data.camera);
+  if (data.wind) setWind(data.wind);
+  selection = null;
+  // Last: building the orbs above drew from the streams
+  setStreamStates(data.rng);
+  return true;
+}
+
+// Why a saved character cannot be restored, or null. It may be missing (null or undefined).
+function savedPlayerProblem(saved) {
+  if (saved == null) return null;
+  if (typeof saved !== "object" || Array.isArray(saved)) return "player: not an object";
+  for (const key of ["position", "velocity", "up", "forward"]) {
+    const v = saved[key];
+    if (v !== undefined && !isFiniteList(v, 3)) return `player: bad ${key}`;
+  }
+  return null;
+}
+
+// Why saved tree placements cannot be rebuilt, or null. Anything but an array means the
+// layout's own trees, as rebuildLayout treats it.
+function savedTreesProblem(saved) {
+  if (!Array.isArray(saved)) return null;
+  for (let i = 0; i < saved.length; i++) {
+    const tree = saved[i];
+    if (!tree || typeof tree !== "object" || Array.isArray(tree)) return `tree ${i}: not an object`;
+    for (const key of ["lat", "lon"]) {
+      if (!Number.isFinite(tree[key])) return `tree ${i}: bad ${key}`;
+    }
+    for (const key of ["yaw", "scale"]) {
+      if (tree[key] != null && !Number.isFinite(tree[key])) return `tree ${i}: bad ${key}`;
+    }
+    if (tree.species && !TREE_SPECIES.includes(tree.species)) return `tree ${i}: unknown species`;
+  }
+  return null;
 }
 
-export function getOrbiters() {
-  return orbStates.map((o) => ({
-    id: o.id,
-    name: o.name,
-    isSuper: o.isSuper,
-  }));
+// Why a saved camera (getCameraState) cannot be applied, or null. Fields may be left out.
+function savedCameraProblem(saved) {
+  if (saved == null) return null;
+  if (typeof saved !== "object" || Array.isArray(saved)) return "camera: not an object";
+  for (const key of ["theta", "phi", "radius", "followDistance"]) {
+    if (saved[key] !== undefined && !Number.isFinite(saved[key])) return `camera: bad ${key}`;
+  }
+  if (saved.freePosition !== undefined && !isFiniteList(saved.freePosition, 3)) return "camera: bad freePosition";
+  if (saved.freeOrientation !== undefined && !isFiniteList(saved.freeOrientation, 4)) {
+    return "camera: bad freeOrientation";
+  }
+  if (saved.followTarget != null && typeof saved.followTarget !== "object") return "camera: bad followTarget";
+  return null;
 }
 
-export function setOrbSuperSaiyan(id, isSuper) {
-  const orb = orbStates.find((o) => o.id === id);
-  if (!orb) return;
-  orb.isSuper = !!isSuper;
-  if (orb.isSuper) {
-    orb.targetAngularSpeed = Math.max(orb.targetAngularSpeed, 1.6);
+// Why saved wind settings (getWind) cannot be applied, or null.
+function savedWindProblem(saved) {
+  if (saved == null) return null;
+  if (typeof saved !== "object" || Array.isArray(saved)) return "wind: not an object";
+  for (const key of ["speed", "direction"]) {
+    if (saved[key] !== undefined && !Number.isFinite(saved[key])) return `wind: bad ${key}`;
   }
+  return null;
 }
 
-export function renderScene(gl) {
-  gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+function isFiniteList(v, length) {
+  return Array.isArray(v) && v.length === length && v.every(Number.isFinite);
+}
 
-  // Draw background: gradient only
-  gl.disable(gl.DEPTH_TEST);
-  gl.depthMask(false);
-  gl.disable(gl.CULL_FACE);
+function captureRecordedFrame(dt) {
+  const { rec, events } = recorder;
+  if (!rec.step) rec.step = dt;
+  const orbs = new Float32Array(world.orbs.length * REC_ORB_FLOATS);
+  world.orbs.forEach((orb, i) => {
+    noteRecordedOrb(rec, orb);
+    const p = orb.simPosition || currentOrbiterPosition(orb);
+    const t = orb.transform;
+    orbs.set([orb.id, p[0], p[1], p[2], t.level, t.target, t.timer], i * REC_ORB_FLOATS);
+  });
+  const playerFloats = new Float32Array(REC_PLAYER_FLOATS);
+  if (player) {
+    playerFloats.set(player.position, 0);
+    playerFloats.set(player.up, 3);
+    playerFloats.set(player.forward, 6);
+  }
+  const frame = {
+    time: world.time,
+    spin: world.spinAngle,
+    camera: packCamera(getCameraState()),
+    player: playerFloats,
+    orbs,
+    events: Float32Array.from(events),
+  };
+  events.length = 0;
+  if (!addRecordedFrame(rec, frame)) stopRecording(); // out of room: keep what fits
+}
+
+// Advance the playhead by dt at the replay speed, wrapping inside the loop region or stopping
+// at the end.
+function stepReplay(dt) {
+  if (!replay.playing) {
+    // Hold still: without this the last tick's interpolation would keep replaying
+    for (const orb of world.orbs) {
+      orb.prevPosition = orb.simPosition;
+      orb.trailPushed = 0;
+    }
+    world.prevSpinAngle = world.spinAngle;
+    if (player) playerPrevPosition = null;
+    return;
+  }
+  const last = replay.rec.frames.length - 1;
+  let tick = replay.tick + (dt / replay.rec.step) * replay.speed;
+  let cut = false;
+  if (replay.loop && replay.loopEnd > replay.loopStart && tick >= replay.loopEnd) {
+    tick = replay.loopStart + ((tick - replay.loopStart) % (replay.loopEnd - replay.loopStart));
+    cut = true;
+  } else if (tick >= last) {
+    tick = last;
+    replay.playing = false;
+  }
+  replay.tick = tick;
+  applyReplayFrame(cut);
+}
+
+// Pose everything at the playhead, interpolating between the two recorded ticks around it.
+// `cut` (a seek or loop wrap) snaps instead of interpolating and rebuilds the trails.
+function applyReplayFrame(cut) {
+  const frames = replay.rec.frames;
+  const k = Math.min(Math.floor(replay.tick), frames.length - 1);
+  const u = replay.tick - k;
+  const a = frames[k];
+  const b = frames[Math.min(k + 1, frames.length - 1)];
+  const lerp = (x, y) => x + (y - x) * u;
+
+  world.time = lerp(a.time, b.time);
+  const spinB = b.spin < a.spin ? b.spin + Math.PI * 2 : b.spin;
+  const spin = lerp(a.spin, spinB) % (Math.PI * 2);
+  world.prevSpinAngle = cut ? spin : world.spinAngle;
+  world.spinAngle = spin;
+  if (world.spinAngle < world.prevSpinAngle) world.prevSpinAngle -= Math.PI * 2;
+  if (player) {
+    playerPrevPosition = cut ? null : player.position.slice();
+    player.position = [lerp(a.player[0], b.player[0]), lerp(a.player[1], b.player[1]), lerp(a.player[2], b.player[2])];
+    player.up = [a.player[3], a.player[4], a.player[5]];
+    player.forward = [a.player[6], a.player[7], a.player[8]];
+  }
 
-  drawBackgroundGradient(gl);
+  const live = new Map(world.orbs.map((orb) => [orb.id, orb]));
+  const posed = [];
+  for (let i = 0; i < a.orbs.length; i += REC_ORB_FLOATS) {
+    const id = a.orbs[i];
+    let orb = live.get(id);
+    const fresh = !orb;
+    if (fresh) {
+      orb = createReplayOrb(id);
+      emitEvent(world.events, "orbAdded", { id, name: orb.name });
+    }
+    live.delete(id);
+    const j = findRecordedOrb(b, id, i);
+    const p = [a.orbs[i + 1], a.orbs[i + 2], a.orbs[i + 3]];
+    if (j >= 0) {
+      const q = [b.orbs[j + 1], b.orbs[j + 2], b.orbs[j + 3]];
+      // A teleport between the two ticks snaps rather than sliding across the planet
+      if (Math.hypot(q[0] - p[0], q[1] - p[1], q[2] - p[2]) < TELEPORT_BREAK_DIST) lerpVec3(p, p, q, u);
+    }
+    const t = orb.transform;
+    t.level = a.orbs[i + 4];
+    t.target = a.orbs[i + 5];
+    t.timer = a.orbs[i + 6];
+    t.poweringUp = t.target > t.level;
+    orb.trailPushed = 0;
+    orb.snapRender = false;
+    if (cut || fresh) {
+      orb.prevPosition = p;
+      orb.simPosition = p;
+      rebuildReplayTrail(orb, k, i);
+    } else {
+      orb.prevPosition = orb.simPosition;
+      orb.simPosition = p;
+      appendTrailPoint(orb, p.slice());
+    }
+    posed.push(orb);
+  }
+  for (const orb of live.values()) {
+    emitEvent(world.events, "orbRemoved", { id: orb.id, name: orb.name });
+  }
+  world.orbs = posed;
+  world.orbCount = posed.length;
 
-  // Restore depth for scene objects
-  gl.enable(gl.DEPTH_TEST);
-  gl.depthMask(true);
-  gl.depthFunc(gl.LEQUAL);
-  gl.enable(gl.CULL_FACE);
+  // Bursts and events for every recorded tick the playhead moved through
+  if (!cut && replay.lastFrame >= 0) {
+    for (let f = replay.lastFrame + 1; f <= k; f++) replayRecordedEvents(frames[f]);
+  }
+  replay.lastFrame = k;
+
+  if (replay.recordedCamera) {
+    const view = unpackCamera(a.camera);
+    view.theta = lerp(a.camera[0], b.camera[0]);
+    view.phi = lerp(a.camera[1], b.camera[1]);
+    view.radius = lerp(a.camera[2], b.camera[2]);
+    setCameraState(view);
+  }
+}
 
-  drawPlanet(gl, camera.view, camera.projection);
-  drawHouse(gl, camera.view, camera.projection);
-  drawGarage(gl, camera.view, camera.projection);
-  drawRoad(gl, camera.view, camera.projection);
-  drawFountain(gl, camera.view, camera.projection);
-  drawTrees(gl, camera.view, camera.projection);
+function createReplayOrb(id) {
+  const info = replay.rec.orbInfo.get(id) || {};
+  const orb = createOrbState(world);
+  orb.id = id;
+  orb.name = info.name || `Orb ${id}`;
+  if (Array.isArray(info.color)) orb.color = orb.baseColor = info.color.slice();
+  if (Number.isFinite(info.size)) orb.size = info.size;
+  if (Number.isFinite(info.trailMax)) orb.trailMax = info.trailMax;
+  orb.trailPositions = [];
+  return orb;
+}
+
+// Lay the trail down again from the recorded ticks leading up to frame k.
+function rebuildReplayTrail(orb, k, hint) {
+  const frames = replay.rec.frames;
+  orb.trailPositions = [];
+  for (let f = Math.max(0, k - orb.trailMax); f <= k; f++) {
+    const i = findRecordedOrb(frames[f], orb.id, hint);
+    if (i < 0) continue;
+    const o = frames[f].orbs;
+    appendTrailPoint(orb, [o[i + 1], o[i + 2], o[i + 3]]);
+  }
+  appendTrailPoint(orb, orb.simPosition.slice());
+  orb.trailPushed = 0;
+  orb.snapRender = false;
+}
+
+function replayRecordedEvents(frame) {
+  const e = frame.events;
+  for (let i = 0; i < e.length; i += REC_EVENT_FLOATS) {
+    const kind = REC_EVENT_KINDS[e[i]];
+    if (kind === "collision") {
+      const position = [e[i + 3], e[i + 4], e[i + 5]];
+      emitEvent(world.events, "collision", { a: e[i + 1], b: e[i + 2], position, level: e[i + 6] });
+    } else if (kind === "teleport") {
+      emitEvent(world.events, "teleport", {
+        id: e[i + 1],
+        from: [e[i + 2], e[i + 3], e[i + 4]],
+        to: [e[i + 5], e[i + 6], e[i + 7]],
+      });
+    }
+  }
+}
 
-  // Orbiting sprite + trail (drawn last, depth-tested, no depth writes)
-  gl.enable(gl.DEPTH_TEST);
-  gl.depthMask(false);
-  gl.depthFunc(gl.LEQUAL);
-  const cullWasEnabled = gl.isEnabled(gl.CULL_FACE);
-  if (cullWasEnabled) gl.disable(gl.CULL_FACE);
-  gl.enable(gl.BLEND);
-  gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-  drawOrbiterTrail(gl, camera.view, camera.projection);
-  drawOrbiter(gl, camera.view, camera.projection);
-  gl.disable(gl.BLEND);
-  if (cullWasEnabled) gl.enable(gl.CULL_FACE);
-  gl.depthMask(true);
+// Start capturing one frame per simulation tick. Returns false while recording or replaying.
+export function startRecording() {
+  if (recorder || replay) return false;
+  const rec = createRecording();
+  const events = [];
+  const onCollision = ({ a, b, position, level }) => events.push(0, a, b, ...position, level, 0);
+  const onTeleport = ({ id, from, to }) => events.push(1, id, ...from, ...to);
+  subscribe(world.events, "collision", onCollision);
+  subscribe(world.events, "teleport", onTeleport);
+  recorder = { rec, events, onCollision, onTeleport };
+  return true;
 }
 
-// Exported so the camera branch can call it directly if desired.
-export function drawPlanet(gl, view, projection) {
-  if (!planet || !planetProgram) return;
+// Finish the current recording and return it (it also becomes getRecording()).
+export function stopRecording() {
+  if (!recorder) return null;
+  unsubscribe(world.events, "collision", recorder.onCollision);
+  unsubscribe(world.events, "teleport", recorder.onTeleport);
+  lastRecording = recorder.rec;
+  recorder = null;
+  return lastRecording;
+}
 
-  gl.enable(gl.DEPTH_TEST);
-  gl.depthMask(true);
-  gl.depthFunc(gl.LEQUAL);
-  gl.disable(gl.BLEND);
+// The last finished (or replayed / imported) recording, or null.
+export function getRecording() {
+  return lastRecording;
+}
 
-  gl.useProgram(planetProgram);
+export function getRecordingState() {
+  const rec = recorder ? recorder.rec : lastRecording;
+  return {
+    recording: !!recorder,
+    frames: rec ? rec.frames.length : 0,
+    duration: rec ? recordingDuration(rec) : 0,
+    full: !!(rec && rec.full),
+  };
+}
 
-  const cullEnabled = gl.isEnabled(gl.CULL_FACE);
-  if (cullEnabled) gl.disable(gl.CULL_FACE); // render double-sided to avoid missing faces
+// Replay a recording (default: the last one). The live scene is saved and comes back on
+// stopReplay; meanwhile orb motion, planet spin and the character come from the frames.
+export function startReplay(rec = lastRecording) {
+  if (!rec || !rec.frames.length || !glRef) return false;
+  if (recorder) stopRecording();
+  const restore = replay ? replay.restore : serializeScene();
+  for (const orb of world.orbs) emitEvent(world.events, "orbRemoved", { id: orb.id, name: orb.name });
+  world.orbs = [];
+  world.retiredTrails = [];
+  clearParticles(particles);
+  selection = null;
+  lastRecording = rec;
+  replay = {
+    rec,
+    restore,
+    tick: 0, // playhead in frames; fractional between two recorded ticks
+    lastFrame: -1,
+    playing: true,
+    speed: 1,
+    loop: false,
+    loopStart: 0,
+    loopEnd: rec.frames.length - 1,
+    recordedCamera: true, // false leaves the camera to the user
+  };
+  applyReplayFrame(true);
+  return true;
+}
 
-  // Bind position buffer
-  gl.bindBuffer(gl.ARRAY_BUFFER, planet.positionBuffer);
-  gl.enableVertexAttribArray(planetProgram.aPosition);
-  gl.vertexAttribPointer(
-    planetProgram.aPosition,
-    3,
-    gl.FLOAT,
+// Leave the replay and put the live scene back exactly as it was.
+export function stopReplay() {
+  if (!replay) return;
+  const { restore } = replay;
+  replay = null;
+  loadScene(restore);
+}
+
+export function getReplayState() {
+  if (!replay) return null;
+  const { rec } = replay;
+  return {
+    frame: Math.floor(replay.tick),
+    frames: rec.frames.length,
+    time: replay.tick * rec.step,
+    duration: recordingDuration(rec),
+    playing: replay.playing,
+    speed: replay.speed,
+    loop: replay.loop,
+    loopStart: replay.loopStart,
+    loopEnd: replay.loopEnd,
+    recordedCamera: replay.recordedCamera,
+  };
+}
+
+// Patch the replay: { frame, playing, speed, loop, loopStart, loopEnd, recordedCamera }.
+// Setting `frame` seeks there at once, even while paused.
+export function setReplayState({ frame, playing, speed, loop, loopStart, loopEnd, recordedCamera } = {}) {
+  if (!replay) return null;
+  const last = replay.rec.frames.length - 1;
+  const clampFrame = (f) => Math.max(0, Math.min(last, Math.round(f)));
+  if (Number.isFinite(speed)) replay.speed = Math.max(REPLAY_MIN_SPEED, Math.min(REPLAY_MAX_SPEED, speed));
+  if (typeof loop === "boolean") replay.loop = loop;
+  if (Number.isFinite(loopStart)) replay.loopStart = clampFrame(loopStart);
+  if (Number.isFinite(loopEnd)) replay.loopEnd = clampFrame(loopEnd);
+  if (replay.loopStart > replay.loopEnd) [replay.loopStart, replay.loopEnd] = [replay.loopEnd, replay.loopStart];
+  if (typeof recordedCamera === "boolean") replay.recordedCamera = recordedCamera;
+  let seek = Number.isFinite(frame) ? clampFrame(frame) : null;
+  if (typeof playing === "boolean") {
+    replay.playing = playing;
+    // Play at the end starts over (from the loop region when looping)
+    const end = replay.loop ? replay.loopEnd : last;
+    if (playing && seek === null && replay.tick >= end) seek = replay.loop ? replay.loopStart : 0;
+  }
+  if (seek !== null) {
+    replay.tick = seek;
+    applyReplayFrame(true);
+  }
+  return getReplayState();
+}
+
+export function getOrbCount() {
+  return world.orbCount;
+}
+
+export function setOrbCount(count) {
+  if (replay) return; // the recording decides which orbs exist
+  setWorldOrbCount(world, count);
+}
+
+export function getOrbiters() {
+  return getWorldOrbs(world);
+}
+
+// Editable properties of one orb (a copy), or null if the id is unknown.
+export function getOrbProperties(id) {
+  return getWorldOrbProperties(world, id);
+}
+
+// Apply a partial update such as { size: 0.1, speedMax: 2.5 }. Values are clamped to the
+// editor limits and band pairs are kept ordered; returns the resulting properties.
+export function setOrbProperties(id, patch = {}) {
+  return setWorldOrbProperties(world, id, patch);
+}
+
+// Switch one orb between scripted "erratic" flight and Newtonian "orbital" motion.
+export function setOrbPhysicsMode(id, mode) {
+  setWorldOrbPhysicsMode(world, id, mode);
+}
+
+// Group behavior for erratic orbs and the leader that chain/ring/v formations form around.
+export function getOrbGroupBehavior() {
+  return getWorldGroupBehavior(world);
+}
+
+// Switch group behavior ({ mode, leaderId }, either optional); orbs blend in over about a second.
+export function setOrbGroupBehavior({ mode, leaderId } = {}) {
+  return setWorldGroupBehavior(world, { mode, leaderId });
+}
+
+export function getOrbToOrbGravity() {
+  return getWorldOrbGravity(world);
+}
+
+// Orbital-mode orbs also feel every other orb's (small) mass when enabled.
+export function setOrbToOrbGravity(enabled) {
+  setWorldOrbGravity(world, enabled);
+}
+
+// On/off shorthand for the first transformation level.
+export function setOrbSuperSaiyan(id, isSuper) {
+  setOrbSuperLevel(id, isSuper ? 1 : 0);
+}
+
+// Transform an orb to `level` (index into SUPER_LEVELS). Higher levels power up first; lower
+// ones apply at once. revertAfter > 0 returns the orb to base that long after it gets there.
+export function setOrbSuperLevel(id, level, { revertAfter = 0 } = {}) {
+  return setWorldOrbSuperLevel(world, id, level, { revertAfter });
+}
+
+export function getOrbSuperState(id) {
+  return getWorldOrbSuperState(world, id);
+}
+
+// Current click selection with a display name, or null.
+export function getSelection() {
+  const bounds = getSelectionBounds();
+  if (!bounds) return null;
+  return { ...selection, name: bounds.name };
+}
+
+// Select programmatically (e.g. from the orb dropdown); pass null to clear.
+export function setSelection(next) {
+  if (!next) {
+    selection = null;
+    return;
+  }
+  const prev = selection;
+  selection = next.kind === "planet" ? { kind: "planet" } : { kind: next.kind, id: next.id };
+  if (!getSelectionBounds()) selection = prev; // unknown entity: keep what we had
+}
+
+export function renderScene(gl) {
+  gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+  // Draw background: gradient only
+  gl.disable(gl.DEPTH_TEST);
+  gl.depthMask(false);
+  gl.disable(gl.CULL_FACE);
+
+  drawBackgroundGradient(gl);
+
+  // Restore depth for scene objects
+  gl.enable(gl.DEPTH_TEST);
+  gl.depthMask(true);
+  gl.depthFunc(gl.LEQUAL);
+  gl.enable(gl.CULL_FACE);
+
+  drawPlanet(gl, camera.view, camera.projection);
+  drawProps(gl, camera.view, camera.projection);
+  drawRoad(gl, camera.view, camera.projection);
+  // Gusts follow the simulation clock, so the wind holds still while time is paused
+  const gusts = sampleWind(wind, world.time);
+  drawTrees(gl, camera.view, camera.projection, gusts);
+  drawGrass(gl, camera.view, camera.projection, gusts);
+  drawPlayer(gl, camera.view, camera.projection);
+
+  // Orbiting sprite + trail (drawn last, depth-tested, no depth writes)
+  gl.enable(gl.DEPTH_TEST);
+  gl.depthMask(false);
+  gl.depthFunc(gl.LEQUAL);
+  const cullWasEnabled = gl.isEnabled(gl.CULL_FACE);
+  if (cullWasEnabled) gl.disable(gl.CULL_FACE);
+  gl.enable(gl.BLEND);
+  gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+  drawOrbiterTrail(gl, camera.view, camera.projection);
+  drawOrbiter(gl, camera.view, camera.projection);
+  drawParticles(gl, camera.view, camera.projection);
+  drawSelectionHighlight(gl, camera.view, camera.projection);
+  gl.disable(gl.BLEND);
+  if (cullWasEnabled) gl.enable(gl.CULL_FACE);
+  gl.depthMask(true);
+
+  emitEvent(world.events, "frame", { time: world.time, alpha: renderAlpha });
+}
+
+// Exported so the camera branch can call it directly if desired.
+export function drawPlanet(gl, view, projection) {
+  if (!planet || !planetProgram) return;
+
+  gl.enable(gl.DEPTH_TEST);
+  gl.depthMask(true);
+  gl.depthFunc(gl.LEQUAL);
+  gl.disable(gl.BLEND);
+
+  gl.useProgram(planetProgram);
+
+  const cullEnabled = gl.isEnabled(gl.CULL_FACE);
+  if (cullEnabled) gl.disable(gl.CULL_FACE); // render double-sided to avoid missing faces
+
+  // Bind position buffer of the detail level in use
+  const mesh = planet.lods[planet.lod].mesh;
+  gl.bindBuffer(gl.ARRAY_BUFFER, mesh.positionBuffer);
+  gl.enableVertexAttribArray(planetProgram.aPosition);
+  gl.vertexAttribPointer(
+    planetProgram.aPosition,
+    3,
+    gl.FLOAT,
     false,
     0,
     0
   );
 
   // Bind normal buffer
-  gl.bindBuffer(gl.ARRAY_BUFFER, planet.normalBuffer);
+  gl.bindBuffer(gl.ARRAY_BUFFER, mesh.normalBuffer);
   gl.enableVertexAttribArray(planetProgram.aNormal);
   gl.vertexAttribPointer(
     planetProgram.aNormal,
@@ -659,74 +1699,46 @@ export function drawPlanet(gl, view, projection) {
   );
 
   // Bind index buffer
-  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, planet.indexBuffer);
+  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.indexBuffer);
 
   // Set matrices
-  gl.uniformMatrix4fv(planetProgram.uModel, false, planet.modelMatrix);
+  gl.uniformMatrix4fv(planetProgram.uModel, false, getWorldMatrix(planetNode));
   gl.uniformMatrix4fv(planetProgram.uView, false, view);
   gl.uniformMatrix4fv(planetProgram.uProjection, false, projection);
 
-  // Light and planet color (grass-like green)
+  // Light and planet color (grass-like green unless the layout says otherwise)
   gl.uniform3fv(
     planetProgram.uLightDirection,
     new Float32Array([-1.0, -1.0, -0.5])
   );
   gl.uniform3fv(
     planetProgram.uBaseColor,
-    new Float32Array([0.2, 0.8, 0.3])
+    new Float32Array(layout.planet.color)
   );
-
-  gl.drawElements(gl.TRIANGLES, planet.indexCount, gl.UNSIGNED_SHORT, 0);
-
-  if (cullEnabled) gl.enable(gl.CULL_FACE);
-}
-
-function drawHouse(gl, view, projection) {
-  if (!house || !planetProgram) return;
-  gl.useProgram(planetProgram);
-
-  // Render house double-sided to avoid seeing through when camera moves.
-  const cullEnabled = gl.isEnabled(gl.CULL_FACE);
-  if (cullEnabled) gl.disable(gl.CULL_FACE);
-
-  const tempModel = mat4.create();
-
-  for (const part of house.parts) {
-    gl.bindBuffer(gl.ARRAY_BUFFER, part.mesh.positionBuffer);
-    gl.enableVertexAttribArray(planetProgram.aPosition);
-    gl.vertexAttribPointer(planetProgram.aPosition, 3, gl.FLOAT, false, 0, 0);
-
-    gl.bindBuffer(gl.ARRAY_BUFFER, part.mesh.normalBuffer);
-    gl.enableVertexAttribArray(planetProgram.aNormal);
-    gl.vertexAttribPointer(planetProgram.aNormal, 3, gl.FLOAT, false, 0, 0);
-
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, part.mesh.indexBuffer);
-
-    mat4.copy(tempModel, house.baseModel);
-    if (part.modelOffset) mat4.translate(tempModel, tempModel, part.modelOffset);
-
-    gl.uniformMatrix4fv(planetProgram.uModel, false, tempModel);
-    gl.uniformMatrix4fv(planetProgram.uView, false, view);
-    gl.uniformMatrix4fv(planetProgram.uProjection, false, projection);
-    gl.uniform3fv(planetProgram.uLightDirection, new Float32Array([-1.0, -1.0, -0.5]));
-    gl.uniform3fv(planetProgram.uBaseColor, new Float32Array(part.color));
-
-    gl.drawElements(gl.TRIANGLES, part.mesh.indexCount, gl.UNSIGNED_SHORT, 0);
+  const terrainSpec = layout.planet.terrain;
+  if (terrain && terrainSpec) {
+    gl.uniform1f(planetProgram.uTerrainHeight, Math.max(terrain.amplitude, 1e-4));
+    gl.uniform3fv(planetProgram.uDirtColor, new Float32Array(terrainSpec.dirtColor));
+    gl.uniform3fv(planetProgram.uRockColor, new Float32Array(terrainSpec.rockColor));
   }
 
+  gl.drawElements(gl.TRIANGLES, mesh.indexCount, mesh.indexType, 0);
+  // Props, trees and the character share the program and keep their flat colors
+  gl.uniform1f(planetProgram.uTerrainHeight, 0);
+
   if (cullEnabled) gl.enable(gl.CULL_FACE);
 }
 
-function drawTrees(gl, view, projection) {
-  if (!trees.length || !planetProgram) return;
+function drawProps(gl, view, projection) {
+  if (!props.length || !planetProgram) return;
   gl.useProgram(planetProgram);
 
-  const temp = mat4.create();
+  // Render props double-sided to avoid seeing through when camera moves.
   const cullEnabled = gl.isEnabled(gl.CULL_FACE);
   if (cullEnabled) gl.disable(gl.CULL_FACE);
 
-  for (const tree of trees) {
-    for (const part of tree.parts) {
+  for (const prop of props) {
+    for (const part of prop.parts) {
       gl.bindBuffer(gl.ARRAY_BUFFER, part.mesh.positionBuffer);
       gl.enableVertexAttribArray(planetProgram.aPosition);
       gl.vertexAttribPointer(planetProgram.aPosition, 3, gl.FLOAT, false, 0, 0);
@@ -737,57 +1749,61 @@ function drawTrees(gl, view, projection) {
 
       gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, part.mesh.indexBuffer);
 
-      mat4.copy(temp, tree.model);
-      if (part.offset) mat4.translate(temp, temp, part.offset);
-
-      gl.uniformMatrix4fv(planetProgram.uModel, false, temp);
+      gl.uniformMatrix4fv(planetProgram.uModel, false, getWorldMatrix(part.node));
       gl.uniformMatrix4fv(planetProgram.uView, false, view);
       gl.uniformMatrix4fv(planetProgram.uProjection, false, projection);
       gl.uniform3fv(planetProgram.uLightDirection, new Float32Array([-1.0, -1.0, -0.5]));
       gl.uniform3fv(planetProgram.uBaseColor, new Float32Array(part.color));
 
-      gl.drawElements(gl.TRIANGLES, part.mesh.indexCount, gl.UNSIGNED_SHORT, 0);
+      gl.drawElements(gl.TRIANGLES, part.mesh.indexCount, part.mesh.indexType, 0);
     }
   }
 
   if (cullEnabled) gl.enable(gl.CULL_FACE);
 }
 
-function drawGarage(gl, view, projection) {
-  if (!garage || !planetProgram) return;
-  gl.useProgram(planetProgram);
+function drawTrees(gl, view, projection, gusts) {
+  if (!trees.length || !treeProgram) return;
+  gl.useProgram(treeProgram);
+  setWindUniforms(gl, treeProgram, gusts);
+
   const cullEnabled = gl.isEnabled(gl.CULL_FACE);
   if (cullEnabled) gl.disable(gl.CULL_FACE);
 
-  gl.bindBuffer(gl.ARRAY_BUFFER, garage.mesh.positionBuffer);
-  gl.enableVertexAttribArray(planetProgram.aPosition);
-  gl.vertexAttribPointer(planetProgram.aPosition, 3, gl.FLOAT, false, 0, 0);
+  for (const tree of trees) {
+    gl.uniform1f(treeProgram.uPlantHeight, tree.plantHeight);
+    gl.uniform1f(treeProgram.uSwayPhase, tree.swayPhase);
+    for (const part of tree.parts) {
+      gl.bindBuffer(gl.ARRAY_BUFFER, part.mesh.positionBuffer);
+      gl.enableVertexAttribArray(treeProgram.aPosition);
+      gl.vertexAttribPointer(treeProgram.aPosition, 3, gl.FLOAT, false, 0, 0);
 
-  gl.bindBuffer(gl.ARRAY_BUFFER, garage.mesh.normalBuffer);
-  gl.enableVertexAttribArray(planetProgram.aNormal);
-  gl.vertexAttribPointer(planetProgram.aNormal, 3, gl.FLOAT, false, 0, 0);
+      gl.bindBuffer(gl.ARRAY_BUFFER, part.mesh.normalBuffer);
+      gl.enableVertexAttribArray(treeProgram.aNormal);
+      gl.vertexAttribPointer(treeProgram.aNormal, 3, gl.FLOAT, false, 0, 0);
 
-  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, garage.mesh.indexBuffer);
+      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, part.mesh.indexBuffer);
 
-  gl.uniformMatrix4fv(planetProgram.uModel, false, garage.baseModel);
-  gl.uniformMatrix4fv(planetProgram.uView, false, view);
-  gl.uniformMatrix4fv(planetProgram.uProjection, false, projection);
-  gl.uniform3fv(planetProgram.uLightDirection, new Float32Array([-1.0, -1.0, -0.5]));
-  gl.uniform3fv(planetProgram.uBaseColor, new Float32Array(garage.color));
+      gl.uniformMatrix4fv(treeProgram.uModel, false, getWorldMatrix(part.node));
+      gl.uniformMatrix4fv(treeProgram.uView, false, view);
+      gl.uniformMatrix4fv(treeProgram.uProjection, false, projection);
+      gl.uniform3fv(treeProgram.uLightDirection, new Float32Array([-1.0, -1.0, -0.5]));
+      gl.uniform3fv(treeProgram.uBaseColor, new Float32Array(part.color));
 
-  gl.drawElements(gl.TRIANGLES, garage.mesh.indexCount, gl.UNSIGNED_SHORT, 0);
+      gl.drawElements(gl.TRIANGLES, part.mesh.indexCount, part.mesh.indexType, 0);
+    }
+  }
 
   if (cullEnabled) gl.enable(gl.CULL_FACE);
 }
 
 function drawRoad(gl, view, projection) {
-  if (!road || !planetProgram) return;
+  if (!roadBands.length || !planetProgram) return;
   gl.useProgram(planetProgram);
   const cullEnabled = gl.isEnabled(gl.CULL_FACE);
   if (cullEnabled) gl.disable(gl.CULL_FACE);
 
-  const bands = [road, ...roadStripes, roadCap].filter(Boolean);
-  for (const band of bands) {
+  for (const band of roadBands) {
     gl.bindBuffer(gl.ARRAY_BUFFER, band.mesh.positionBuffer);
     gl.enableVertexAttribArray(planetProgram.aPosition);
     gl.vertexAttribPointer(planetProgram.aPosition, 3, gl.FLOAT, false, 0, 0);
@@ -798,26 +1814,25 @@ function drawRoad(gl, view, projection) {
 
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, band.mesh.indexBuffer);
 
-    gl.uniformMatrix4fv(planetProgram.uModel, false, band.baseModel);
+    gl.uniformMatrix4fv(planetProgram.uModel, false, getWorldMatrix(band.node));
     gl.uniformMatrix4fv(planetProgram.uView, false, view);
     gl.uniformMatrix4fv(planetProgram.uProjection, false, projection);
     gl.uniform3fv(planetProgram.uLightDirection, new Float32Array([-1.0, -1.0, -0.5]));
     gl.uniform3fv(planetProgram.uBaseColor, new Float32Array(band.color));
 
-    gl.drawElements(gl.TRIANGLES, band.mesh.indexCount, gl.UNSIGNED_SHORT, 0);
+    gl.drawElements(gl.TRIANGLES, band.mesh.indexCount, band.mesh.indexType, 0);
   }
 
   if (cullEnabled) gl.enable(gl.CULL_FACE);
 }
 
-function drawFountain(gl, view, projection) {
-  if (!fountain || !planetProgram) return;
+function drawPlayer(gl, view, projection) {
+  if (!player || !playerMesh || !planetProgram) return;
   gl.useProgram(planetProgram);
   const cullEnabled = gl.isEnabled(gl.CULL_FACE);
   if (cullEnabled) gl.disable(gl.CULL_FACE);
 
-  const temp = mat4.create();
-  for (const part of fountain.parts) {
+  for (const part of playerMesh.parts) {
     gl.bindBuffer(gl.ARRAY_BUFFER, part.mesh.positionBuffer);
     gl.enableVertexAttribArray(planetProgram.aPosition);
     gl.vertexAttribPointer(planetProgram.aPosition, 3, gl.FLOAT, false, 0, 0);
@@ -828,335 +1843,350 @@ function drawFountain(gl, view, projection) {
 
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, part.mesh.indexBuffer);
 
-    mat4.copy(temp, fountain.baseModel);
-    if (part.modelOffset) mat4.translate(temp, temp, part.modelOffset);
-
-    gl.uniformMatrix4fv(planetProgram.uModel, false, temp);
+    gl.uniformMatrix4fv(planetProgram.uModel, false, getWorldMatrix(part.node));
     gl.uniformMatrix4fv(planetProgram.uView, false, view);
     gl.uniformMatrix4fv(planetProgram.uProjection, false, projection);
     gl.uniform3fv(planetProgram.uLightDirection, new Float32Array([-1.0, -1.0, -0.5]));
     gl.uniform3fv(planetProgram.uBaseColor, new Float32Array(part.color));
 
-    gl.drawElements(gl.TRIANGLES, part.mesh.indexCount, gl.UNSIGNED_SHORT, 0);
+    gl.drawElements(gl.TRIANGLES, part.mesh.indexCount, part.mesh.indexType, 0);
   }
 
   if (cullEnabled) gl.enable(gl.CULL_FACE);
 }
 
-function initPlanet(gl) {
-  // Radius 1.0 sphere, with moderate resolution
-  const { positions, normals, indices } = createSphere(1.0, 32, 32);
+// Every grass tuft in one instanced draw, turned with the planet.
+function drawGrass(gl, view, projection, gusts) {
+  if (!grass || !grassProgram || !orbInstancing) return;
+  gl.useProgram(grassProgram);
+  setWindUniforms(gl, grassProgram, gusts);
 
-  // Position buffer
-  const positionBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.STATIC_DRAW);
+  // Blades are single flat strips, seen from both sides
+  const cullEnabled = gl.isEnabled(gl.CULL_FACE);
+  if (cullEnabled) gl.disable(gl.CULL_FACE);
 
-  // Normal buffer
-  const normalBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(normals), gl.STATIC_DRAW);
+  gl.bindBuffer(gl.ARRAY_BUFFER, grass.mesh.positionBuffer);
+  gl.enableVertexAttribArray(grassProgram.aPosition);
+  gl.vertexAttribPointer(grassProgram.aPosition, 3, gl.FLOAT, false, 0, 0);
 
-  // Index buffer
-  const indexBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
-  gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices), gl.STATIC_DRAW);
+  gl.bindBuffer(gl.ARRAY_BUFFER, grass.mesh.normalBuffer);
+  gl.enableVertexAttribArray(grassProgram.aNormal);
+  gl.vertexAttribPointer(grassProgram.aNormal, 3, gl.FLOAT, false, 0, 0);
 
-  planet = {
-    positionBuffer,
-    normalBuffer,
-    indexBuffer,
-    indexCount: indices.length,
-    // Model matrix as Float32Array (identity) to be compatible with uniformMatrix4fv
-    modelMatrix: new Float32Array([
-      1, 0, 0, 0,
-      0, 1, 0, 0,
-      0, 0, 1, 0,
-      0, 0, 0, 1,
-    ]),
-  };
+  gl.bindBuffer(gl.ARRAY_BUFFER, grass.instanceBuffer);
+  const instanced = [
+    [grassProgram.aRoot, 3, 0],
+    [grassProgram.aYawScale, 2, 12],
+  ];
+  for (const [loc, size, offset] of instanced) {
+    gl.enableVertexAttribArray(loc);
+    gl.vertexAttribPointer(loc, size, gl.FLOAT, false, 20, offset);
+    orbInstancing.vertexAttribDivisorANGLE(loc, 1);
+  }
 
-  planetProgram = createPlanetProgram(gl);
-}
+  gl.uniformMatrix4fv(grassProgram.uModel, false, getWorldMatrix(planetNode));
+  gl.uniformMatrix4fv(grassProgram.uView, false, view);
+  gl.uniformMatrix4fv(grassProgram.uProjection, false, projection);
+  gl.uniform3fv(grassProgram.uLightDirection, new Float32Array([-1.0, -1.0, -0.5]));
+  gl.uniform3fv(grassProgram.uBaseColor, new Float32Array(grass.color));
 
-function initHouse(gl) {
-  // Simpler stable version: hemisphere + box door
-  const hemiRadius = 0.6;
-  const domeGeom = createHemisphere(hemiRadius, 24, 32);
-  const domeMesh = createMesh(gl, domeGeom);
+  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, grass.mesh.indexBuffer);
+  orbInstancing.drawElementsInstancedANGLE(gl.TRIANGLES, grass.mesh.indexCount, grass.mesh.indexType, 0, grass.count);
 
-  const doorDims = { w: 0.22, h: 0.28, d: 0.10 }; // wider/taller/deeper box door
-  const doorGeom = buildBox(doorDims);
-  const doorMesh = createMesh(gl, doorGeom);
+  for (const [loc] of instanced) {
+    orbInstancing.vertexAttribDivisorANGLE(loc, 0);
+    gl.disableVertexAttribArray(loc);
+  }
+  if (cullEnabled) gl.enable(gl.CULL_FACE);
+}
 
-  const scale = 0.36;
-  const modelMatrix = buildSurfaceTransformScaled(
-    1.0,
-    Math.PI * 0.18,
-    Math.PI * 0.3,
-    hemiRadius,
-    scale,
-    0,
-    -0.18
-  );
+// `gusts` is sampleWind output for this frame.
+function setWindUniforms(gl, program, gusts) {
+  gl.uniform2f(program.uWindDirection, Math.cos(gusts.direction), Math.sin(gusts.direction));
+  gl.uniform1f(program.uWindStrength, gusts.strength);
+  gl.uniform1f(program.uWindTime, world.time);
+}
 
-  const doorPush = hemiRadius * scale + doorDims.d * 3.4; // stronger protrusion to edge
+function initPlanet(gl) {
+  initPlanetMesh(gl);
+  planetProgram = createPlanetProgram(gl);
+  treeProgram = createTreeProgram(gl);
+  grassProgram = createGrassProgram(gl);
+}
 
-  house = {
-    parts: [
-      { mesh: domeMesh, color: [1.0, 0.92, 0.55], modelOffset: [0, 0, 0] },
-      { mesh: doorMesh, color: [1.0, 1.0, 1.0], modelOffset: [0, doorDims.h * 0.6, doorPush] },
-    ],
-    baseModel: modelMatrix,
+// Terrain from the layout; the craters come from their own generator keyed on the seed, so the
+// same seed always gives the same ground however often it is rebuilt.
+function initTerrain() {
+  const spec = layout.planet.terrain;
+  terrain = spec ? createTerrain(spec, createRng(hashSeed(`${getSeed()}:terrain`))) : null;
+  world.terrain = terrain;
+}
+
+// One icosphere per PLANET_LODS level; updatePlanetLod picks which one draws.
+function initPlanetMesh(gl) {
+  initTerrain();
+  const maxSubdivisions = uintIndices ? Infinity : MAX_SHORT_INDEX_SUBDIVISIONS;
+  planet = {
+    lods: PLANET_LODS.map((level) => {
+      const subdivisions = Math.min(terrain ? level.terrain : level.smooth, maxSubdivisions);
+      const geom = buildIcosphere(subdivisions, 1.0);
+      return { maxDistance: level.maxDistance, subdivisions, mesh: createMesh(gl, terrain ? displaceByTerrain(geom) : geom) };
+    }),
+    lod: 0,
   };
+  updatePlanetLod();
 }
 
-function initGarage(gl) {
-  // Simplified garage: small hemisphere
-  const gRadius = 0.32;
-  const garageGeom = createHemisphere(gRadius, 16, 24);
-  const garageMesh = createMesh(gl, garageGeom);
+function deletePlanetMesh(gl) {
+  if (!planet) return;
+  for (const level of planet.lods) deleteMesh(gl, level.mesh);
+  planet = null;
+}
 
-  const scale = 0.26;
-  const modelMatrix = buildSurfaceTransformScaled(
-    1.0,
-    Math.PI * 0.22,  // a bit higher toward the top
-    Math.PI * 0.30 + Math.PI * 0.18, // offset from house, not overlapping fountain
-    gRadius,
-    scale,
-    0,
-    -0.30
-  );
+// The unit sphere pushed out to the terrain height at every vertex, with normals from the
+// displaced faces.
+function displaceByTerrain({ positions, indices }) {
+  for (let i = 0; i < positions.length; i += 3) {
+    const r = groundRadius(terrain, [positions[i], positions[i + 1], positions[i + 2]]);
+    positions[i] *= r;
+    positions[i + 1] *= r;
+    positions[i + 2] *= r;
+  }
+  return { positions, normals: computeNormals(positions, indices), indices };
+}
+
+// Switch planet detail with the eye distance. A level is kept until the eye is well past its
+// boundary, so hovering at a threshold does not flicker between two meshes.
+function updatePlanetLod() {
+  if (!planet) return;
+  const distance = getCameraDistance();
+  const lods = planet.lods;
+  let i = planet.lod;
+  while (i < lods.length - 1 && distance > lods[i].maxDistance * (1 + PLANET_LOD_HYSTERESIS)) i++;
+  while (i > 0 && distance < lods[i - 1].maxDistance * (1 - PLANET_LOD_HYSTERESIS)) i--;
+  planet.lod = i;
+}
+
+// Eye distance from the planet center: camera.radius while orbiting, else where the follow or
+// free camera actually sits.
+function getCameraDistance() {
+  if (camera.mode === "free") return length(freeCam.position);
+  if (camera.mode === "follow" && followCam.eye) return length(followCam.eye);
+  return camera.radius;
+}
+
+const PROP_NAMES = { house: "House", garage: "Garage", fountain: "Fountain" };
+
+// Meshes and model-space shape of each prop type: the parts (offset from the prop origin),
+// the height used to seat it on the surface, the footprint radius the character cannot walk
+// into, and a sphere for click picking.
+const PROP_BUILDERS = {
+  house(gl, spec) {
+    // Simpler stable version: hemisphere + box door
+    const hemiRadius = 0.6;
+    const domeMesh = createMesh(gl, createHemisphere(hemiRadius, 24, 32));
+    const doorDims = { w: 0.22, h: 0.28, d: 0.10 }; // wider/taller/deeper box door
+    const doorMesh = createMesh(gl, buildBox(doorDims));
+    const doorPush = hemiRadius * spec.scale + doorDims.d * 3.4; // stronger protrusion to edge
+    return {
+      parts: [
+        { mesh: domeMesh, color: spec.color, modelOffset: [0, 0, 0] },
+        { mesh: doorMesh, color: spec.accent, modelOffset: [0, doorDims.h * 0.6, doorPush] },
+      ],
+      baseHeight: hemiRadius,
+      footprint: hemiRadius,
+      pickBounds: { center: [0, 0, 0], radius: hemiRadius },
+    };
+  },
 
-  garage = {
-    mesh: garageMesh,
-    color: [0.92, 0.88, 0.78],
-    baseModel: modelMatrix,
+  garage(gl, spec) {
+    // Simplified garage: small hemisphere
+    const gRadius = 0.32;
+    return {
+      parts: [{ mesh: createMesh(gl, createHemisphere(gRadius, 16, 24)), color: spec.color }],
+      baseHeight: gRadius,
+      footprint: gRadius,
+      pickBounds: { center: [0, 0, 0], radius: gRadius },
+    };
+  },
+
+  fountain(gl, spec) {
+    // Simplified fountain: short cylinder base + small sphere cap
+    const baseHeight = 0.08;
+    const baseRadius = 0.20;
+    const capRadius = 0.12;
+    const baseMesh = createMesh(gl, createCylinder(baseRadius, baseRadius, baseHeight, 20));
+    const capMesh = createMesh(gl, createSphere(capRadius, 12, 16));
+    return {
+      parts: [
+        { mesh: baseMesh, color: spec.color, modelOffset: [0, baseHeight * 0.5, 0] },
+        { mesh: capMesh, color: spec.accent, modelOffset: [0, baseHeight + capRadius * 0.8, 0] },
+      ],
+      baseHeight: baseHeight + capRadius,
+      footprint: baseRadius,
+      pickBounds: {
+        center: [0, (baseHeight + capRadius * 1.8) * 0.5, 0],
+        radius: Math.hypot(baseRadius, (baseHeight + capRadius * 1.8) * 0.5),
+      },
+    };
+  },
+};
+
+// One prop per layout entry. Ids are the type ("house"), then "house-2" and on for repeats.
+function initProps(gl) {
+  const ids = propIds(layout.props);
+  props = layout.props.map((spec, i) => buildProp(gl, spec, ids[i]));
+}
+
+function buildProp(gl, spec, id) {
+  const shape = PROP_BUILDERS[spec.type](gl, spec);
+  const model = buildSurfaceTransformScaled(
+    1.0 + surfaceHeightAt(spec.lat, spec.lon),
+    spec.lat,
+    spec.lon,
+    shape.baseHeight,
+    spec.scale,
+    spec.yaw,
+    spec.offsetFactor
+  );
+  const n = id.split("-")[1];
+  return {
+    id,
+    name: n ? `${PROP_NAMES[spec.type]} ${n}` : PROP_NAMES[spec.type],
+    type: spec.type,
+    lat: spec.lat,
+    lon: spec.lon,
+    footprint: shape.footprint * spec.scale,
+    parts: shape.parts,
+    node: attachPropNode(planetNode, spec.type, model, shape.parts),
+    pickBounds: shape.pickBounds,
   };
 }
 
-function initRoad(gl) {
-  // Belt hugging the planet along a latitude band
-  const latCenter = 0.0; // equatorial belt
-  const latHalf = 0.12; // wider band
-  const latTop = latCenter + latHalf;
-  const latBottom = latCenter - latHalf;
+function deleteProps(gl) {
+  for (const prop of props) {
+    for (const part of prop.parts) deleteMesh(gl, part.mesh);
+    detachNode(prop.node);
+  }
+  props = [];
+}
+
+// Mesh for the belt between two latitudes, pushed out by `lift` to avoid z-fighting with the
+// planet. `topLift` raises the upper edge further so stripes lean out and read against the road.
+// Over terrain the belt follows the ground, with extra rows across so hills between its edges
+// do not poke through.
+function createLatitudeBand(gl, latBottom, latTop, lift, topLift = 1) {
   const steps = 128;
+  const rows = terrain ? Math.max(1, Math.ceil((latTop - latBottom) / 0.03)) : 1;
   const positions = [];
   const normals = [];
   const indices = [];
-  const lift = 1.01; // small outward lift to avoid z-fighting with planet
-
   for (let i = 0; i <= steps; i++) {
     const lon = (i / steps) * Math.PI * 2;
     const cosLon = Math.cos(lon);
     const sinLon = Math.sin(lon);
 
-    // top edge
-    const xTop = Math.cos(latTop) * cosLon;
-    const yTop = Math.sin(latTop);
-    const zTop = Math.cos(latTop) * sinLon;
-    positions.push(xTop, yTop, zTop);
-    const lenTop = Math.hypot(xTop, yTop, zTop) || 1;
-    normals.push(xTop / lenTop, yTop / lenTop, zTop / lenTop);
-
-    // bottom edge
-    const xBot = Math.cos(latBottom) * cosLon;
-    const yBot = Math.sin(latBottom);
-    const zBot = Math.cos(latBottom) * sinLon;
-    positions.push(xBot, yBot, zBot);
-    const lenBot = Math.hypot(xBot, yBot, zBot) || 1;
-    normals.push(xBot / lenBot, yBot / lenBot, zBot / lenBot);
+    // top edge first, down to the bottom edge
+    for (let r = 0; r <= rows; r++) {
+      const lat = latTop + ((latBottom - latTop) * r) / rows;
+      const x = Math.cos(lat) * cosLon;
+      const y = Math.sin(lat);
+      const z = Math.cos(lat) * sinLon;
+      const radius = groundRadius(terrain, [x, y, z]) * lift * (r === 0 ? topLift : 1);
+      positions.push(x * radius, y * radius, z * radius);
+      const len = Math.hypot(x, y, z) || 1;
+      normals.push(x / len, y / len, z / len);
+    }
   }
 
+  const stride = rows + 1;
   for (let i = 0; i < steps; i++) {
-    const a = i * 2;
-    const b = a + 1;
-    const c = a + 2;
-    const d = a + 3;
-    indices.push(a, b, c, c, b, d);
-  }
-
-  // Lift main road band outward
-  for (let i = 0; i < positions.length; i += 3) {
-    positions[i] *= lift;
-    positions[i + 1] *= lift;
-    positions[i + 2] *= lift;
+    for (let r = 0; r < rows; r++) {
+      const a = i * stride + r;
+      const b = a + 1;
+      const c = a + stride;
+      const d = c + 1;
+      indices.push(a, b, c, c, b, d);
+    }
   }
+  return createMesh(gl, { positions, normals, indices });
+}
 
-  const roadMesh = createMesh(gl, { positions, normals, indices });
-  const baseModel = mat4.create(); // centered; no extra rotation
-  road = {
-    mesh: roadMesh,
-    color: [0.7, 0.7, 0.7],
-    baseModel,
-  };
-
-  // Stripes alongside the road
-  roadStripes = [];
-  const stripeWidth = 0.02;
-  const stripeGap = 0.01;
-  const stripeHalf = stripeWidth * 0.5;
+// Belts hugging the planet along latitude bands, each with optional stripes alongside and an
+// optional cap filling the planet from the north pole down to the belt.
+function initRoads(gl) {
+  roadBands = [];
+  const lift = 1.01; // small outward lift to avoid z-fighting with planet
   const stripeLift = 0.02;
-
-  const topCenter = latTop + stripeGap + stripeHalf;
-  const botCenter = latBottom - stripeGap - stripeHalf;
-  const stripeBand = (center) => {
-    const sTop = center + stripeHalf;
-    const sBot = center - stripeHalf;
-    const sPositions = [];
-    const sNormals = [];
-    const sIndices = [];
-    for (let i = 0; i <= steps; i++) {
-      const lon = (i / steps) * Math.PI * 2;
-      const cosLon = Math.cos(lon);
-      const sinLon = Math.sin(lon);
-
-      const xTop = Math.cos(sTop) * cosLon;
-      const yTop = Math.sin(sTop);
-      const zTop = Math.cos(sTop) * sinLon;
-      // Top row lifted outward
-      sPositions.push(xTop * (1 + stripeLift), yTop * (1 + stripeLift), zTop * (1 + stripeLift));
-      const lenTop = Math.hypot(xTop, yTop, zTop) || 1;
-      sNormals.push(xTop / lenTop, yTop / lenTop, zTop / lenTop);
-
-      const xBot = Math.cos(sBot) * cosLon;
-      const yBot = Math.sin(sBot);
-      const zBot = Math.cos(sBot) * sinLon;
-      // Bottom row stays on the surface to keep contact with planet
-      sPositions.push(xBot, yBot, zBot);
-      const lenBot = Math.hypot(xBot, yBot, zBot) || 1;
-      sNormals.push(xBot / lenBot, yBot / lenBot, zBot / lenBot);
-    }
-    for (let i = 0; i < steps; i++) {
-      const a = i * 2;
-      const b = a + 1;
-      const c = a + 2;
-      const d = a + 3;
-      sIndices.push(a, b, c, c, b, d);
-    }
-    // Lift stripe outward
-    for (let i = 0; i < sPositions.length; i += 3) {
-      sPositions[i] *= lift;
-      sPositions[i + 1] *= lift;
-      sPositions[i + 2] *= lift;
-    }
-    return createMesh(gl, { positions: sPositions, normals: sNormals, indices: sIndices });
+  const addBand = (name, mesh, color) => {
+    roadBands.push({ mesh, color, node: attachPropNode(planetNode, name) }); // centered; no extra rotation
   };
 
-  roadStripes.push({
-    mesh: stripeBand(topCenter),
-    color: [0.6, 0.6, 0.6],
-    baseModel: mat4.create(),
-  });
-  roadStripes.push({
-    mesh: stripeBand(botCenter),
-    color: [0.6, 0.6, 0.6],
-    baseModel: mat4.create(),
-  });
+  for (const road of layout.roads) {
+    const latTop = road.lat + road.halfWidth;
+    const latBottom = road.lat - road.halfWidth;
+    addBand("road", createLatitudeBand(gl, latBottom, latTop, lift), road.color);
+
+    // Stripes alongside the road
+    if (road.stripes) {
+      const { width, gap, color } = road.stripes;
+      const half = width * 0.5;
+      for (const center of [latTop + gap + half, latBottom - gap - half]) {
+        addBand("road-stripe", createLatitudeBand(gl, center - half, center + half, lift, 1 + stripeLift), color);
+      }
+    }
 
-  // Cap to fill the middle (triangle fan from pole down to latTop)
-  const capSteps = steps;
-  const capPositions = [0, 1, 0]; // pole center
-  const capNormals = [0, 1, 0];
-  const capIndices = [];
-  const latCap = latTop;
-  for (let i = 0; i <= capSteps; i++) {
-    const lon = (i / capSteps) * Math.PI * 2;
-    const x = Math.cos(latCap) * Math.cos(lon);
-    const y = Math.sin(latCap);
-    const z = Math.cos(latCap) * Math.sin(lon);
-    capPositions.push(x * lift, y * lift, z * lift); // lift cap outward
-    const len = Math.hypot(x, y, z) || 1;
-    capNormals.push(x / len, y / len, z / len);
-  }
-  for (let i = 1; i <= capSteps; i++) {
-    capIndices.push(0, i, i + 1);
-  }
-  roadCap = {
-    mesh: createMesh(gl, { positions: capPositions, normals: capNormals, indices: capIndices }),
-    color: [0.7, 0.7, 0.7],
-    baseModel: mat4.create(),
-  };
+    // Cap to fill the middle (triangle fan from pole down to latTop)
+    if (road.cap) {
+      const capSteps = 128;
+      const capPositions = [0, groundRadius(terrain, [0, 1, 0]), 0]; // pole center
+      const capNormals = [0, 1, 0];
+      const capIndices = [];
+      for (let i = 0; i <= capSteps; i++) {
+        const lon = (i / capSteps) * Math.PI * 2;
+        const x = Math.cos(latTop) * Math.cos(lon);
+        const y = Math.sin(latTop);
+        const z = Math.cos(latTop) * Math.sin(lon);
+        const radius = groundRadius(terrain, [x, y, z]) * lift; // lift cap outward
+        capPositions.push(x * radius, y * radius, z * radius);
+        const len = Math.hypot(x, y, z) || 1;
+        capNormals.push(x / len, y / len, z / len);
+      }
+      for (let i = 1; i <= capSteps; i++) {
+        capIndices.push(0, i, i + 1);
+      }
+      addBand("road-cap", createMesh(gl, { positions: capPositions, normals: capNormals, indices: capIndices }), road.color);
+    }
+  }
 }
 
-function initFountain(gl) {
-  // Simplified fountain: short cylinder base + small sphere cap
-  const baseHeight = 0.08;
-  const baseRadius = 0.20;
-  const capRadius = 0.12;
-
-  const baseGeom = createCylinder(baseRadius, baseRadius, baseHeight, 20);
-  const capGeom = createSphere(capRadius, 12, 16);
-  const baseMesh = createMesh(gl, baseGeom);
-  const capMesh = createMesh(gl, capGeom);
-
-  const scale = 0.38;
-  const modelMatrix = buildSurfaceTransformScaled(
-    1.0,
-    Math.PI * 0.24,  // slightly higher toward top
-    Math.PI * 0.30 - Math.PI * 0.18, // opposite side from garage
-    baseHeight + capRadius,
-    scale,
-    0,
-    -0.08
-  );
-
-  fountain = {
-    parts: [
-      { mesh: baseMesh, color: [0.9, 0.9, 0.95], modelOffset: [0, baseHeight * 0.5, 0] },
-      { mesh: capMesh, color: [0.85, 0.85, 0.95], modelOffset: [0, baseHeight + capRadius * 0.8, 0] },
-    ],
-    baseModel: modelMatrix,
-  };
+// Whether a surface spot keeps clear of the roads (by the tree rules' roadClearance), the props'
+// clearances and the exclusion zones: the rules every scattered tree and grass tuft follows.
+function isClearOfLayout(lat, lon) {
+  const rules = layout.trees;
+  for (const road of layout.roads) {
+    if (Math.abs(lat - road.lat) < road.halfWidth + rules.roadClearance) return false;
+  }
+  for (const prop of layout.props) {
+    if (angularSeparation(lat, lon, prop.lat, prop.lon) < prop.clearance) return false;
+  }
+  for (const zone of rules.exclusions) {
+    if (angularSeparation(lat, lon, zone.lat, zone.lon) < zone.radius) return false;
+  }
+  return true;
 }
 
-function initTrees(gl) {
+// Trees where the layout places them, else scattered by its rules. `placements`
+// ([{ lat, lon }], e.g. from a saved scene) overrides both.
+function initTrees(gl, placements = null) {
   trees = [];
-
-  // Broccoli-like: short pale trunk with fuller, larger crowns
-  const baseTrunkHeight = 0.22;
-  const baseTrunkRadiusBottom = 0.055;
-  const baseTrunkRadiusTop = 0.04;
-  const baseFoliageRadius = 0.16;
-
-  const trunkGeom = createCylinder(baseTrunkRadiusTop, baseTrunkRadiusBottom, baseTrunkHeight, 12);
-  const trunkMesh = createMesh(gl, trunkGeom);
-  const foliageGeom = createSphere(baseFoliageRadius, 12, 14);
-  const foliageMesh = createMesh(gl, foliageGeom);
-
-  // Procedurally distribute trees around the planet, avoiding other objects
-  const treesToPlace = 20;
-  const houseLat = Math.PI * 0.18;
-  const houseLon = Math.PI * 0.3;
-  const garageLat = Math.PI * 0.22;
-  const garageLon = Math.PI * 0.30 + Math.PI * 0.18;
-  const fountainLat = Math.PI * 0.24;
-  const fountainLon = Math.PI * 0.30 - Math.PI * 0.18;
-  const roadLatHalf = 0.12; // matches initRoad
-  const roadClearance = 0.06; // keep trees off the belt
-  const minTreeSeparation = 0.16;
-  const latMin = roadLatHalf + roadClearance + 0.02; // just outside the road band
-  const poleMargin = 0.08; // avoid exact poles for stability
-  const latMax = Math.PI * 0.5 - poleMargin; // nearly up to the poles
-
-  const blockers = [
-    { lat: houseLat, lon: houseLon, minAngle: 0.32 },
-    { lat: garageLat, lon: garageLon, minAngle: 0.26 },
-    { lat: fountainLat, lon: fountainLon, minAngle: 0.24 },
-  ];
-
-  const placements = [];
+  const rules = layout.trees;
+  const generated = [];
 
   const isPlacementClear = (lat, lon) => {
-    if (Math.abs(lat) < roadLatHalf + roadClearance) return false;
-    for (const blocker of blockers) {
-      if (angularSeparation(lat, lon, blocker.lat, blocker.lon) < blocker.minAngle) {
-        return false;
-      }
-    }
-    for (const existing of placements) {
-      if (angularSeparation(lat, lon, existing.lat, existing.lon) < minTreeSeparation) {
+    if (!isClearOfLayout(lat, lon)) return false;
+    for (const existing of generated) {
+      if (angularSeparation(lat, lon, existing.lat, existing.lon) < rules.minSeparation) {
         return false;
       }
     }
@@ -1165,48 +2195,215 @@ function initTrees(gl) {
 
   const tryAddPlacement = (lat, lon) => {
     if (isPlacementClear(lat, lon)) {
-      placements.push({ lat, lon });
+      generated.push({ lat, lon });
       return true;
     }
     return false;
   };
 
-  let attempts = 0;
-  const maxAttempts = treesToPlace * 30;
-  while (placements.length < treesToPlace && attempts < maxAttempts) {
-    attempts++;
-    const hemisphere = Math.random() < 0.5 ? -1 : 1; // both hemispheres
-    const lat = hemisphere * (latMin + Math.random() * (latMax - latMin));
-    const lon = Math.random() * Math.PI * 2;
-    tryAddPlacement(lat, lon);
-  }
-
-  // Ensure some trees opposite the house/road, spreading across hemispheres
-  const extra = [
-    { lat: houseLat + 0.02, lon: houseLon + Math.PI },
-    { lat: -(houseLat + 0.05), lon: houseLon + Math.PI + 0.25 },
-    { lat: -(houseLat - 0.03), lon: houseLon + Math.PI - 0.2 },
+  if (!placements) placements = rules.placements;
+  if (!placements) {
+    let attempts = 0;
+    const maxAttempts = rules.count * 30;
+    while (generated.length < rules.count && attempts < maxAttempts) {
+      attempts++;
+      const hemisphere = layoutRandom() < 0.5 ? -1 : 1; // both hemispheres
+      const lat = hemisphere * (rules.minLat + layoutRandom() * (rules.maxLat - rules.minLat));
+      const lon = layoutRandom() * Math.PI * 2;
+      tryAddPlacement(lat, lon);
+    }
+
+    // Spots the layout wants filled when they are clear
+    rules.extra.forEach((p) => tryAddPlacement(p.lat, p.lon));
+    placements = generated;
+  }
+
+  placements.forEach((p, idx) => trees.push(buildTree(gl, p, idx)));
+  updateSurfaceBlockers();
+}
+
+// One tree for a placement ({ lat, lon }, optional yaw, scale and species). Its species (unless
+// the placement names one) and its shape come from a generator keyed on the seed and the tree's
+// index, so a tree keeps its look while it is dragged and in a reloaded scene.
+function buildTree(gl, p, idx) {
+  const rules = layout.trees;
+  const yaw = p.yaw ?? 0;
+  const scale = p.scale ?? 1;
+  const random = createRng(hashSeed(`${getSeed()}:plant:${idx}`));
+  // Always draw the species so the shape reads the same numbers whether or not the placement
+  // names one (saved scenes and edited layouts do)
+  const drawn = pickSpecies(rules.species, random);
+  const species = p.species || drawn;
+  const palette =
+    species === "broccoli" ? { trunk: rules.trunkColor, foliage: rules.foliageColors } : SPECIES_PALETTES[species];
+  const plant = buildPlant(species, random, palette);
+  const size = scale * (0.9 + 0.2 * random());
+  const ground = 1.0 + surfaceHeightAt(p.lat, p.lon);
+  // Sink the foot a little so trunks on a slope do not float
+  const model = buildSurfaceTransformScaled(ground, p.lat, p.lon, plant.height, size, yaw, -0.04);
+
+  const parts = plant.parts.map((geom) => ({ mesh: createMesh(gl, geom), color: geom.color }));
+  return {
+    lat: p.lat,
+    lon: p.lon,
+    yaw,
+    scale,
+    species,
+    plantHeight: plant.height,
+    swayPhase: (p.lat * 7.3 + p.lon * 3.1) % (Math.PI * 2),
+    footprint: plant.trunkRadius * size,
+    node: attachPropNode(planetNode, `tree-${idx}`, model, parts),
+    pickBounds: { center: [0, plant.height * 0.5, 0], radius: Math.hypot(plant.crownRadius, plant.height * 0.5) },
+    parts,
+  };
+}
+
+// Layout data for the standing trees, as placements.
+function standingTreePlacements() {
+  return trees.map(({ lat, lon, yaw, scale, species }) => ({ lat, lon, yaw, scale, species }));
+}
+
+// Grass tufts where the layout's density map says, clear of the roads, props and exclusion
+// zones like the trees, and (with terrain) only on the green lowlands. Every candidate spot draws
+// the same numbers whether it is kept or not, so moving a prop only changes the grass around it.
+function initGrass(gl) {
+  const rules = layout.grass;
+  if (!rules || !rules.count) return;
+  const random = createRng(hashSeed(`${getSeed()}:grass`));
+  const tuft = buildGrassTuft(random);
+
+  const data = [];
+  for (let i = 0; i < rules.count; i++) {
+    const y = random() * 2 - 1;
+    const a = random() * Math.PI * 2;
+    const keep = random();
+    const yaw = random() * Math.PI * 2;
+    const height = rules.height * (0.7 + 0.6 * random());
+
+    const s = Math.sqrt(1 - y * y);
+    const dir = [s * Math.cos(a), y, s * Math.sin(a)];
+    if (keep >= grassDensity(rules, dir)) continue;
+    if (!isClearOfLayout(Math.asin(y), Math.atan2(dir[2], dir[0]))) continue;
+    const ground = groundRadius(terrain, dir);
+    if (terrain) {
+      // Same bands as the planet shader's dirt and rock
+      const h = (ground - 1) / terrain.amplitude;
+      if (h > 0.3 || h < -0.5) continue;
+    }
+    const root = ground - 0.002; // sink the foot so slopes do not show it
+    data.push(dir[0] * root, dir[1] * root, dir[2] * root, yaw, height);
+  }
+  if (!data.length) return;
+
+  const instanceBuffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, instanceBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(data), gl.STATIC_DRAW);
+  grass = { mesh: createMesh(gl, tuft), instanceBuffer, count: data.length / 5, color: rules.color };
+}
+
+// The character walks around the props' own footprints and the tree trunks.
+function updateSurfaceBlockers() {
+  surfaceBlockers = [...props, ...trees].map(({ lat, lon, footprint }) => ({ lat, lon, radius: footprint }));
+}
+
+function initPlayer(gl) {
+  // Small capsule-ish figure: orange gi body with a round head
+  const bodyHeight = 0.09;
+  const bodyRadius = 0.03;
+  const headRadius = 0.026;
+  const bodyMesh = createMesh(gl, createCylinder(bodyRadius * 0.85, bodyRadius, bodyHeight, 14));
+  const headMesh = createMesh(gl, createSphere(headRadius, 10, 12));
+  const beltMesh = createMesh(gl, createCylinder(bodyRadius * 1.02, bodyRadius * 1.02, 0.012, 14));
+
+  const parts = [
+    { mesh: bodyMesh, color: [1.0, 0.55, 0.12], modelOffset: [0, bodyHeight * 0.5, 0] },
+    { mesh: beltMesh, color: [0.15, 0.25, 0.75], modelOffset: [0, bodyHeight * 0.45, 0] },
+    { mesh: headMesh, color: [1.0, 0.85, 0.7], modelOffset: [0, bodyHeight + headRadius * 0.9, 0] },
   ];
-  extra.forEach((p) => tryAddPlacement(p.lat, p.lon));
-
-  placements.forEach((p, idx) => {
-    const n = noise.perlin2(Math.cos(p.lat + idx) * 2.3, Math.sin(p.lon + idx) * 2.3);
-    const scaleJitter = 0.9 + 0.25 * n;
-    const trunkHeight = baseTrunkHeight * scaleJitter;
-    const foliageRadius = baseFoliageRadius * (0.92 + 0.28 * noise.perlin2(p.lat * 3.1, p.lon * 3.7));
-    const modelScale = 0.58 * scaleJitter;
-    const model = buildSurfaceTransformScaled(1.0, p.lat, p.lon, trunkHeight + foliageRadius, modelScale, 0, -0.12);
-
-    trees.push({
-      model,
-      parts: [
-        { mesh: trunkMesh, color: [0.94, 0.92, 0.88], offset: [0, trunkHeight * 0.5, 0] },
-        { mesh: foliageMesh, color: [0.11, 0.55, 0.11], offset: [0.03, trunkHeight + foliageRadius * 0.35, 0.02] },
-        { mesh: foliageMesh, color: [0.13, 0.60, 0.12], offset: [-0.02, trunkHeight + foliageRadius * 0.85, 0.03] },
-        { mesh: foliageMesh, color: [0.10, 0.50, 0.10], offset: [0.02, trunkHeight + foliageRadius * 1.35, -0.03] },
-      ],
-    });
-  });
+  // Posed every frame by poseSceneNodes; the character moves in planet-local space
+  playerMesh = { parts, node: attachPropNode(planetNode, "player", null, parts) };
+  player = createPlayer();
+}
+
+function updatePlayerCharacter(dt) {
+  if (!player) return;
+  playerPrevPosition = player.position.slice();
+  const wasAirborne = !player.onGround;
+  const fallSpeed = -dot(player.velocity, player.up);
+  updatePlayer(player, playerInput, dt, surfaceBlockers, (up) => groundRadius(terrain, up));
+  if (wasAirborne && player.onGround) {
+    // Particles live in world space; the character stands on the spinning planet
+    spawnGroundDust(vec3.rotateY([0, 0, 0], player.up, [0, 0, 0], -world.spinAngle), fallSpeed);
+  }
+}
+
+function getPlayerRenderPosition() {
+  if (!playerPrevPosition) return player.position.slice();
+  return lerpVec3([0, 0, 0], playerPrevPosition, player.position, renderAlpha);
+}
+
+// Planet-local model matrix from the player's tangent frame (same column layout as
+// buildSurfaceTransformScaled).
+function buildPlayerModel() {
+  const { up, forward, left } = getPlayerFrame(player);
+  const position = getPlayerRenderPosition();
+  const m = mat4.create();
+  m[0] = left[0];    m[1] = left[1];    m[2] = left[2];
+  m[4] = up[0];      m[5] = up[1];      m[6] = up[2];
+  m[8] = forward[0]; m[9] = forward[1]; m[10] = forward[2];
+  m[12] = position[0]; m[13] = position[1]; m[14] = position[2];
+  return m;
+}
+
+function deleteMesh(gl, mesh) {
+  gl.deleteBuffer(mesh.positionBuffer);
+  gl.deleteBuffer(mesh.normalBuffer);
+  gl.deleteBuffer(mesh.indexBuffer);
+}
+
+function deleteTreeMeshes(gl) {
+  for (const tree of trees) deleteTree(gl, tree);
+  trees = [];
+}
+
+function deleteTree(gl, tree) {
+  for (const part of tree.parts) deleteMesh(gl, part.mesh);
+  detachNode(tree.node);
+}
+
+function deleteLayoutMeshes(gl) {
+  deleteProps(gl);
+  for (const band of roadBands) {
+    deleteMesh(gl, band.mesh);
+    detachNode(band.node);
+  }
+  roadBands = [];
+  deleteTreeMeshes(gl);
+  deleteGrass(gl);
+}
+
+function deleteGrass(gl) {
+  if (!grass) return;
+  deleteMesh(gl, grass.mesh);
+  gl.deleteBuffer(grass.instanceBuffer);
+  grass = null;
+}
+
+// Grass keeps clear of the props, so it follows them when they are added, moved or removed.
+function regrowGrass(gl) {
+  deleteGrass(gl);
+  initGrass(gl);
+}
+
+// Ground, props, roads, trees and grass for the current layout; trees go at `treePlacements` when given.
+function rebuildLayout(gl, treePlacements = null) {
+  deleteLayoutMeshes(gl);
+  deletePlanetMesh(gl);
+  initPlanetMesh(gl);
+  initProps(gl);
+  initRoads(gl);
+  initTrees(gl, treePlacements);
+  initGrass(gl);
 }
 
 function createMesh(gl, geom) {
@@ -1218,18 +2415,52 @@ function createMesh(gl, geom) {
   gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
   gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(geom.normals), gl.STATIC_DRAW);
 
+  // 16-bit indices unless the mesh has more vertices than they can address
+  const wide = geom.positions.length / 3 > 65536;
+  if (wide && !uintIndices) {
+    console.error(`Mesh has ${geom.positions.length / 3} vertices; without OES_element_index_uint its indices wrap`);
+  }
+  const useUint = wide && uintIndices;
   const indexBuffer = gl.createBuffer();
   gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
-  gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(geom.indices), gl.STATIC_DRAW);
+  gl.bufferData(
+    gl.ELEMENT_ARRAY_BUFFER,
+    useUint ? new Uint32Array(geom.indices) : new Uint16Array(geom.indices),
+    gl.STATIC_DRAW
+  );
 
   return {
     positionBuffer,
     normalBuffer,
     indexBuffer,
     indexCount: geom.indices.length,
+    indexType: useUint ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT,
   };
 }
 
+// A prop's node under `parent` with `model` as its local transform, plus one child node per
+// part, offset by the part's modelOffset. Each part gets its node as `part.node`.
+function attachPropNode(parent, name, model = null, parts = []) {
+  const node = attachNode(parent, createSceneNode(name, model));
+  for (const part of parts) {
+    const offset = part.modelOffset ? mat4.fromTranslation(mat4.create(), part.modelOffset) : null;
+    part.node = attachNode(node, createSceneNode(name, offset));
+  }
+  return node;
+}
+
+// Pose the moving nodes for this frame: the planet at the interpolated spin and the character
+// at its interpolated position. Props are fixed to the planet, so their cached world matrices
+// are only rebuilt when the spin actually changed.
+function poseSceneNodes() {
+  const spin = world.prevSpinAngle + (world.spinAngle - world.prevSpinAngle) * renderAlpha;
+  if (spin !== planetNodeSpin) {
+    planetNodeSpin = spin;
+    setNodeLocal(planetNode, mat4.fromYRotation(mat4.create(), -spin));
+  }
+  if (player && playerMesh) setNodeLocal(playerMesh.node, buildPlayerModel());
+}
+
 function buildSurfaceTransformScaled(radius, lat, lon, baseHeight, scale, yawAroundUp = 0, offsetFactor = 0.9) {
   // Position so local +Y aligns with planet normal, +Z is tangent "forward", +X is right.
   const surfacePos = [
@@ -1261,44 +2492,11 @@ function buildSurfaceTransformScaled(radius, lat, lon, baseHeight, scale, yawAro
   m[4] = up[0];      m[5] = up[1];      m[6] = up[2];
   m[8] = forward[0]; m[9] = forward[1]; m[10] = forward[2];
   m[12] = pos[0];    m[13] = pos[1];    m[14] = pos[2];
-  if (yawAroundUp !== 0) mat4.rotate(m, m, yawAroundUp, up);
+  if (yawAroundUp !== 0) mat4.rotateY(m, m, yawAroundUp); // local +Y is the surface normal
   mat4.scale(m, m, [scale, scale, scale]);
   return m;
 }
 
-// Angular separation between two lat/lon points (radians)
-function angularSeparation(lat1, lon1, lat2, lon2) {
-  const sin1 = Math.sin(lat1), cos1 = Math.cos(lat1);
-  const sin2 = Math.sin(lat2), cos2 = Math.cos(lat2);
-  const dLon = lon1 - lon2;
-  return Math.acos(sin1 * sin2 + cos1 * cos2 * Math.cos(dLon));
-}
-
-function computeNormals(positions, indices) {
-  const normals = new Array(positions.length).fill(0);
-  for (let i = 0; i < indices.length; i += 3) {
-    const ia = indices[i] * 3;
-    const ib = indices[i + 1] * 3;
-    const ic = indices[i + 2] * 3;
-    const ax = positions[ia], ay = positions[ia + 1], az = positions[ia + 2];
-    const bx = positions[ib], by = positions[ib + 1], bz = positions[ib + 2];
-    const cx = positions[ic], cy = positions[ic + 1], cz = positions[ic + 2];
-    const abx = bx - ax, aby = by - ay, abz = bz - az;
-    const acx = cx - ax, acy = cy - ay, acz = cz - az;
-    const nx = aby * acz - abz * acy;
-    const ny = abz * acx - abx * acz;
-    const nz = abx * acy - aby * acx;
-    normals[ia] += nx; normals[ia + 1] += ny; normals[ia + 2] += nz;
-    normals[ib] += nx; normals[ib + 1] += ny; normals[ib + 2] += nz;
-    normals[ic] += nx; normals[ic + 1] += ny; normals[ic + 2] += nz;
-  }
-  for (let i = 0; i < normals.length; i += 3) {
-    const len = Math.hypot(normals[i], normals[i + 1], normals[i + 2]) || 1;
-    normals[i] /= len; normals[i + 1] /= len; normals[i + 2] /= len;
-  }
-  return normals;
-}
-
 function cross(a, b) {
   return [
     a[1] * b[2] - a[2] * b[1],
@@ -1307,6 +2505,10 @@ function cross(a, b) {
   ];
 }
 
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
 function length(v) {
   return Math.hypot(v[0], v[1], v[2]);
 }
@@ -1327,16 +2529,38 @@ function setupOrbitControls(canvas) {
 }
 
 function handleMouseDown(event) {
+  if (layoutEditing) {
+    const hit = pickAt(event.clientX, event.clientY);
+    if (hit && hit.kind === "prop") {
+      selection = hit;
+      layoutDrag = { id: hit.id };
+      return;
+    }
+  }
   camera.isDragging = true;
+  camera.dragTravel = 0;
   camera.lastMouseX = event.clientX;
   camera.lastMouseY = event.clientY;
 }
 
-function handleMouseUp() {
+function handleMouseUp(event) {
+  if (layoutDrag) {
+    layoutDrag = null;
+    return;
+  }
+  // A press that barely moved is a click: select what is under the cursor
+  if (camera.isDragging && camera.dragTravel < CLICK_SLOP) {
+    selection = pickAt(event.clientX, event.clientY);
+  }
   camera.isDragging = false;
 }
 
 function handleMouseMove(event) {
+  if (layoutDrag) {
+    const spot = surfacePointAt(event.clientX, event.clientY);
+    if (spot) updateLayoutItem(layoutDrag.id, spot);
+    return;
+  }
   if (!camera.isDragging) return;
 
   const deltaX =
@@ -1347,6 +2571,17 @@ function handleMouseMove(event) {
     typeof event.movementY === "number"
       ? event.movementY
       : event.clientY - camera.lastMouseY;
+  camera.dragTravel += Math.abs(deltaX) + Math.abs(deltaY);
+  if (camera.mode === "follow") return;
+
+  if (camera.mode === "free") {
+    // Mouse-look around the camera's own up/right axes; no pitch clamp
+    rotateFreeCamera([0, 1, 0], -deltaX * freeCam.lookSpeed);
+    rotateFreeCamera([1, 0, 0], -deltaY * freeCam.lookSpeed);
+    camera.lastMouseX = event.clientX;
+    camera.lastMouseY = event.clientY;
+    return;
+  }
 
   camera.theta += deltaX * camera.rotationSpeed;
   camera.phi -= deltaY * camera.rotationSpeed;
@@ -1363,13 +2598,120 @@ function handleWheel(event) {
   event.preventDefault();
 
   const delta = event.deltaY * camera.zoomSpeed * 0.01;
+  if (camera.mode === "free") return;
+  if (camera.mode === "follow") {
+    setCameraState({ followDistance: followCam.distance + delta * 0.3 });
+    return;
+  }
   camera.radius = Math.max(
     camera.minRadius,
     Math.min(camera.maxRadius, camera.radius + delta)
   );
 }
 
+// WASD/Space go to the character while it has control; returns true when consumed.
+function handlePlayerKey(key, pressed) {
+  if (!playerControlEnabled) return false;
+  switch (key) {
+    case "w":
+      playerInput.forward = pressed;
+      return true;
+    case "s":
+      playerInput.back = pressed;
+      return true;
+    case "a":
+      playerInput.left = pressed;
+      return true;
+    case "d":
+      playerInput.right = pressed;
+      return true;
+    case " ":
+      playerInput.jump = pressed;
+      return true;
+    default:
+      return false;
+  }
+}
+
+// 6DOF keys while the free-fly camera is active; returns true when consumed.
+function handleFreeFlyKey(key, pressed) {
+  if (camera.mode !== "free") return false;
+  switch (key) {
+    case "w":
+    case "arrowup":
+      freeInput.forward = pressed;
+      return true;
+    case "s":
+    case "arrowdown":
+      freeInput.back = pressed;
+      return true;
+    case "a":
+    case "arrowleft":
+      freeInput.left = pressed;
+      return true;
+    case "d":
+    case "arrowright":
+      freeInput.right = pressed;
+      return true;
+    case "r":
+    case " ":
+      freeInput.rise = pressed;
+      return true;
+    case "f":
+    case "control":
+      freeInput.sink = pressed;
+      return true;
+    case "q":
+      freeInput.rollLeft = pressed;
+      return true;
+    case "e":
+      freeInput.rollRight = pressed;
+      return true;
+    case "shift":
+      freeInput.boost = pressed;
+      return true;
+    default:
+      return false;
+  }
+}
+
+// Input types that take typed keys; sliders, checkboxes and buttons only take focus from a
+// click, so shortcuts keep working after one is used.
+const TEXT_INPUT_TYPES = [
+  "text",
+  "search",
+  "email",
+  "url",
+  "tel",
+  "password",
+  "number",
+  "date",
+  "datetime-local",
+  "month",
+  "week",
+  "time",
+];
+
+// True while `target` takes typed text or choices (text fields, textareas, selects,
+// contentEditable), so keyboard shortcuts leave those keys to it.
+export function isEditableTarget(target) {
+  if (!target) return false;
+  if (target.tagName === "INPUT") return TEXT_INPUT_TYPES.includes(target.type);
+  return target.tagName === "TEXTAREA" || target.tagName === "SELECT" || !!target.isContentEditable;
+}
+
 function handleKeyDown(event) {
+  if (isEditableTarget(event.target)) return;
+  const key = event.key.toLowerCase();
+  if (key === "v" && !event.repeat) {
+    // Toggle free flight against the orbit camera
+    setCameraState({ mode: camera.mode === "free" ? "orbit" : "free" });
+    return;
+  }
+  if (handleFreeFlyKey(key, true) || handlePlayerKey(key, true)) {
+    event.preventDefault();
+    return;
+  }
   switch (event.key.toLowerCase()) {
     case "a":
     case "arrowleft":
@@ -1401,7 +2743,10 @@ function handleKeyDown(event) {
   }
 }
 
+// Releases are not filtered by focus, so a key held while clicking into a field never sticks
 function handleKeyUp(event) {
+  const key = event.key.toLowerCase();
+  if (handleFreeFlyKey(key, false) || handlePlayerKey(key, false)) return;
   switch (event.key.toLowerCase()) {
     case "a":
     case "arrowleft":
@@ -1436,6 +2781,13 @@ function handleKeyUp(event) {
 function applyCameraKeyboard(dt) {
   const rotSpeed = 1.4 * dt;
   const zoomDelta = camera.zoomSpeed * 1.2;
+  if (camera.mode === "free") return;
+  if (camera.mode === "follow") {
+    const followDelta = zoomDelta * 0.1;
+    if (cameraInput.zoomIn) setCameraState({ followDistance: followCam.distance - followDelta });
+    if (cameraInput.zoomOut) setCameraState({ followDistance: followCam.distance + followDelta });
+    return;
+  }
   if (cameraInput.left) camera.theta -= rotSpeed;
   if (cameraInput.right) camera.theta += rotSpeed;
   if (cameraInput.up) camera.phi = Math.max(0.1, camera.phi - rotSpeed);
@@ -1444,11 +2796,19 @@ function applyCameraKeyboard(dt) {
   if (cameraInput.zoomOut) camera.radius = Math.min(camera.maxRadius, camera.radius + zoomDelta);
 }
 
-function updateCameraMatrices(gl) {
+function updateCameraMatrices(gl, dt = 0) {
   const canvas = gl.canvas;
   const aspect = canvas.clientWidth / canvas.clientHeight || 1;
 
-  mat4.perspective(camera.projection, Math.PI / 3, aspect, 0.1, 100.0);
+  // Follow mode can pull in tight against props, so it needs a closer near plane
+  const near = camera.mode === "follow" ? 0.02 : 0.1;
+  mat4.perspective(camera.projection, Math.PI / 3, aspect, near, 100.0);
+
+  if (camera.mode === "follow" && updateFollowCamera(dt)) return;
+  if (camera.mode === "free") {
+    updateFreeCamera(dt);
+    return;
+  }
 
   const sinPhi = Math.sin(camera.phi);
   const eyeX = camera.radius * sinPhi * Math.cos(camera.theta);
@@ -1461,6 +2821,291 @@ function updateCameraMatrices(gl) {
   mat4.lookAt(camera.view, eye, camera.target, up);
 }
 
+function syncFreeCameraFromView() {
+  const world = mat4.create();
+  if (!mat4.invert(world, camera.view)) return;
+  mat4.getRotation(freeCam.orientation, world);
+  quat.normalize(freeCam.orientation, freeCam.orientation);
+  freeCam.position = [world[12], world[13], world[14]];
+  clampFreeCameraPosition();
+}
+
+// Held keys route to different handlers per mode, so drop them all on a switch.
+function clearCameraInput() {
+  for (const key of Object.keys(freeInput)) freeInput[key] = false;
+  for (const key of Object.keys(cameraInput)) cameraInput[key] = false;
+}
+
+function clampFreeCameraPosition() {
+  const p = freeCam.position;
+  const r = length(p);
+  if (r < freeCam.minRadius) {
+    const k = freeCam.minRadius / (r || 1);
+    p[0] *= k; p[1] *= k; p[2] *= k;
+    if (r === 0) p[2] = freeCam.minRadius;
+  }
+}
+
+// Rotate the free camera about one of its own axes (local-space post-multiply).
+function rotateFreeCamera(axis, rad) {
+  const q = quat.create();
+  quat.setAxisAngle(q, axis, rad);
+  quat.multiply(freeCam.orientation, freeCam.orientation, q);
+  quat.normalize(freeCam.orientation, freeCam.orientation);
+}
+
+function updateFreeCamera(dt) {
+  const roll = (freeInput.rollLeft ? 1 : 0) - (freeInput.rollRight ? 1 : 0);
+  if (roll !== 0) rotateFreeCamera([0, 0, 1], roll * freeCam.rollSpeed * dt);
+
+  const right = vec3.transformQuat(vec3.create(), [1, 0, 0], freeCam.orientation);
+  const up = vec3.transformQuat(vec3.create(), [0, 1, 0], freeCam.orientation);
+  const forward = vec3.transformQuat(vec3.create(), [0, 0, -1], freeCam.orientation);
+
+  const f = (freeInput.forward ? 1 : 0) - (freeInput.back ? 1 : 0);
+  const r = (freeInput.right ? 1 : 0) - (freeInput.left ? 1 : 0);
+  const u = (freeInput.rise ? 1 : 0) - (freeInput.sink ? 1 : 0);
+  const speed = freeCam.moveSpeed * (freeInput.boost ? freeCam.boostMultiplier : 1) * dt;
+  const p = freeCam.position;
+  for (let i = 0; i < 3; i++) {
+    p[i] += (forward[i] * f + right[i] * r + up[i] * u) * speed;
+  }
+  clampFreeCameraPosition();
+
+  const world = mat4.create();
+  mat4.fromRotationTranslation(world, freeCam.orientation, p);
+  mat4.invert(camera.view, world);
+}
+
+function resetFollowCamera() {
+  followCam.eye = null;
+  followCam.eyeVelocity = [0, 0, 0];
+  followCam.lastTargetPos = null;
+}
+
+// Position, surface normal and heading of whatever the follow camera is tracking.
+function getFollowTargetFrame() {
+  if (followCam.target.kind === "player") {
+    if (!player) return null;
+    // The posed node already holds the interpolated frame, turned with the planet
+    const m = getWorldMatrix(playerMesh.node);
+    return { position: [m[12], m[13], m[14]], up: [m[4], m[5], m[6]], forward: [m[8], m[9], m[10]] };
+  }
+
+  const orb = findWorldOrb(world, followCam.target.id);
+  if (!orb) return null;
+  const position = getOrbRenderPosition(orb);
+  const up = normalize(position.slice());
+  // Orbs have no heading of their own; use the tangential part of their motion
+  let forward = followCam.heading;
+  if (followCam.lastTargetPos) {
+    const last = followCam.lastTargetPos;
+    const motion = [position[0] - last[0], position[1] - last[1], position[2] - last[2]];
+    const d = dot(motion, up);
+    const tangent = [motion[0] - up[0] * d, motion[1] - up[1] * d, motion[2] - up[2] * d];
+    if (length(tangent) > 1e-5) forward = normalize(tangent);
+  }
+  const fd = dot(forward, up);
+  forward = [forward[0] - up[0] * fd, forward[1] - up[1] * fd, forward[2] - up[2] * fd];
+  if (length(forward) < 1e-4) {
+    const ref = Math.abs(up[1]) > 0.9 ? [1, 0, 0] : [0, 1, 0];
+    forward = cross(ref, up);
+  }
+  return { position, up, forward: normalize(forward) };
+}
+
+function updateFollowCamera(dt) {
+  let frame = getFollowTargetFrame();
+  if (!frame && followCam.target.kind !== "player") {
+    // Followed orb was removed; fall back to the character
+    followCam.target = { kind: "player" };
+    resetFollowCamera();
+    frame = getFollowTargetFrame();
+  }
+  if (!frame) return false;
+
+  const { position, up, forward } = frame;
+  followCam.lastTargetPos = position.slice();
+  followCam.heading = forward;
+
+  const lookAt = [
+    position[0] + up[0] * followCam.lookAhead,
+    position[1] + up[1] * followCam.lookAhead,
+    position[2] + up[2] * followCam.lookAhead,
+  ];
+  const desired = [
+    position[0] - forward[0] * followCam.distance + up[0] * followCam.height,
+    position[1] - forward[1] * followCam.distance + up[1] * followCam.height,
+    position[2] - forward[2] * followCam.distance + up[2] * followCam.height,
+  ];
+  const eyeGoal = pullEyeToClearView(lookAt, desired);
+
+  if (!followCam.eye) {
+    followCam.eye = eyeGoal.slice();
+    followCam.eyeVelocity = [0, 0, 0];
+    followCam.up = up.slice();
+  } else {
+    // Critically damped spring toward the goal (semi-implicit Euler, dt clamped for stability)
+    const h = Math.min(dt, 0.05);
+    const k = followCam.stiffness;
+    const c = 2 * Math.sqrt(k);
+    for (let i = 0; i < 3; i++) {
+      followCam.eyeVelocity[i] += (k * (eyeGoal[i] - followCam.eye[i]) - c * followCam.eyeVelocity[i]) * h;
+      followCam.eye[i] += followCam.eyeVelocity[i] * h;
+    }
+    lerpVec3(followCam.up, followCam.up, up, Math.min(1, h * 8));
+    normalizeVec3(followCam.up);
+  }
+
+  // The spring may lag into geometry; re-apply the clear-view constraint to the smoothed eye
+  followCam.eye = pullEyeToClearView(lookAt, followCam.eye);
+  mat4.lookAt(camera.view, followCam.eye, lookAt, followCam.up);
+  return true;
+}
+
+// Pull the eye in along the target→eye segment so it never sits behind or inside the planet or a prop.
+function pullEyeToClearView(origin, eye) {
+  const toEye = [eye[0] - origin[0], eye[1] - origin[1], eye[2] - origin[2]];
+  const segLen = length(toEye);
+  if (segLen < 1e-5) return eye.slice();
+  const dir = [toEye[0] / segLen, toEye[1] / segLen, toEye[2] / segLen];
+
+  let hitT = segLen;
+  const planetHit = raySphereHit(origin, dir, [0, 0, 0], 1.0 + terrainMaxHeight(terrain) + followCam.clearance);
+  if (planetHit !== null) hitT = Math.min(hitT, planetHit);
+  for (const blocker of surfaceBlockers) {
+    const center = nodePointToWorld(planetNode, [
+      Math.cos(blocker.lat) * Math.cos(blocker.lon),
+      Math.sin(blocker.lat),
+      Math.cos(blocker.lat) * Math.sin(blocker.lon),
+    ]);
+    const t = raySphereHit(origin, dir, center, blocker.radius + followCam.clearance);
+    if (t !== null) hitT = Math.min(hitT, t);
+  }
+
+  const t = Math.max(followCam.clearance, hitT - followCam.clearance);
+  if (t >= segLen) return eye.slice();
+  return [origin[0] + dir[0] * t, origin[1] + dir[1] * t, origin[2] + dir[2] * t];
+}
+
+// Nearest positive hit of a ray (unit dir) against a sphere, or null. Rays starting inside are ignored.
+function raySphereHit(origin, dir, center, radius) {
+  const oc = [origin[0] - center[0], origin[1] - center[1], origin[2] - center[2]];
+  const c = dot(oc, oc) - radius * radius;
+  if (c < 0) return null;
+  const b = dot(oc, dir);
+  const disc = b * b - c;
+  if (disc < 0) return null;
+  const t = -b - Math.sqrt(disc);
+  return t > 0 ? t : null;
+}
+
+// World-space ray through a point in client (CSS pixel) coordinates.
+function screenRay(clientX, clientY) {
+  if (!glRef) return null;
+  const rect = glRef.canvas.getBoundingClientRect();
+  if (!rect.width || !rect.height) return null;
+  const x = ((clientX - rect.left) / rect.width) * 2 - 1;
+  const y = 1 - ((clientY - rect.top) / rect.height) * 2;
+
+  const inv = mat4.multiply(mat4.create(), camera.projection, camera.view);
+  if (!mat4.invert(inv, inv)) return null;
+  const near = vec3.transformMat4(vec3.create(), [x, y, -1], inv);
+  const far = vec3.transformMat4(vec3.create(), [x, y, 1], inv);
+  const dir = normalize([far[0] - near[0], far[1] - near[1], far[2] - near[2]]);
+  return { origin: [near[0], near[1], near[2]], dir };
+}
+
+// Planet-local { lat, lon } of the ground under a client point, or null when the ray misses.
+// Over terrain the ray is hit against the sphere through the ground found so far, which
+// settles on the hill or hollow under the cursor within a few rounds.
+function surfacePointAt(clientX, clientY) {
+  const ray = screenRay(clientX, clientY);
+  if (!ray) return null;
+  const toPlanet = mat4.invert(mat4.create(), getWorldMatrix(planetNode));
+  let radius = 1.0;
+  let p = null;
+  for (let i = 0; i < (terrain ? 4 : 1); i++) {
+    const t = raySphereHit(ray.origin, ray.dir, [0, 0, 0], radius);
+    if (t === null) break;
+    const hit = [ray.origin[0] + ray.dir[0] * t, ray.origin[1] + ray.dir[1] * t, ray.origin[2] + ray.dir[2] * t];
+    p = normalize(vec3.transformMat4([0, 0, 0], hit, toPlanet));
+    radius = groundRadius(terrain, p);
+  }
+  if (!p) return null;
+  return { lat: Math.asin(Math.max(-1, Math.min(1, p[1]))), lon: Math.atan2(p[2], p[0]) };
+}
+
+// Ray against a camera-facing disc (the orb sprite) of the given radius.
+function rayBillboardHit(origin, dir, center, radius) {
+  const m = camera.view;
+  const right = [m[0], m[4], m[8]];
+  const up = [m[1], m[5], m[9]];
+  const normal = [m[2], m[6], m[10]];
+  const denom = dot(dir, normal);
+  if (Math.abs(denom) < 1e-6) return null;
+  const t = dot([center[0] - origin[0], center[1] - origin[1], center[2] - origin[2]], normal) / denom;
+  if (t <= 0) return null;
+  const offset = [
+    origin[0] + dir[0] * t - center[0],
+    origin[1] + dir[1] * t - center[1],
+    origin[2] + dir[2] * t - center[2],
+  ];
+  return Math.hypot(dot(offset, right), dot(offset, up)) <= radius ? t : null;
+}
+
+// World-space bounding spheres for the props, from their scene-node world matrices.
+function getPropPickTargets() {
+  const targets = [];
+  const add = (id, name, node, bounds) => {
+    if (!node || !bounds) return;
+    const model = getWorldMatrix(node);
+    const center = vec3.transformMat4(vec3.create(), bounds.center, model);
+    const scale = Math.hypot(model[0], model[1], model[2]);
+    targets.push({ id, name, center: [center[0], center[1], center[2]], radius: bounds.radius * scale });
+  };
+  props.forEach((prop) => add(prop.id, prop.name, prop.node, prop.pickBounds));
+  trees.forEach((tree, i) => add(`tree-${i}`, `Tree ${i + 1}`, tree.node, tree.pickBounds));
+  return targets;
+}
+
+// Nearest orb, prop or the planet under the cursor, or null when the click hits empty space.
+function pickAt(clientX, clientY) {
+  const ray = screenRay(clientX, clientY);
+  if (!ray) return null;
+  const { origin, dir } = ray;
+  let best = null;
+  let bestT = Infinity;
+  const consider = (t, hit) => {
+    if (t !== null && t < bestT) {
+      bestT = t;
+      best = hit;
+    }
+  };
+
+  consider(raySphereHit(origin, dir, [0, 0, 0], 1.0), { kind: "planet" });
+  for (const target of getPropPickTargets()) {
+    consider(raySphereHit(origin, dir, target.center, target.radius), { kind: "prop", id: target.id });
+  }
+  for (const orb of world.orbs) {
+    // A little slack: the sprites are small and their glow fades toward the edge
+    consider(rayBillboardHit(origin, dir, getOrbRenderPosition(orb), getOrbRenderSize(orb) * 1.25), { kind: "orb", id: orb.id });
+  }
+  return best;
+}
+
+// Center and radius of the selected entity as drawn this frame, or null if it is gone.
+function getSelectionBounds() {
+  if (!selection) return null;
+  if (selection.kind === "planet") return { center: [0, 0, 0], radius: 1.0, name: "Planet" };
+  if (selection.kind === "orb") {
+    const orb = findWorldOrb(world, selection.id);
+    return orb ? { center: getOrbRenderPosition(orb), radius: getOrbRenderSize(orb) * 1.6, name: orb.name } : null;
+  }
+  const target = getPropPickTargets().find((p) => p.id === selection.id);
+  return target ? { center: target.center, radius: target.radius, name: target.name } : null;
+}
+
 // Keep canvas and viewport in sync with display size (handles HiDPI).
 function resizeViewportIfNeeded(gl) {
   const canvas = gl.canvas;
@@ -1475,22 +3120,71 @@ function resizeViewportIfNeeded(gl) {
   }
 }
 
-// Optional: gentle planet spin to show motion/verify transforms.
-function spinPlanet(dt) {
-  if (!planet) return;
-  const speed = 0.3; // radians/sec
-  const angle = speed * dt;
-  const m = planet.modelMatrix;
-  const cosA = Math.cos(angle);
-  const sinA = Math.sin(angle);
-  const m00 = m[0], m02 = m[2], m10 = m[4], m12 = m[6], m20 = m[8], m22 = m[10];
+function createGrassProgram(gl) {
+  const vertexShader = compileShader(gl, gl.VERTEX_SHADER, GRASS_VERTEX_SOURCE);
+  const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, PLANET_FRAGMENT_SOURCE);
+
+  const program = gl.createProgram();
+  gl.attachShader(program, vertexShader);
+  gl.attachShader(program, fragmentShader);
+  gl.linkProgram(program);
+
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    console.error("Grass program link error:", gl.getProgramInfoLog(program));
+    gl.deleteProgram(program);
+    return null;
+  }
+
+  program.aPosition = gl.getAttribLocation(program, "aPosition");
+  program.aNormal = gl.getAttribLocation(program, "aNormal");
+  program.aRoot = gl.getAttribLocation(program, "aRoot");
+  program.aYawScale = gl.getAttribLocation(program, "aYawScale");
+
+  program.uModel = gl.getUniformLocation(program, "uModel");
+  program.uView = gl.getUniformLocation(program, "uView");
+  program.uProjection = gl.getUniformLocation(program, "uProjection");
+  program.uLightDirection = gl.getUniformLocation(program, "uLightDirection");
+  program.uBaseColor = gl.getUniformLocation(program, "uBaseColor");
+  getWindUniforms(gl, program);
+
+  return program;
+}
+
+function createTreeProgram(gl) {
+  const vertexShader = compileShader(gl, gl.VERTEX_SHADER, TREE_VERTEX_SOURCE);
+  const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, PLANET_FRAGMENT_SOURCE);
+
+  const program = gl.createProgram();
+  gl.attachShader(program, vertexShader);
+  gl.attachShader(program, fragmentShader);
+  gl.linkProgram(program);
+
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    console.error("Tree program link error:", gl.getProgramInfoLog(program));
+    gl.deleteProgram(program);
+    return null;
+  }
+
+  program.aPosition = gl.getAttribLocation(program, "aPosition");
+  program.aNormal = gl.getAttribLocation(program, "aNormal");
+
+  program.uModel = gl.getUniformLocation(program, "uModel");
+  program.uView = gl.getUniformLocation(program, "uView");
+  program.uProjection = gl.getUniformLocation(program, "uProjection");
+  program.uLightDirection = gl.getUniformLocation(program, "uLightDirection");
+  program.uBaseColor = gl.getUniformLocation(program, "uBaseColor");
+  program.uPlantHeight = gl.getUniformLocation(program, "uPlantHeight");
+  program.uSwayPhase = gl.getUniformLocation(program, "uSwayPhase");
+  getWindUniforms(gl, program);
 
-  m[0] = m00 * cosA + m02 * -sinA;
-  m[2] = m00 * sinA + m02 * cosA;
-  m[4] = m10 * cosA + m12 * -sinA;
-  m[6] = m10 * sinA + m12 * cosA;
-  m[8] = m20 * cosA + m22 * -sinA;
-  m[10] = m20 * sinA + m22 * cosA;
+  return program;
+}
+
+// Locations for the WIND_GLSL uniforms.
+function getWindUniforms(gl, program) {
+  program.uWindDirection = gl.getUniformLocation(program, "uWindDirection");
+  program.uWindStrength = gl.getUniformLocation(program, "uWindStrength");
+  program.uWindTime = gl.getUniformLocation(program, "uWindTime");
 }
 
 function createPlanetProgram(gl) {
@@ -1516,6 +3210,9 @@ function createPlanetProgram(gl) {
   program.uProjection = gl.getUniformLocation(program, "uProjection");
   program.uLightDirection = gl.getUniformLocation(program, "uLightDirection");
   program.uBaseColor = gl.getUniformLocation(program, "uBaseColor");
+  program.uTerrainHeight = gl.getUniformLocation(program, "uTerrainHeight");
+  program.uDirtColor = gl.getUniformLocation(program, "uDirtColor");
+  program.uRockColor = gl.getUniformLocation(program, "uRockColor");
 
   return program;
 }
@@ -1719,7 +3416,7 @@ function createCloudProgram(gl) {
 function createNoiseTexture(gl, size = 256) {
   const data = new Uint8Array(size * size);
   for (let i = 0; i < data.length; i++) {
-    data[i] = Math.floor(Math.random() * 256);
+    data[i] = Math.floor(layoutRandom() * 256);
   }
   const tex = gl.createTexture();
   gl.bindTexture(gl.TEXTURE_2D, tex);
@@ -1820,12 +3517,12 @@ function createCloudBillboards(count, radius, minY, maxY) {
   const vertices = [];
   const indices = [];
   for (let i = 0; i < count; i++) {
-    const theta = Math.random() * Math.PI * 2;
-    const y = Math.random() * (maxY - minY) + minY; // negative for southern band
+    const theta = layoutRandom() * Math.PI * 2;
+    const y = layoutRandom() * (maxY - minY) + minY; // negative for southern band
     const rXZ = Math.sqrt(Math.max(0, 1.0 - y * y)) * radius;
     const x = Math.cos(theta) * rXZ;
     const z = Math.sin(theta) * rXZ;
-    const size = 0.25 + Math.random() * 0.22;
+    const size = 0.25 + layoutRandom() * 0.22;
     centers.push([x, y, z, size]);
   }
 
@@ -1855,7 +3552,8 @@ function createCloudBillboards(count, radius, minY, maxY) {
 function setCameraBasisUniforms(gl, programInfo) {
   if (!programInfo.uRight || !programInfo.uUp || !programInfo.uForward || !programInfo.uAspect) return;
   const m = camera.view;
-  // View matrix from lookAt: columns store camera basis; forward is negative Z column.
+  // View matrix rows hold the camera basis for any orientation (lookAt or free-fly quaternion);
+  // forward is the negated third row.
   const right = [m[0], m[4], m[8]];
   const up = [m[1], m[5], m[9]];
   const forward = [-m[2], -m[6], -m[10]];
@@ -1885,371 +3583,276 @@ function initOrbiters(gl) {
   gl.bindBuffer(gl.ARRAY_BUFFER, orbBillboardVbo);
   gl.bufferData(gl.ARRAY_BUFFER, quad, gl.STATIC_DRAW);
 
-  // Trail buffers (dynamic quads)
+  orbInstancing = gl.getExtension("ANGLE_instanced_arrays");
+  if (!orbInstancing) console.error("ANGLE_instanced_arrays unavailable; orbs and trails will not draw");
+  orbInstanceVbo = gl.createBuffer();
+  orbInstanceData = new Float32Array(0);
+
+  // Trail ring buffer grows in whole slots on demand; the index stream is static
   orbTrailVbo = gl.createBuffer();
-  orbTrailIbo = gl.createBuffer();
-
-  // Seed states
-  orbStates = [];
-  for (let i = 0; i < orbCount; i++) {
-    const state = createOrbState();
-    const p = currentOrbiterPosition(state);
-    state.trailPositions = [p];
-    state.trailDirty = true;
-    pickNewFlightSegment(state, true);
-    orbStates.push(state);
-  }
-}
-
-function updateOrbiters(dt) {
-  for (const orb of orbStates) {
-    updateSingleOrb(orb, dt);
-    if (orb.isSuper) {
-      // additional speed bias
-      orb.targetAngularSpeed = Math.max(orb.targetAngularSpeed, 1.6);
+  trailRingSlots = 0;
+  const ringIndices = new Float32Array(TRAIL_RING_CAPACITY + 1);
+  for (let i = 0; i < ringIndices.length; i++) ringIndices[i] = i;
+  orbTrailIndexVbo = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, orbTrailIndexVbo);
+  gl.bufferData(gl.ARRAY_BUFFER, ringIndices, gl.STATIC_DRAW);
+
+  seedWorld(world);
+}
+
+// Orb position between the last two ticks; teleports snap instead of streaking across.
+function getOrbRenderPosition(orb) {
+  if (!orb.simPosition) return currentOrbiterPosition(orb);
+  if (orb.snapRender || !orb.prevPosition) return orb.simPosition.slice();
+  return lerpVec3([0, 0, 0], orb.prevPosition, orb.simPosition, renderAlpha);
+}
+
+// Trail as it should look at renderAlpha: points laid down by the latest tick only appear
+// once the interpolated head has passed them, and the head itself is the render position.
+// Returns how many stored points to show (the newest `hidden` are held back) and the head, if any.
+function getOrbTrailView(orb) {
+  const trail = orb.trailPositions;
+  if (!orb.simPosition || !orb.trailPushed) return { shown: trail.length, hidden: 0, head: null };
+  const pushed = Math.min(orb.trailPushed, trail.length);
+  let hidden = pushed;
+  if (!orb.snapRender) {
+    for (let i = 1; i <= pushed; i++) {
+      if (i / pushed <= renderAlpha) hidden--;
     }
   }
-  applyMutualAttraction(dt);
-  resolveOrbCollisions();
-}
-
-function spawnCollisionBurst(pos, isSuper) {
-  const life = 0.6;
-  collisionBursts.push({
-    pos,
-    life,
-    maxLife: life,
-    size: isSuper ? 0.28 : 0.22, // larger bursts
-    color: [1.0, 1.0, 1.0], // pure bright white
-  });
-}
-
-function decayRetiredTrails(dt) {
-  if (!retiredTrails.length) return;
-  for (let i = retiredTrails.length - 1; i >= 0; i--) {
-    const r = retiredTrails[i];
-    r.fade -= dt;
-    if (r.fade <= 0) {
-      retiredTrails.splice(i, 1);
-    } else {
-      r.alphaScale = Math.max(0, r.fade / 1.2);
-      r.trailDirty = true;
-    }
+  return { shown: trail.length - hidden, hidden, head: getOrbRenderPosition(orb) };
+}
+
+// Flash plus sparks; stronger levels burst larger and throw sparks in their aura color.
+// Dense swarms collide every tick, so past PARTICLE_CAPACITY new sparks are simply dropped.
+function spawnCollisionBurst(pos, level = 0) {
+  const look = SUPER_LEVELS[level];
+  const scale = look.burstSize / SUPER_LEVELS[0].burstSize;
+  emitParticles(particles, "collisionFlash", pos, { scale });
+  emitParticles(particles, "sparks", pos, { scale, tint: look.aura || undefined });
+}
+
+// Dust puff where something meets the ground at the world-space unit normal n; harder
+// landings (impact speed in units/sec) kick up more.
+function spawnGroundDust(n, impactSpeed) {
+  const local = vec3.rotateY([0, 0, 0], n, [0, 0, 0], world.spinAngle);
+  const lift = groundRadius(terrain, local) + 0.005; // just above the ground so the puff is not culled at once
+  const scale = Math.min(1.6, 0.6 + impactSpeed * 0.4);
+  emitParticles(particles, "dust", [n[0] * lift, n[1] * lift, n[2] * lift], { normal: n, scale });
+}
+
+// Continuous aura around transformed orbs, busier per level and while powering up.
+function emitSuperAuras(dt) {
+  for (const orb of world.orbs) {
+    const t = orb.transform;
+    const level = t.poweringUp ? t.target : t.level;
+    if (!level || !orb.simPosition) continue;
+    let emitter = auraEmitters.get(orb);
+    if (!emitter) auraEmitters.set(orb, (emitter = createEmitter("superAura")));
+    const look = getOrbLook(orb);
+    const p = orb.simPosition;
+    const prev = orb.snapRender ? null : orb.prevPosition;
+    runEmitter(particles, emitter, dt, p, {
+      tint: look.outer,
+      scale: (orb.size * look.sizeScale) / AURA_REFERENCE_SIZE,
+      rateScale: level * (t.poweringUp ? 2 : 1),
+      velocity: prev && [(p[0] - prev[0]) / dt, (p[1] - prev[1]) / dt, (p[2] - prev[2]) / dt],
+    });
   }
 }
 
-function updateCollisionBursts(dt) {
-  if (!collisionBursts.length) return;
-  for (let i = collisionBursts.length - 1; i >= 0; i--) {
-    const b = collisionBursts[i];
-    b.life -= dt;
-    if (b.life <= 0) {
-      collisionBursts.splice(i, 1);
-    }
-  }
+function getOrbRenderSize(orb) {
+  return orb.size * getOrbLook(orb).sizeScale;
 }
 
-function updateSingleOrb(orbState, dt) {
-  // Layered wobble for erratic movement without clipping the planet
-  orbState.wobblePhaseA += dt * 2.6;
-  orbState.wobblePhaseB += dt * 3.7;
-
-  // Smoothly reorient the orbit plane toward its target
-  lerpVec3(orbState.planeNormal, orbState.planeNormal, orbState.targetPlaneNormal, Math.min(1, dt * 1.8));
-  normalizeVec3(orbState.planeNormal);
+function drawOrbiter(gl, view, projection) {
+  if (!orbProgram || !orbBillboardVbo || !orbInstancing || !world.orbs.length) return;
+  gl.useProgram(orbProgram.program);
 
-  if (orbState.isPaused) {
-    orbState.pauseTimer -= dt;
-    // Mid-hover chance to intentionally teleport
-    if (
-      orbState.teleportPlanned &&
-      !orbState.teleportDone &&
-      orbState.pauseTimer <= orbState.pauseDuration * 0.4
-    ) {
-      performTeleport(orbState);
-      orbState.teleportDone = true;
-    }
-    orbState.angularSpeed += (0 - orbState.angularSpeed) * Math.min(1, dt * 6);
-    if (orbState.pauseTimer <= 0) {
-      orbState.isPaused = false;
-      pickNewFlightSegment(orbState);
-    }
-  } else {
-    const speedJitter = 1 + 0.35 * Math.sin(orbState.wobblePhaseA * 0.7);
-    const targetSpeed = orbState.targetAngularSpeed * speedJitter;
-    orbState.angularSpeed += (targetSpeed - orbState.angularSpeed) * Math.min(1, dt * 3.5);
-    orbState.angle += orbState.angularSpeed * orbState.direction * dt;
-
-    orbState.radius += (orbState.targetRadius - orbState.radius) * Math.min(1, dt * 2.2);
-    orbState.height += (orbState.targetHeight - orbState.height) * Math.min(1, dt * 2.2);
-
-    orbState.segmentTime += dt;
-    if (orbState.segmentTime >= orbState.segmentDuration) {
-      if (Math.random() < 0.3) {
-        orbState.isPaused = true;
-        orbState.pauseDuration = randomRange(0.35, 0.9);
-        orbState.pauseTimer = orbState.pauseDuration;
-        orbState.teleportPlanned = Math.random() < 0.45; // sometimes he blinks to a new line mid-hover
-        orbState.teleportDone = false;
-        orbState.segmentTime = 0;
-      } else {
-        pickNewFlightSegment(orbState);
-      }
-    }
-  }
+  gl.enable(gl.BLEND);
+  gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
 
-  // Apply wobble and safety clamps to keep above the surface
-  const radialWobble =
-    Math.sin(orbState.wobblePhaseA) * 0.08 +
-    Math.sin(orbState.wobblePhaseB + 1.1) * 0.05;
-  const verticalWobble =
-    Math.sin(orbState.wobblePhaseA * 1.3 + 0.4) * 0.05 +
-    Math.sin(orbState.wobblePhaseB * 0.6 + 1.1) * 0.035;
+  gl.uniformMatrix4fv(orbProgram.uView, false, view);
+  gl.uniformMatrix4fv(orbProgram.uProjection, false, projection);
 
-  orbState.renderRadius = clampOrbit(
-    orbState.radius + radialWobble,
-    ORBIT_MIN_RADIUS,
-    ORBIT_MAX_RADIUS
-  );
-  orbState.renderHeight = clampOrbit(
-    orbState.height + verticalWobble,
-    ORBIT_MIN_HEIGHT,
-    ORBIT_MAX_HEIGHT
-  );
+  // Camera basis
+  const m = camera.view;
+  const right = [m[0], m[4], m[8]];
+  const up = [m[1], m[5], m[9]];
+  gl.uniform3fv(orbProgram.uRight, new Float32Array(right));
+  gl.uniform3fv(orbProgram.uUp, new Float32Array(up));
 
-  const p = currentOrbiterPosition(orbState);
-  const trail = orbState.trailPositions;
-  const last = trail[trail.length - 1] || p;
+  const count = world.orbs.length;
+  gl.bindBuffer(gl.ARRAY_BUFFER, orbInstanceVbo);
+  if (orbInstanceData.length < count * ORB_INSTANCE_FLOATS) {
+    orbInstanceData = new Float32Array(Math.max(count, MAX_ORBS) * ORB_INSTANCE_FLOATS);
+    gl.bufferData(gl.ARRAY_BUFFER, orbInstanceData.byteLength, gl.DYNAMIC_DRAW);
+  }
+  const data = orbInstanceData;
+  let k = 0;
+  for (const orbState of world.orbs) {
+    const center = getOrbRenderPosition(orbState);
+    const colors = getOrbLook(orbState);
+    data[k++] = center[0];
+    data[k++] = center[1];
+    data[k++] = center[2];
+    data[k++] = orbState.size * colors.sizeScale;
+    data[k++] = colors.outer[0];
+    data[k++] = colors.outer[1];
+    data[k++] = colors.outer[2];
+    data[k++] = colors.inner[0];
+    data[k++] = colors.inner[1];
+    data[k++] = colors.inner[2];
+  }
+  gl.bufferSubData(gl.ARRAY_BUFFER, 0, data.subarray(0, k));
+
+  const stride = ORB_INSTANCE_FLOATS * 4;
+  const instanced = [
+    [orbProgram.aCenter, 3, 0],
+    [orbProgram.aSize, 1, 12],
+    [orbProgram.aColorOuter, 3, 16],
+    [orbProgram.aColorInner, 3, 28],
+  ];
+  for (const [loc, size, offset] of instanced) {
+    gl.enableVertexAttribArray(loc);
+    gl.vertexAttribPointer(loc, size, gl.FLOAT, false, stride, offset);
+    orbInstancing.vertexAttribDivisorANGLE(loc, 1);
+  }
 
-  const dx = p[0] - last[0];
-  const dy = p[1] - last[1];
-  const dz = p[2] - last[2];
-  const dist = Math.hypot(dx, dy, dz);
+  gl.bindBuffer(gl.ARRAY_BUFFER, orbBillboardVbo);
+  gl.enableVertexAttribArray(orbProgram.aOffset);
+  gl.vertexAttribPointer(orbProgram.aOffset, 2, gl.FLOAT, false, 8, 0);
 
-  if (orbState.skipTrailInterpolation || dist > TELEPORT_BREAK_DIST) {
-    trail.push(p);
-    orbState.skipTrailInterpolation = false;
-  } else {
-    const maxGap = 0.045; // tighter spacing at high speed to avoid dotting
-    const steps = Math.max(1, Math.ceil(dist / maxGap));
-    for (let i = 1; i <= steps; i++) {
-      const t = i / steps;
-      const lerped = [
-        last[0] + dx * t,
-        last[1] + dy * t,
-        last[2] + dz * t,
-      ];
-      trail.push(lerped);
-    }
-  }
+  orbInstancing.drawArraysInstancedANGLE(gl.TRIANGLE_FAN, 0, 4, count);
 
-  while (trail.length > orbState.trailMax) trail.shift();
-  orbState.trailDirty = true;
-}
-
-function resolveOrbCollisions() {
-  const minDist = 0.18; // approximate sprite diameter for bounce
-  for (let i = 0; i < orbStates.length; i++) {
-    for (let j = i + 1; j < orbStates.length; j++) {
-      const a = currentOrbiterPosition(orbStates[i]);
-      const b = currentOrbiterPosition(orbStates[j]);
-      const dx = b[0] - a[0];
-      const dy = b[1] - a[1];
-      const dz = b[2] - a[2];
-      const dist = Math.hypot(dx, dy, dz);
-      if (dist > 0 && dist < minDist) {
-        // simple bounce: push apart and flip directions
-        const overlap = (minDist - dist) * 0.5;
-        const nx = dx / dist;
-        const ny = dy / dist;
-        const nz = dz / dist;
-        const superA = orbStates[i].isSuper;
-        const superB = orbStates[j].isSuper;
-        const pushScaleA = superA && !superB ? 0.12 : 0.05;
-        const pushScaleB = superB && !superA ? 0.12 : 0.05;
-        orbStates[i].renderRadius += overlap * pushScaleA;
-        orbStates[j].renderRadius += overlap * pushScaleB;
-        orbStates[i].direction *= -1;
-        orbStates[j].direction *= -1;
-        const impulse = superA !== superB ? 0.65 : 0.2;
-        orbStates[i].angle += impulse * (superB ? -1 : 1);
-        orbStates[j].angle -= impulse * (superA ? -1 : 1);
-
-        const hitPos = [
-          (a[0] + b[0]) * 0.5,
-          (a[1] + b[1]) * 0.5,
-          (a[2] + b[2]) * 0.5,
-        ];
-        spawnCollisionBurst(hitPos, superA || superB);
-      }
-    }
+  // Divisors are global attribute state in WebGL1; leave nothing instanced for other draws
+  for (const [loc] of instanced) {
+    orbInstancing.vertexAttribDivisorANGLE(loc, 0);
+    gl.disableVertexAttribArray(loc);
   }
+  gl.disable(gl.BLEND);
 }
 
-function applyMutualAttraction(dt) {
-  const attractDist = 0.55;
-  const attractStrength = 0.35;
-  for (let i = 0; i < orbStates.length; i++) {
-    for (let j = i + 1; j < orbStates.length; j++) {
-      const a = currentOrbiterPosition(orbStates[i]);
-      const b = currentOrbiterPosition(orbStates[j]);
-      const dx = b[0] - a[0];
-      const dy = b[1] - a[1];
-      const dz = b[2] - a[2];
-      const dist = Math.hypot(dx, dy, dz);
-      if (dist > 0 && dist < attractDist) {
-        const pull = (attractDist - dist) * attractStrength * dt;
-        // Nudge their target radii/heights slightly toward each other
-        const dir = [dx / dist, dy / dist, dz / dist];
-        const orbA = orbStates[i];
-        const orbB = orbStates[j];
-
-        orbA.targetRadius = clampOrbit(orbA.targetRadius - pull * 0.5, ORBIT_MIN_RADIUS, ORBIT_MAX_RADIUS);
-        orbB.targetRadius = clampOrbit(orbB.targetRadius - pull * 0.5, ORBIT_MIN_RADIUS, ORBIT_MAX_RADIUS);
-
-        orbA.targetHeight += dir[1] * pull * 0.4;
-        orbB.targetHeight -= dir[1] * pull * 0.4;
-
-        // Slightly align plane normals toward midpoint to encourage meeting
-        const mid = [(a[0] + b[0]) * 0.5, (a[1] + b[1]) * 0.5, (a[2] + b[2]) * 0.5];
-        const desiredA = normalizeVec3(cross(mid, a));
-        const desiredB = normalizeVec3(cross(mid, b));
-        const blend = 0.08;
-        if (desiredA && desiredA.length) {
-          orbA.targetPlaneNormal = normalizeVec3([
-            orbA.targetPlaneNormal[0] * (1 - blend) + desiredA[0] * blend,
-            orbA.targetPlaneNormal[1] * (1 - blend) + desiredA[1] * blend,
-            orbA.targetPlaneNormal[2] * (1 - blend) + desiredA[2] * blend,
-          ]);
-        }
-        if (desiredB && desiredB.length) {
-          orbB.targetPlaneNormal = normalizeVec3([
-            orbB.targetPlaneNormal[0] * (1 - blend) + desiredB[0] * blend,
-            orbB.targetPlaneNormal[1] * (1 - blend) + desiredB[1] * blend,
-            orbB.targetPlaneNormal[2] * (1 - blend) + desiredB[2] * blend,
-          ]);
-        }
-      }
-    }
-  }
-}
+// ---------- Particles ----------
 
-function getOrbColors(orb) {
-  if (orb.isSuper) {
-    return {
-      outer: [1.0, 0.88, 0.4], // golden aura
-      inner: [0.65, 0.88, 1.0], // light blue core
-      trail: [1.0, 0.88, 0.45], // golden trail
-    };
-  }
-  const c = orb.color || orb.baseColor || [1, 1, 1];
-  return {
-    outer: c,
-    inner: c,
-    trail: c,
-  };
+function initParticles(gl) {
+  particleProgram = createParticleProgram(gl);
+  particleInstanceVbo = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, particleInstanceVbo);
+  gl.bufferData(gl.ARRAY_BUFFER, particleInstanceData.byteLength, gl.DYNAMIC_DRAW);
 }
 
-function getOrbTrailColor(orb) {
-  return getOrbColors(orb).trail || [1, 1, 1];
-}
+// Dust first with ordinary alpha blending, then sparks and auras adding light on top.
+function drawParticles(gl, view, projection) {
+  if (!particleProgram || !orbBillboardVbo || !orbInstancing || !particles.count) return;
+  gl.useProgram(particleProgram.program);
+  gl.enable(gl.BLEND);
+  gl.uniformMatrix4fv(particleProgram.uView, false, view);
+  gl.uniformMatrix4fv(particleProgram.uProjection, false, projection);
+  const m = camera.view;
+  gl.uniform3fv(particleProgram.uRight, new Float32Array([m[0], m[4], m[8]]));
+  gl.uniform3fv(particleProgram.uUp, new Float32Array([m[1], m[5], m[9]]));
 
-function currentOrbiterPosition(orbState) {
-  const a = orbState.angle;
-  const r = orbState.renderRadius ?? orbState.radius;
-  const h = orbState.renderHeight ?? orbState.height;
+  gl.bindBuffer(gl.ARRAY_BUFFER, orbBillboardVbo);
+  gl.enableVertexAttribArray(particleProgram.aOffset);
+  gl.vertexAttribPointer(particleProgram.aOffset, 2, gl.FLOAT, false, 8, 0);
+
+  const stride = PARTICLE_INSTANCE_FLOATS * 4;
+  const instanced = [
+    [particleProgram.aCenter, 3, 0],
+    [particleProgram.aSize, 1, 12],
+    [particleProgram.aColor, 4, 16],
+  ];
+  gl.bindBuffer(gl.ARRAY_BUFFER, particleInstanceVbo);
+  for (const [loc, size, offset] of instanced) {
+    gl.enableVertexAttribArray(loc);
+    gl.vertexAttribPointer(loc, size, gl.FLOAT, false, stride, offset);
+    orbInstancing.vertexAttribDivisorANGLE(loc, 1);
+  }
 
-  // Build an orthonormal basis for the orbit plane so he can fly over any latitude
-  const n = orbState.planeNormal;
-  // Pick a helper vector that is not parallel to n
-  const helper = Math.abs(n[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0];
-  const right = normalizeVec3([
-    n[1] * helper[2] - n[2] * helper[1],
-    n[2] * helper[0] - n[0] * helper[2],
-    n[0] * helper[1] - n[1] * helper[0],
-  ]);
-  const forward = [
-    right[1] * n[2] - right[2] * n[1],
-    right[2] * n[0] - right[0] * n[2],
-    right[0] * n[1] - right[1] * n[0],
+  const passes = [
+    ["alpha", gl.ONE_MINUS_SRC_ALPHA],
+    ["additive", gl.ONE],
   ];
+  for (const [blend, dstFactor] of passes) {
+    const n = fillParticleInstances(particles, blend, particleInstanceData);
+    if (!n) continue;
+    gl.blendFunc(gl.SRC_ALPHA, dstFactor);
+    gl.bufferSubData(gl.ARRAY_BUFFER, 0, particleInstanceData.subarray(0, n * PARTICLE_INSTANCE_FLOATS));
+    orbInstancing.drawArraysInstancedANGLE(gl.TRIANGLE_FAN, 0, 4, n);
+  }
 
-  const x = right[0] * Math.cos(a) * r + forward[0] * Math.sin(a) * r + n[0] * h;
-  const y = right[1] * Math.cos(a) * r + forward[1] * Math.sin(a) * r + n[1] * h;
-  const z = right[2] * Math.cos(a) * r + forward[2] * Math.sin(a) * r + n[2] * h;
-  return [x, y, z];
+  for (const [loc] of instanced) {
+    orbInstancing.vertexAttribDivisorANGLE(loc, 0);
+    gl.disableVertexAttribArray(loc);
+  }
+  gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
 }
 
-function performTeleport(orbState) {
-  // Pick a new plane, radius/height, and angle, then reset the trail so the jump looks intentional.
-  const newNormal = randomUnitVec3();
-  orbState.planeNormal = normalizeVec3(newNormal.slice());
-  orbState.targetPlaneNormal = orbState.planeNormal.slice();
-
-  orbState.angle = randomRange(0, Math.PI * 2);
-  orbState.radius = orbState.renderRadius = clampOrbit(randomRange(1.2, 1.95), ORBIT_MIN_RADIUS, ORBIT_MAX_RADIUS);
-  orbState.height = orbState.renderHeight = clampOrbit(randomRange(-0.25, 0.55), ORBIT_MIN_HEIGHT, ORBIT_MAX_HEIGHT);
-
-  // Next trail update should not interpolate across the jump
-  orbState.skipTrailInterpolation = true;
+function allocTrailRing(gl) {
+  if (trailRingFree.length) return { slot: trailRingFree.pop(), head: -1, lastPoint: null };
+  if (trailRingUsed >= trailRingSlots) {
+    // bufferData drops the old contents, so every live slot re-uploads in full
+    trailRingSlots = Math.max(32, trailRingSlots * 2);
+    gl.bindBuffer(gl.ARRAY_BUFFER, orbTrailVbo);
+    gl.bufferData(gl.ARRAY_BUFFER, trailRingSlots * TRAIL_SLOT_BYTES, gl.DYNAMIC_DRAW);
+    for (const ring of trailRings.values()) ring.lastPoint = null;
+  }
+  return { slot: trailRingUsed++, head: -1, lastPoint: null };
 }
 
-function drawOrbiter(gl, view, projection) {
-  if (!orbProgram || !orbBillboardVbo || !orbStates.length) return;
-  gl.useProgram(orbProgram.program);
-
-  gl.enable(gl.BLEND);
-  gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-
-  // Camera basis
-  const m = camera.view;
-  const right = [m[0], m[4], m[8]];
-  const up = [m[1], m[5], m[9]];
-  gl.uniform3fv(orbProgram.uRight, new Float32Array(right));
-  gl.uniform3fv(orbProgram.uUp, new Float32Array(up));
-
-  gl.bindBuffer(gl.ARRAY_BUFFER, orbBillboardVbo);
-  gl.enableVertexAttribArray(orbProgram.aOffset);
-  gl.vertexAttribPointer(orbProgram.aOffset, 2, gl.FLOAT, false, 8, 0);
+// Hand back the slots of trails no longer drawn: faded, replaced wholesale or gone with a reseed.
+function releaseStaleTrailRings(renderables) {
+  const drawn = new Set(renderables.map((r) => r.trailPositions));
+  for (const [trail, ring] of trailRings) {
+    if (drawn.has(trail)) continue;
+    trailRingFree.push(ring.slot);
+    trailRings.delete(trail);
+  }
+}
 
-  for (const orbState of orbStates) {
-    const center = currentOrbiterPosition(orbState);
-    const colors = getOrbColors(orbState);
-    gl.uniform3fv(orbProgram.uCenter, new Float32Array(center));
-    gl.uniformMatrix4fv(orbProgram.uView, false, view);
-    gl.uniformMatrix4fv(orbProgram.uProjection, false, projection);
-    gl.uniform1f(orbProgram.uSize, orbState.size);
-    gl.uniform3fv(orbProgram.uColorOuter, new Float32Array(colors.outer));
-    gl.uniform3fv(orbProgram.uColorInner, new Float32Array(colors.inner));
-
-    gl.drawArrays(gl.TRIANGLE_FAN, 0, 4);
-  }
-
-  // Collision bursts
-  if (collisionBursts.length) {
-    for (const burst of collisionBursts) {
-      const t = Math.max(0, burst.life / burst.maxLife);
-      const size = burst.size * (0.6 + 0.8 * t);
-      const alpha = Math.pow(t, 1.5);
-      gl.uniform3fv(orbProgram.uCenter, new Float32Array(burst.pos));
-      gl.uniformMatrix4fv(orbProgram.uView, false, view);
-      gl.uniformMatrix4fv(orbProgram.uProjection, false, projection);
-      gl.uniform1f(orbProgram.uSize, size);
-      gl.uniform3fv(orbProgram.uColorOuter, new Float32Array(burst.color));
-      gl.uniform3fv(orbProgram.uColorInner, new Float32Array([
-        burst.color[0] * 0.8,
-        burst.color[1] * 0.8,
-        burst.color[2] * 0.8,
-      ]));
-      gl.drawArrays(gl.TRIANGLE_FAN, 0, 4);
-    }
+// Upload the points appended since the last sync into the trail's ring slot.
+// Points are matched by identity, so a trail that was replaced wholesale re-uploads from scratch.
+function syncTrailRing(gl, trail) {
+  const ring = trailRings.get(trail);
+  let fresh = 0;
+  while (fresh < trail.length && trail[trail.length - 1 - fresh] !== ring.lastPoint) fresh++;
+  if (fresh === trail.length) ring.head = -1;
+  fresh = Math.min(fresh, TRAIL_RING_CAPACITY);
+  if (!fresh) return;
+
+  const start = (ring.head + 1) % TRAIL_RING_CAPACITY;
+  const first = Math.min(fresh, TRAIL_RING_CAPACITY - start);
+  writeTrailRing(gl, ring.slot, start, trail, trail.length - fresh, first);
+  if (fresh > first) writeTrailRing(gl, ring.slot, 0, trail, trail.length - fresh + first, fresh - first);
+  ring.head = (ring.head + fresh) % TRAIL_RING_CAPACITY;
+  ring.lastPoint = trail[trail.length - 1];
+}
+
+function writeTrailRing(gl, slot, ringIndex, trail, from, count) {
+  let k = 0;
+  for (let i = from; i < from + count; i++) {
+    const p = trail[i];
+    trailUploadScratch[k++] = p[0];
+    trailUploadScratch[k++] = p[1];
+    trailUploadScratch[k++] = p[2];
   }
-  gl.disable(gl.BLEND);
+  const offset = slot * TRAIL_SLOT_BYTES + ringIndex * 12;
+  gl.bufferSubData(gl.ARRAY_BUFFER, offset, trailUploadScratch.subarray(0, k));
 }
 
 function drawOrbiterTrail(gl, view, projection) {
-  if (!orbTrailSpriteProgram || !orbTrailVbo || !orbTrailIbo) return;
-  if (!orbStates.length && !retiredTrails.length) return;
+  if (!orbTrailSpriteProgram || !orbTrailVbo || !orbInstancing) return;
+  if (!world.orbs.length && !world.retiredTrails.length) return;
+
+  const renderables = [...world.orbs, ...world.retiredTrails].filter((r) => r.trailPositions.length);
+  releaseStaleTrailRings(renderables);
+  // Hand out slots before uploading anything: growing the ring invalidates earlier uploads
+  for (const owner of renderables) {
+    if (!trailRings.has(owner.trailPositions)) trailRings.set(owner.trailPositions, allocTrailRing(gl));
+  }
+  gl.bindBuffer(gl.ARRAY_BUFFER, orbTrailVbo);
+  for (const owner of renderables) syncTrailRing(gl, owner.trailPositions);
 
   gl.useProgram(orbTrailSpriteProgram.program);
   const wasBlend = gl.isEnabled(gl.BLEND);
@@ -2257,6 +3860,7 @@ function drawOrbiterTrail(gl, view, projection) {
   gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
   gl.uniformMatrix4fv(orbTrailSpriteProgram.uView, false, view);
   gl.uniformMatrix4fv(orbTrailSpriteProgram.uProjection, false, projection);
+  gl.uniform1f(orbTrailSpriteProgram.uCapacity, TRAIL_RING_CAPACITY);
 
   const m = camera.view;
   const right = [m[0], m[4], m[8]];
@@ -2264,72 +3868,42 @@ function drawOrbiterTrail(gl, view, projection) {
   gl.uniform3fv(orbTrailSpriteProgram.uRight, new Float32Array(right));
   gl.uniform3fv(orbTrailSpriteProgram.uUp, new Float32Array(up));
 
+  const { aOffset, aCenter, aIndex } = orbTrailSpriteProgram;
+  gl.bindBuffer(gl.ARRAY_BUFFER, orbBillboardVbo);
+  gl.enableVertexAttribArray(aOffset);
+  gl.vertexAttribPointer(aOffset, 2, gl.FLOAT, false, 8, 0);
+  gl.bindBuffer(gl.ARRAY_BUFFER, orbTrailIndexVbo);
+  gl.enableVertexAttribArray(aIndex);
+  gl.vertexAttribPointer(aIndex, 1, gl.FLOAT, false, 4, 0);
+  orbInstancing.vertexAttribDivisorANGLE(aIndex, 1);
   gl.bindBuffer(gl.ARRAY_BUFFER, orbTrailVbo);
-  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, orbTrailIbo);
-
-  const stride = 7 * 4;
-
-  const renderables = [...orbStates, ...retiredTrails];
-
-  for (const orbState of renderables) {
-    if (!orbState.trailPositions.length) continue;
-    const color = getOrbTrailColor(orbState);
-    gl.uniform3fv(orbTrailSpriteProgram.uColor, new Float32Array(color));
-
-    // Rebuild trail quad geometry when dirty
-    if (orbState.trailDirty) {
-      const trail = orbState.trailPositions;
-      const count = trail.length;
-      const verts = new Float32Array(count * 4 * 7); // center xyz, offset xy, size, alpha
-      const indices = new Uint16Array(count * 6);
-      let vi = 0;
-      let ii = 0;
-      for (let i = 0; i < count; i++) {
-        const p = trail[i];
-        const t = i / (count - 1 || 1); // 0 = oldest (tail), 1 = newest (head)
-        // Sharper taper and brighter, fuller head
-        const alpha = Math.pow(t, 0.45) * 0.9 * (orbState.alphaScale ?? 1);
-        const size = orbState.size * (0.14 + 0.95 * t); // thinner ribbon, distinct from orb
-        const offsets = [
-          [-1, -1],
-          [1, -1],
-          [1, 1],
-          [-1, 1],
-        ];
-        for (const o of offsets) {
-          verts[vi++] = p[0];
-          verts[vi++] = p[1];
-          verts[vi++] = p[2];
-          verts[vi++] = o[0];
-          verts[vi++] = o[1];
-          verts[vi++] = size;
-          verts[vi++] = alpha;
-        }
-        const base = i * 4;
-        indices[ii++] = base + 0;
-        indices[ii++] = base + 1;
-        indices[ii++] = base + 2;
-        indices[ii++] = base + 0;
-        indices[ii++] = base + 2;
-        indices[ii++] = base + 3;
-      }
-      orbState.trailIndexCount = indices.length;
-      gl.bufferData(gl.ARRAY_BUFFER, verts, gl.DYNAMIC_DRAW);
-      gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.DYNAMIC_DRAW);
-      orbState.trailDirty = false;
-    }
-
-    gl.enableVertexAttribArray(orbTrailSpriteProgram.aCenter);
-    gl.vertexAttribPointer(orbTrailSpriteProgram.aCenter, 3, gl.FLOAT, false, stride, 0);
-    gl.enableVertexAttribArray(orbTrailSpriteProgram.aOffset);
-    gl.vertexAttribPointer(orbTrailSpriteProgram.aOffset, 2, gl.FLOAT, false, stride, 12);
-    gl.enableVertexAttribArray(orbTrailSpriteProgram.aSize);
-    gl.vertexAttribPointer(orbTrailSpriteProgram.aSize, 1, gl.FLOAT, false, stride, 20);
-    gl.enableVertexAttribArray(orbTrailSpriteProgram.aAlpha);
-    gl.vertexAttribPointer(orbTrailSpriteProgram.aAlpha, 1, gl.FLOAT, false, stride, 24);
+  gl.enableVertexAttribArray(aCenter);
+  orbInstancing.vertexAttribDivisorANGLE(aCenter, 1);
+
+  for (const owner of renderables) {
+    const ring = trailRings.get(owner.trailPositions);
+    // Retired trails have no simPosition, so they show every stored point and no live head
+    const trailView = getOrbTrailView(owner);
+    const shown = Math.min(trailView.shown, TRAIL_RING_CAPACITY);
+    const head = (ring.head - trailView.hidden + TRAIL_RING_CAPACITY) % TRAIL_RING_CAPACITY;
+
+    // Retired trails keep the color and width they had when their orb went away
+    const look = owner.transform ? getOrbLook(owner) : null;
+    gl.uniform3fv(orbTrailSpriteProgram.uColor, new Float32Array(look ? look.trail : owner.color));
+    gl.uniform1f(orbTrailSpriteProgram.uSize, look ? owner.size * look.trailWidth : owner.size);
+    gl.uniform1f(orbTrailSpriteProgram.uAlphaScale, owner.alphaScale ?? 1);
+    gl.uniform1f(orbTrailSpriteProgram.uHead, head);
+    gl.uniform1f(orbTrailSpriteProgram.uCount, shown);
+    gl.uniform1f(orbTrailSpriteProgram.uHasHead, trailView.head ? 1 : 0);
+    if (trailView.head) gl.uniform3fv(orbTrailSpriteProgram.uHeadCenter, new Float32Array(trailView.head));
+
+    gl.vertexAttribPointer(aCenter, 3, gl.FLOAT, false, 12, ring.slot * TRAIL_SLOT_BYTES);
+    orbInstancing.drawArraysInstancedANGLE(gl.TRIANGLE_FAN, 0, 4, TRAIL_RING_CAPACITY + 1);
+  }
 
-    const count = orbState.trailIndexCount || orbTrailVertexCount;
-    gl.drawElements(gl.TRIANGLES, count, gl.UNSIGNED_SHORT, 0);
+  for (const loc of [aCenter, aIndex]) {
+    orbInstancing.vertexAttribDivisorANGLE(loc, 0);
+    gl.disableVertexAttribArray(loc);
   }
   if (!wasBlend) gl.disable(gl.BLEND);
 }
@@ -2348,14 +3922,14 @@ function createOrbProgram(gl) {
   return {
     program,
     aOffset: gl.getAttribLocation(program, "aOffset"),
-    uCenter: gl.getUniformLocation(program, "uCenter"),
+    aCenter: gl.getAttribLocation(program, "aCenter"),
+    aSize: gl.getAttribLocation(program, "aSize"),
+    aColorOuter: gl.getAttribLocation(program, "aColorOuter"),
+    aColorInner: gl.getAttribLocation(program, "aColorInner"),
     uView: gl.getUniformLocation(program, "uView"),
     uProjection: gl.getUniformLocation(program, "uProjection"),
     uRight: gl.getUniformLocation(program, "uRight"),
     uUp: gl.getUniformLocation(program, "uUp"),
-    uSize: gl.getUniformLocation(program, "uSize"),
-    uColorOuter: gl.getUniformLocation(program, "uColorOuter"),
-    uColorInner: gl.getUniformLocation(program, "uColorInner"),
   };
 }
 
@@ -2393,14 +3967,95 @@ function createOrbTrailSpriteProgram(gl) {
   }
   return {
     program,
+    aOffset: gl.getAttribLocation(program, "aOffset"),
     aCenter: gl.getAttribLocation(program, "aCenter"),
+    aIndex: gl.getAttribLocation(program, "aIndex"),
+    uView: gl.getUniformLocation(program, "uView"),
+    uProjection: gl.getUniformLocation(program, "uProjection"),
+    uRight: gl.getUniformLocation(program, "uRight"),
+    uUp: gl.getUniformLocation(program, "uUp"),
+    uCapacity: gl.getUniformLocation(program, "uCapacity"),
+    uHead: gl.getUniformLocation(program, "uHead"),
+    uCount: gl.getUniformLocation(program, "uCount"),
+    uHasHead: gl.getUniformLocation(program, "uHasHead"),
+    uHeadCenter: gl.getUniformLocation(program, "uHeadCenter"),
+    uSize: gl.getUniformLocation(program, "uSize"),
+    uAlphaScale: gl.getUniformLocation(program, "uAlphaScale"),
+    uColor: gl.getUniformLocation(program, "uColor"),
+  };
+}
+
+function createParticleProgram(gl) {
+  const vs = compileShader(gl, gl.VERTEX_SHADER, PARTICLE_VERTEX_SOURCE);
+  const fs = compileShader(gl, gl.FRAGMENT_SHADER, PARTICLE_FRAGMENT_SOURCE);
+  const program = gl.createProgram();
+  gl.attachShader(program, vs);
+  gl.attachShader(program, fs);
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    console.error("Particle program link error:", gl.getProgramInfoLog(program));
+    return null;
+  }
+  return {
+    program,
     aOffset: gl.getAttribLocation(program, "aOffset"),
+    aCenter: gl.getAttribLocation(program, "aCenter"),
     aSize: gl.getAttribLocation(program, "aSize"),
-    aAlpha: gl.getAttribLocation(program, "aAlpha"),
+    aColor: gl.getAttribLocation(program, "aColor"),
+    uView: gl.getUniformLocation(program, "uView"),
+    uProjection: gl.getUniformLocation(program, "uProjection"),
+    uRight: gl.getUniformLocation(program, "uRight"),
+    uUp: gl.getUniformLocation(program, "uUp"),
+  };
+}
+
+function createSelectionProgram(gl) {
+  const vs = compileShader(gl, gl.VERTEX_SHADER, SELECTION_VERTEX_SOURCE);
+  const fs = compileShader(gl, gl.FRAGMENT_SHADER, SELECTION_FRAGMENT_SOURCE);
+  const program = gl.createProgram();
+  gl.attachShader(program, vs);
+  gl.attachShader(program, fs);
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    console.error("Selection program link error:", gl.getProgramInfoLog(program));
+    return null;
+  }
+  return {
+    program,
+    aOffset: gl.getAttribLocation(program, "aOffset"),
     uView: gl.getUniformLocation(program, "uView"),
     uProjection: gl.getUniformLocation(program, "uProjection"),
     uRight: gl.getUniformLocation(program, "uRight"),
     uUp: gl.getUniformLocation(program, "uUp"),
+    uCenter: gl.getUniformLocation(program, "uCenter"),
+    uSize: gl.getUniformLocation(program, "uSize"),
     uColor: gl.getUniformLocation(program, "uColor"),
   };
 }
+
+// Ring drawn over everything so the selection stays visible behind the planet or props.
+function drawSelectionHighlight(gl, view, projection) {
+  if (!selectionProgram || !orbBillboardVbo) return;
+  const bounds = getSelectionBounds();
+  if (!bounds) return;
+
+  gl.useProgram(selectionProgram.program);
+  const depthWasEnabled = gl.isEnabled(gl.DEPTH_TEST);
+  gl.disable(gl.DEPTH_TEST);
+
+  const m = camera.view;
+  gl.uniformMatrix4fv(selectionProgram.uView, false, view);
+  gl.uniformMatrix4fv(selectionProgram.uProjection, false, projection);
+  gl.uniform3fv(selectionProgram.uRight, new Float32Array([m[0], m[4], m[8]]));
+  gl.uniform3fv(selectionProgram.uUp, new Float32Array([m[1], m[5], m[9]]));
+  gl.uniform3fv(selectionProgram.uCenter, new Float32Array(bounds.center));
+  gl.uniform1f(selectionProgram.uSize, bounds.radius * 1.15);
+  gl.uniform3fv(selectionProgram.uColor, new Float32Array([0.55, 0.95, 1.0]));
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, orbBillboardVbo);
+  gl.enableVertexAttribArray(selectionProgram.aOffset);
+  gl.vertexAttribPointer(selectionProgram.aOffset, 2, gl.FLOAT, false, 8, 0);
+  gl.drawArrays(gl.TRIANGLE_FAN, 0, 4);
+
+  if (depthWasEnabled) gl.enable(gl.DEPTH_TEST);
+}
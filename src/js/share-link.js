@@ -0,0 +1,56 @@
+// share-link.js
+// Packs a compact scene snapshot (serializeScene({ compact: true })) into the URL hash as
+// #scene=... and back. The JSON is deflated with CompressionStream where the browser has it
+// and base64url-encoded; a one-letter prefix says which, so either kind of link still opens.
+
+const HASH_KEY = "scene";
+const DEFLATED = "z";
+const PLAIN = "j";
+
+function toBase64Url(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+async function pipeBytes(bytes, stream) {
+  const out = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(out).arrayBuffer());
+}
+
+// "#scene=..." for a scene JSON string.
+export async function encodeSceneHash(json) {
+  const bytes = new TextEncoder().encode(json);
+  if (typeof CompressionStream === "function") {
+    const packed = await pipeBytes(bytes, new CompressionStream("deflate-raw"));
+    return `#${HASH_KEY}=${DEFLATED}${toBase64Url(packed)}`;
+  }
+  return `#${HASH_KEY}=${PLAIN}${toBase64Url(bytes)}`;
+}
+
+// The scene JSON string carried by a hash, or null when there is none or it cannot be read.
+export async function decodeSceneHash(hash = window.location.hash) {
+  const value = new URLSearchParams(hash.replace(/^#/, "")).get(HASH_KEY);
+  if (!value) return null;
+  try {
+    const kind = value[0];
+    let bytes = fromBase64Url(value.slice(1));
+    if (kind === DEFLATED) {
+      if (typeof DecompressionStream !== "function") return null;
+      bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+    } else if (kind !== PLAIN) {
+      return null;
+    }
+    return new TextDecoder().decode(bytes);
+  } catch (err) {
+    console.error("Could not read the scene link:", err);
+    return null;
+  }
+}
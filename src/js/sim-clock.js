@@ -0,0 +1,79 @@
+// sim-clock.js
+// Fixed-step simulation clock with pause, single-step and time scaling.
+// main.js feeds it wall-clock frame time; it answers how many ticks to run and where
+// rendering sits between the last two ticks. The camera is outside the clock, so it stays live.
+
+export const SIM_STEP = 1 / 120; // seconds of simulated time per tick
+export const MIN_TIME_SCALE = 0.05;
+export const MAX_TIME_SCALE = 8;
+
+export const MAX_FRAME_TIME = 0.25; // clamp long stalls (backgrounded tab, debugger) instead of catching up
+const MAX_TICKS_PER_FRAME = 64; // at 8x a slow frame could otherwise spiral
+
+const clock = {
+  accumulator: 0,
+  paused: false,
+  timeScale: 1,
+  pendingSteps: 0,
+  tick: 0, // total ticks simulated
+};
+
+// Returns { ticks, alpha } for one display frame of frameSeconds wall-clock time.
+export function advanceClock(frameSeconds) {
+  const frameTime = Math.min(Math.max(frameSeconds, 0), MAX_FRAME_TIME);
+  let ticks = 0;
+
+  if (clock.paused) {
+    ticks = clock.pendingSteps;
+    clock.pendingSteps = 0;
+  } else {
+    clock.accumulator += frameTime * clock.timeScale;
+    ticks = Math.floor(clock.accumulator / SIM_STEP);
+    clock.accumulator -= ticks * SIM_STEP;
+    if (ticks > MAX_TICKS_PER_FRAME) {
+      ticks = MAX_TICKS_PER_FRAME;
+      clock.accumulator = 0;
+    }
+  }
+
+  clock.tick += ticks;
+  // While paused, show exactly the latest tick so single steps are inspectable
+  const alpha = clock.paused ? 1 : clock.accumulator / SIM_STEP;
+  return { ticks, alpha };
+}
+
+export function pauseSimulation() {
+  clock.paused = true;
+}
+
+export function resumeSimulation() {
+  clock.paused = false;
+  clock.pendingSteps = 0;
+}
+
+export function togglePause() {
+  if (clock.paused) resumeSimulation();
+  else pauseSimulation();
+  return clock.paused;
+}
+
+// Advance exactly one tick on the next frame; only meaningful while paused.
+export function stepSimulation() {
+  if (!clock.paused) pauseSimulation();
+  clock.pendingSteps++;
+}
+
+export function setTimeScale(scale) {
+  if (!Number.isFinite(scale)) return clock.timeScale;
+  clock.timeScale = Math.max(MIN_TIME_SCALE, Math.min(MAX_TIME_SCALE, scale));
+  return clock.timeScale;
+}
+
+export function getTimeState() {
+  return {
+    paused: clock.paused,
+    timeScale: clock.timeScale,
+    tick: clock.tick,
+    simTime: clock.tick * SIM_STEP,
+  };
+}
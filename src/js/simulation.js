@@ -0,0 +1,1227 @@
+// simulation.js
+// The orb world without any rendering: scripted and Newtonian flight, group behaviors,
+// transformations, collisions, teleports, planet spin and simulated time. Nothing here touches
+// WebGL or glMatrix, so a world runs headless in Node as well; scene.js owns one world, steps it
+// from stepScene and draws what it holds. Functions take the world first, like the other
+// GL-free helpers, and the world's events use the scene-events.js hub.
+
+import { createRng, hashSeed } from "./rng.js";
+import { createSpatialHash, rebuildSpatialHash, forEachPairWithin } from "./spatial-hash.js";
+import { GROUP_MODES, stepGroup, coastOnShell } from "./orb-groups.js";
+import {
+  SUPER_LEVELS,
+  createTransformState,
+  clampLevel,
+  requestLevel,
+  stepTransform,
+  powerUpProgress,
+  transformLook,
+} from "./super-saiyan.js";
+import { SCENE_EVENTS, createEventHub, subscribe, unsubscribe, emitEvent } from "./scene-events.js";
+import { groundRadius } from "./terrain.js";
+
+export const MAX_ORBS = 1000;
+export const MAX_TRAIL_POINTS = 256; // longest trail an orb keeps (trailMax upper limit)
+export const TELEPORT_BREAK_DIST = 0.55; // jumps longer than this per tick break the trail
+
+const ORBIT_MIN_RADIUS = 1.15;
+const ORBIT_MAX_RADIUS = 2.05;
+const ORBIT_MIN_HEIGHT = -0.35;
+const ORBIT_MAX_HEIGHT = 0.75;
+// Limits for the per-orb property editor
+const ORB_NAME_MAX_LENGTH = 32;
+const ORB_SIZE_MIN = 0.02;
+const ORB_SIZE_MAX = 0.25;
+const ORB_TRAIL_MIN = 2;
+const ORB_SPEED_MIN = 0.05;
+const ORB_SPEED_MAX = 4.0;
+
+const PLANET_RADIUS = 1.0;
+const PLANET_SPIN_SPEED = 0.3; // radians/sec about +Y
+const RETIRED_TRAIL_FADE = 1.2; // seconds a removed orb's trail takes to fade out
+
+// Per-tick fields on an orb, rebuilt after a restore rather than saved. auraEmitter only
+// appears in files from before the renderer kept emitters to itself.
+const ORB_TRANSIENT_FIELDS = ["prevPosition", "simPosition", "trailPushed", "snapRender", "auraEmitter"];
+const ORB_OPTIONAL_FIELDS = ["accel"]; // saved, but a fresh orb lacks them until first use
+
+// Newtonian mode: GM chosen so a circular orbit at the default 1.6 radius moves about as fast
+// as erratic flight does (v = sqrt(GM / r) ≈ 1.0).
+const PLANET_GM = 1.6;
+const ORB_GM = 0.004; // per-orb mass for optional orb-to-orb gravity
+const ORB_GRAVITY_SOFTENING = 0.05; // avoids singular pulls during close passes
+const SURFACE_RESTITUTION = 0.6;
+const SURFACE_IMPACT_SPEED = 0.3; // radial speed above which a bounce is reported as an impact
+const ORBITAL_ESCAPE_RADIUS = 8.0; // beyond this an orb is recaptured onto a circular orbit
+
+const GROUP_BLEND_TIME = 1.2; // seconds to ease into or out of group motion
+const GROUP_SHELL = { min: ORBIT_MIN_RADIUS, max: ORBIT_MAX_RADIUS };
+
+// Orb interaction ranges; each pass has a broadphase grid with cells this size
+const ORB_ATTRACT_DIST = 0.55;
+const ORB_COLLIDE_DIST = 0.18; // approximate sprite diameter for bounce
+
+// A world with no orbs yet: seedWorld creates orbCount of them from `random`. By default each
+// world has its own generator from `seed`, so worlds in one process (tests, batch runs) do not
+// draw from each other; the page passes the shared "orbs" stream instead.
+export function createWorld({ orbCount = 3, seed = 0, random = createRng(hashSeed(`${seed}:orbs`)) } = {}) {
+  return {
+    random,
+    orbs: [],
+    orbCount,
+    nextOrbId: 1,
+    // Trails left by removed orbs: { trailPositions, size, alphaScale, fade, color }
+    retiredTrails: [],
+    time: 0, // simulated seconds
+    spinAngle: 0, // planet rotation about +Y, radians
+    prevSpinAngle: 0, // at the previous tick, kept on the same branch so it never sweeps back
+    terrain: null, // planet terrain from terrain.js; null = smooth sphere of PLANET_RADIUS
+    orbToOrbGravity: false,
+    // Group behavior for erratic orbs: "none" | "flock" | "chain" | "ring" | "v" (see orb-groups.js)
+    groupMode: "none",
+    groupLeaderId: null, // chain/ring/v anchor; falls back to the first erratic orb
+    groupLeaderVelocity: [0, 0, 0], // smoothed; collision kicks and direction flips are abrupt
+    events: createEventHub(SCENE_EVENTS),
+    coords: new Float64Array(0), // orb positions packed x, y, z for the pair passes, reused per tick
+    attractionGrid: createSpatialHash(ORB_ATTRACT_DIST),
+    collisionGrid: createSpatialHash(ORB_COLLIDE_DIST),
+    // Work done by the last tick: candidate pairs the grids tested and orb-to-orb gravity pairs
+    stats: { pairChecks: 0, gravityPairs: 0 },
+  };
+}
+
+// Fresh orbs from the current RNG; ids restart so a seed always yields the same names.
+export function seedWorld(world) {
+  for (const orb of world.orbs) emitEvent(world.events, "orbRemoved", { id: orb.id, name: orb.name });
+  world.orbs = [];
+  world.retiredTrails = [];
+  world.nextOrbId = 1;
+  for (let i = 0; i < world.orbCount; i++) addOrb(world);
+}
+
+// One fixed tick. The outcome depends only on the tick size and the RNG, never on who watches.
+export function stepWorld(world, dt) {
+  world.prevSpinAngle = world.spinAngle;
+  world.spinAngle = (world.spinAngle + PLANET_SPIN_SPEED * dt) % (Math.PI * 2);
+  if (world.spinAngle < world.prevSpinAngle) world.prevSpinAngle -= Math.PI * 2;
+  world.time += dt;
+  updateOrbiters(world, dt);
+  decayRetiredTrails(world, dt);
+}
+
+// Subscribe to the world's events (types and payloads in scene-events.js). Returns a function
+// that unsubscribes.
+export function onWorldEvent(world, type, handler) {
+  return subscribe(world.events, type, handler);
+}
+
+export function offWorldEvent(world, type, handler) {
+  unsubscribe(world.events, type, handler);
+}
+
+// The live orb with this id (not a copy), or null.
+export function findWorldOrb(world, id) {
+  return world.orbs.find((o) => o.id === id) || null;
+}
+
+// Editable properties of every orb (copies).
+export function getWorldOrbs(world) {
+  return world.orbs.map(orbProperties);
+}
+
+export function getWorldOrbProperties(world, id) {
+  const orb = findWorldOrb(world, id);
+  return orb ? orbProperties(orb) : null;
+}
+
+// Apply a partial update such as { size: 0.1, speedMax: 2.5 }. Values are clamped to the
+// editor limits and band pairs are kept ordered; returns the resulting properties.
+export function setWorldOrbProperties(world, id, patch = {}) {
+  const orb = findWorldOrb(world, id);
+  if (!orb) return null;
+
+  if (typeof patch.name === "string" && patch.name.trim()) {
+    orb.name = patch.name.trim().slice(0, ORB_NAME_MAX_LENGTH);
+  }
+  if (Array.isArray(patch.color) && patch.color.length >= 3 && patch.color.every(Number.isFinite)) {
+    const color = patch.color.slice(0, 3).map((c) => clampOrbit(c, 0, 1));
+    orb.color = color;
+    orb.baseColor = color;
+  }
+  if (Number.isFinite(patch.size)) {
+    orb.size = clampOrbit(patch.size, ORB_SIZE_MIN, ORB_SIZE_MAX);
+  }
+  if (Number.isFinite(patch.trailMax)) {
+    orb.trailMax = Math.round(clampOrbit(patch.trailMax, ORB_TRAIL_MIN, MAX_TRAIL_POINTS));
+    const trail = orb.trailPositions;
+    if (trail.length > orb.trailMax) trail.splice(0, trail.length - orb.trailMax);
+  }
+  applyOrbBand(orb, patch, "speedMin", "speedMax", ORB_SPEED_MIN, ORB_SPEED_MAX, 0.05);
+  applyOrbBand(orb, patch, "radiusMin", "radiusMax", ORBIT_MIN_RADIUS, ORBIT_MAX_RADIUS, 0.05);
+  applyOrbBand(orb, patch, "heightMin", "heightMax", ORBIT_MIN_HEIGHT, ORBIT_MAX_HEIGHT, 0.05);
+  if (typeof patch.canTeleport === "boolean") {
+    orb.canTeleport = patch.canTeleport;
+    if (!orb.canTeleport) orb.teleportPlanned = false;
+  }
+  if (typeof patch.isSuper === "boolean") setWorldOrbSuperLevel(world, id, patch.isSuper ? 1 : 0);
+  if (patch.superLevel !== undefined) setWorldOrbSuperLevel(world, id, patch.superLevel);
+  if (patch.physicsMode) setWorldOrbPhysicsMode(world, id, patch.physicsMode);
+
+  // Pull the current flight inside the (possibly narrower) envelope right away
+  orb.targetAngularSpeed = clampOrbit(orb.targetAngularSpeed, orb.speedMin, orb.speedMax);
+  orb.radius = clampOrbit(orb.radius, orb.radiusMin, orb.radiusMax);
+  orb.targetRadius = clampOrbit(orb.targetRadius, orb.radiusMin, orb.radiusMax);
+  orb.height = clampOrbit(orb.height, orb.heightMin, orb.heightMax);
+  orb.targetHeight = clampOrbit(orb.targetHeight, orb.heightMin, orb.heightMax);
+  return orbProperties(orb);
+}
+
+// Grow or shrink to `count` orbs (1..MAX_ORBS); removed orbs leave a fading trail. Before the
+// first seedWorld this only sets how many orbs it creates.
+export function setWorldOrbCount(world, count) {
+  const next = Math.max(1, Math.min(MAX_ORBS, Math.floor(count || 1)));
+  world.orbCount = next;
+  if (!world.orbs.length) return next;
+  while (world.orbs.length < next) addOrb(world);
+  while (world.orbs.length > next) retireOrb(world, world.orbs.pop());
+  return next;
+}
+
+// Switch one orb between scripted "erratic" flight and Newtonian "orbital" motion.
+export function setWorldOrbPhysicsMode(world, id, mode) {
+  const orb = findWorldOrb(world, id);
+  if (!orb || (mode !== "erratic" && mode !== "orbital") || orb.physicsMode === mode) return;
+  if (mode === "orbital") enterOrbitalMode(orb);
+  else enterErraticMode(world, orb);
+}
+
+// Group behavior for erratic orbs and the leader that chain/ring/v formations form around.
+export function getWorldGroupBehavior(world) {
+  const leader = getGroupLeader(world);
+  return { mode: world.groupMode, leaderId: leader ? leader.id : null };
+}
+
+// Switch group behavior ({ mode, leaderId }, either optional); orbs blend over GROUP_BLEND_TIME.
+export function setWorldGroupBehavior(world, { mode, leaderId } = {}) {
+  if (GROUP_MODES.includes(mode)) world.groupMode = mode;
+  if (leaderId !== undefined) world.groupLeaderId = leaderId;
+  return getWorldGroupBehavior(world);
+}
+
+export function getWorldOrbGravity(world) {
+  return world.orbToOrbGravity;
+}
+
+// Orbital-mode orbs also feel every other orb's (small) mass when enabled.
+export function setWorldOrbGravity(world, enabled) {
+  world.orbToOrbGravity = !!enabled;
+}
+
+// Transform an orb to `level` (index into SUPER_LEVELS). Higher levels power up first; lower
+// ones apply at once. revertAfter > 0 returns the orb to base that long after it gets there.
+export function setWorldOrbSuperLevel(world, id, level, { revertAfter = 0 } = {}) {
+  const orb = findWorldOrb(world, id);
+  if (!orb) return null;
+  const t = orb.transform;
+  const before = { level: t.level, target: t.target, poweringUp: t.poweringUp };
+  requestLevel(t, clampLevel(level), revertAfter);
+  if (t.poweringUp && (!before.poweringUp || before.target !== t.target)) {
+    emitSuperChange(world, orb, before.level, "powerUp");
+  } else if (!t.poweringUp && (t.level !== before.level || before.poweringUp)) {
+    emitSuperChange(world, orb, before.level, "set");
+  }
+  return getWorldOrbSuperState(world, id);
+}
+
+export function getWorldOrbSuperState(world, id) {
+  const orb = findWorldOrb(world, id);
+  if (!orb) return null;
+  const t = orb.transform;
+  return {
+    level: t.level,
+    name: SUPER_LEVELS[t.level].name,
+    targetLevel: t.target,
+    poweringUp: t.poweringUp,
+    progress: powerUpProgress(t),
+    revertIn: t.poweringUp ? t.revertAfter : t.revertTimer,
+  };
+}
+
+// Everything needed to resume the world exactly: time, spin, group settings and every orb's
+// full state. `compact` leaves the trails out. RNG stream positions are the caller's to save.
+export function serializeWorld(world, { compact = false } = {}) {
+  const list = world.orbs.map((orb) => {
+    const saved = {};
+    for (const [key, value] of Object.entries(orb)) {
+      if (!ORB_TRANSIENT_FIELDS.includes(key)) saved[key] = value;
+    }
+    if (compact) saved.trailPositions = [];
+    return saved;
+  });
+  return {
+    time: world.time,
+    spinAngle: world.spinAngle,
+    orbs: {
+      nextId: world.nextOrbId,
+      orbToOrbGravity: world.orbToOrbGravity,
+      groupMode: world.groupMode,
+      groupLeaderId: world.groupLeaderId,
+      groupLeaderVelocity: world.groupLeaderVelocity.slice(),
+      list,
+    },
+  };
+}
+
+// Why serializeWorld's `orbs` cannot be restored (a message), or null when restoreWorld can
+// take it. Fields an orb leaves out fall back to defaults; the ones it has must have the type
+// and shape a live orb uses, since nothing checks them again while the world steps.
+export function savedOrbsProblem(orbs) {
+  if (!orbs || !Array.isArray(orbs.list) || !orbs.list.length) return "no orbs";
+  if (orbs.list.length > MAX_ORBS) return `${orbs.list.length} orbs, more than the ${MAX_ORBS} allowed`;
+  // Field types from a fresh orb; the scratch world keeps the real streams untouched
+  const template = createOrbState({ nextOrbId: 0, random: () => 0.5 });
+  for (let i = 0; i < orbs.list.length; i++) {
+    const problem = savedOrbProblem(orbs.list[i], template);
+    if (problem) return `orb ${i}: ${problem}`;
+  }
+  return null;
+}
+
+function isVec3(v) {
+  return Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+function savedOrbProblem(saved, template) {
+  if (!isPlainObject(saved)) return "not an object";
+  for (const [key, value] of Object.entries(saved)) {
+    if (ORB_TRANSIENT_FIELDS.includes(key)) continue;
+    let ok = true;
+    if (key === "trailPositions") ok = Array.isArray(value) && value.every(isVec3);
+    else if (key === "position" || key === "velocity" || key === "accel") ok = value === null || isVec3(value);
+    else if (key === "group") ok = value === null || (isPlainObject(value) && isVec3(value.position) && isVec3(value.velocity));
+    else if (key === "color") ok = value === null || isVec3(value); // older files may lack it
+    else if (key === "physicsMode") ok = value === "erratic" || value === "orbital";
+    else if (key === "transform") ok = isPlainObject(value) && !savedTransformProblem(value);
+    else if (!(key in template)) continue; // unknown: restoreOrbState drops it
+    else if (typeof template[key] === "number") ok = Number.isFinite(value);
+    else if (Array.isArray(template[key])) ok = isVec3(value);
+    else ok = typeof value === typeof template[key];
+    if (!ok) return `bad ${key}`;
+  }
+  // Orbital flight integrates these every tick, so null is only fine for erratic orbs
+  if (saved.physicsMode === "orbital" && !(isVec3(saved.position) && isVec3(saved.velocity))) {
+    return "orbital without position and velocity";
+  }
+  return null;
+}
+
+function savedTransformProblem(saved) {
+  const template = createTransformState();
+  for (const [key, value] of Object.entries(saved)) {
+    if (!(key in template)) continue;
+    if (typeof value !== typeof template[key] || (typeof value === "number" && !Number.isFinite(value))) return key;
+  }
+  for (const key of ["level", "target"]) {
+    if (key in saved && (!Number.isInteger(saved[key]) || saved[key] < 0 || saved[key] >= SUPER_LEVELS.length)) return key;
+  }
+  return null;
+}
+
+// Replace the world's state with serializeWorld output that savedOrbsProblem accepts; time and
+// spinAngle are optional.
+export function restoreWorld(world, { time, spinAngle, orbs }) {
+  for (const orb of world.orbs) emitEvent(world.events, "orbRemoved", { id: orb.id, name: orb.name });
+  world.retiredTrails = [];
+  world.orbs = orbs.list.map((saved) => restoreOrbState(world, saved));
+  world.orbCount = world.orbs.length;
+  world.nextOrbId = Math.max(orbs.nextId || 0, ...world.orbs.map((o) => o.id + 1));
+  world.orbToOrbGravity = !!orbs.orbToOrbGravity;
+  world.groupMode = GROUP_MODES.includes(orbs.groupMode) ? orbs.groupMode : "none";
+  world.groupLeaderId = orbs.groupLeaderId ?? null;
+  for (let i = 0; i < 3; i++) world.groupLeaderVelocity[i] = Number(orbs.groupLeaderVelocity?.[i]) || 0;
+  for (const orb of world.orbs) emitEvent(world.events, "orbAdded", { id: orb.id, name: orb.name });
+  if (Number.isFinite(spinAngle)) world.spinAngle = world.prevSpinAngle = spinAngle;
+  if (Number.isFinite(time)) world.time = time;
+}
+
+export function createOrbState(world) {
+  const baseColor = randomBrightColor(world);
+  return {
+    id: world.nextOrbId++,
+    name: `Orb ${world.nextOrbId - 1}`,
+    angle: world.random() * Math.PI * 2,
+    angularSpeed: 0.6, // radians/sec
+    radius: 1.6,
+    height: 0.2,
+    size: 0.07,
+    trailMax: 220,
+    trailPositions: [],
+    direction: world.random() < 0.5 ? -1 : 1,
+    // Editable flight envelope (see setWorldOrbProperties); defaults match the global orbit band
+    speedMin: 0.35, // radians/sec range for new flight segments
+    speedMax: 1.8,
+    radiusMin: ORBIT_MIN_RADIUS,
+    radiusMax: ORBIT_MAX_RADIUS,
+    heightMin: ORBIT_MIN_HEIGHT,
+    heightMax: ORBIT_MAX_HEIGHT,
+    canTeleport: true,
+    targetAngularSpeed: 0.6,
+    targetRadius: 1.6,
+    targetHeight: 0.2,
+    segmentTime: 0,
+    segmentDuration: 1.4,
+    pauseTimer: 0,
+    pauseDuration: 0,
+    isPaused: false,
+    wobblePhaseA: world.random() * Math.PI * 2,
+    wobblePhaseB: world.random() * Math.PI * 2,
+    renderRadius: 1.6,
+    renderHeight: 0.2,
+    planeNormal: randomUnitVec3(world),
+    targetPlaneNormal: [0, 1, 0],
+    teleportPlanned: false,
+    teleportDone: false,
+    skipTrailInterpolation: false,
+    color: baseColor, // store chosen color
+    transform: createTransformState(), // Super Saiyan level and power-up (super-saiyan.js)
+    baseColor,
+    physicsMode: "erratic", // "erratic" (scripted flight segments) | "orbital" (Newtonian)
+    groupWeight: 0, // 0 = own flight, 1 = fully driven by the group behavior
+    group: null, // { position, velocity } shell agent while in (or blending out of) a group
+    position: null, // world position/velocity, only integrated in orbital mode
+    velocity: null,
+  };
+}
+
+// Colors, size and trail style as drawn: the orb's own color unless a transformation overrides it.
+export function getOrbLook(orb) {
+  return transformLook(orb.transform, orb.color || orb.baseColor || [1, 1, 1]);
+}
+
+export function currentOrbiterPosition(orbState) {
+  if (orbState.physicsMode === "orbital" && orbState.position) return orbState.position.slice();
+  const own = freeOrbiterPosition(orbState);
+  if (!orbState.group || orbState.groupWeight <= 0) return own;
+  return blendOnShell(own, orbState.group.position, smoothstep01(orbState.groupWeight));
+}
+
+// Extend the trail to p, filling gaps so fast orbs don't leave dotted ribbons.
+// Large jumps (teleports) break the ribbon instead of streaking across.
+export function appendTrailPoint(orbState, p) {
+  const trail = orbState.trailPositions;
+  const last = trail[trail.length - 1] || p;
+
+  const dx = p[0] - last[0];
+  const dy = p[1] - last[1];
+  const dz = p[2] - last[2];
+  const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+  if (orbState.skipTrailInterpolation || dist > TELEPORT_BREAK_DIST) {
+    trail.push(p);
+    orbState.skipTrailInterpolation = false;
+    orbState.trailPushed = 1;
+    orbState.snapRender = true;
+  } else {
+    const maxGap = 0.045; // tighter spacing at high speed to avoid dotting
+    const steps = Math.max(1, Math.ceil(dist / maxGap));
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      const lerped = [
+        last[0] + dx * t,
+        last[1] + dy * t,
+        last[2] + dz * t,
+      ];
+      trail.push(lerped);
+    }
+    orbState.trailPushed = steps;
+  }
+
+  // Usually one point or a few over the limit; shift drops them without copying the rest
+  while (trail.length > orbState.trailMax) trail.shift();
+}
+
+function addOrb(world) {
+  const state = createOrbState(world);
+  const p = currentOrbiterPosition(state);
+  state.trailPositions = [p];
+  pickNewFlightSegment(world, state, true);
+  world.orbs.push(state);
+  emitEvent(world.events, "orbAdded", { id: state.id, name: state.name });
+}
+
+// The orb's point list carries on as a fading trail, so whatever drew it can keep doing so.
+function retireOrb(world, orb) {
+  if (orb.trailPositions?.length) {
+    const look = getOrbLook(orb);
+    world.retiredTrails.push({
+      trailPositions: orb.trailPositions,
+      size: orb.size * look.trailWidth,
+      alphaScale: 1,
+      fade: RETIRED_TRAIL_FADE,
+      color: look.trail,
+    });
+  }
+  emitEvent(world.events, "orbRemoved", { id: orb.id, name: orb.name });
+}
+
+function decayRetiredTrails(world, dt) {
+  const retired = world.retiredTrails;
+  for (let i = retired.length - 1; i >= 0; i--) {
+    const r = retired[i];
+    r.fade -= dt;
+    if (r.fade <= 0) retired.splice(i, 1);
+    else r.alphaScale = Math.max(0, r.fade / RETIRED_TRAIL_FADE);
+  }
+}
+
+// A live orb from its saved fields. Starting from createOrbState fills in anything an older
+// file lacks.
+function restoreOrbState(world, saved) {
+  const orb = createOrbState(world);
+  for (const [key, value] of Object.entries(saved)) {
+    // Only fields an orb has; anything else in the data would ride along into later saves
+    if (!ORB_TRANSIENT_FIELDS.includes(key) && (key in orb || ORB_OPTIONAL_FIELDS.includes(key))) orb[key] = value;
+  }
+  orb.transform = { ...createTransformState(), ...saved.transform };
+  if (!Array.isArray(orb.trailPositions) || !orb.trailPositions.length) {
+    orb.trailPositions = [currentOrbiterPosition(orb)];
+  } else if (orb.trailPositions.length > orb.trailMax) {
+    orb.trailPositions.splice(0, orb.trailPositions.length - orb.trailMax);
+  }
+  return orb;
+}
+
+function orbProperties(orb) {
+  return {
+    id: orb.id,
+    name: orb.name,
+    color: (orb.color || orb.baseColor || [1, 1, 1]).slice(),
+    size: orb.size,
+    trailMax: orb.trailMax,
+    speedMin: orb.speedMin,
+    speedMax: orb.speedMax,
+    radiusMin: orb.radiusMin,
+    radiusMax: orb.radiusMax,
+    heightMin: orb.heightMin,
+    heightMax: orb.heightMax,
+    canTeleport: orb.canTeleport,
+    isSuper: orb.transform.target > 0,
+    superLevel: orb.transform.level,
+    physicsMode: orb.physicsMode,
+  };
+}
+
+// Set a [min, max] pair from a patch: clamp both to the limits, then keep at least `gap`
+// between them by moving whichever end the patch did not touch.
+function applyOrbBand(orb, patch, minKey, maxKey, limitMin, limitMax, gap) {
+  const hasMin = Number.isFinite(patch[minKey]);
+  const hasMax = Number.isFinite(patch[maxKey]);
+  if (!hasMin && !hasMax) return;
+  let min = clampOrbit(hasMin ? patch[minKey] : orb[minKey], limitMin, limitMax - gap);
+  let max = clampOrbit(hasMax ? patch[maxKey] : orb[maxKey], limitMin + gap, limitMax);
+  if (max - min < gap) {
+    if (hasMin && !hasMax) max = min + gap;
+    else min = max - gap;
+  }
+  orb[minKey] = min;
+  orb[maxKey] = max;
+}
+
+function emitSuperChange(world, orb, previousLevel, reason) {
+  emitEvent(world.events, "superChange", {
+    id: orb.id,
+    level: orb.transform.level,
+    previousLevel,
+    targetLevel: orb.transform.target,
+    reason,
+  });
+}
+
+function updateOrbiters(world, dt) {
+  const orbs = world.orbs;
+  world.stats.pairChecks = 0;
+  world.stats.gravityPairs = 0;
+  for (const orb of orbs) {
+    orb.prevPosition = orb.simPosition || currentOrbiterPosition(orb);
+    orb.trailPushed = 0;
+    orb.snapRender = false;
+    const previousLevel = orb.transform.level;
+    const change = stepTransform(orb.transform, dt);
+    if (change) emitSuperChange(world, orb, previousLevel, change);
+  }
+  if (orbs.some((o) => o.physicsMode === "orbital")) integrateOrbitalOrbs(world, dt);
+  for (const orb of orbs) {
+    if (orb.physicsMode === "orbital") continue;
+    updateSingleOrb(world, orb, dt);
+    // Transformed orbs fly at least as fast as their level demands
+    const minSpeed = SUPER_LEVELS[orb.transform.level].minSpeed;
+    if (minSpeed) orb.targetAngularSpeed = Math.max(orb.targetAngularSpeed, minSpeed);
+  }
+  // Group steering runs after every orb's own flight so the leader's position is current
+  updateOrbGroups(world, dt);
+  // Positions are computed once per tick, packed for both pair passes; the collision pass
+  // refreshes entries it pushes, so the cache ends the tick up to date.
+  const coords = packOrbPositions(world);
+  orbs.forEach((orb, i) => {
+    if (orb.physicsMode !== "orbital") appendTrailPoint(orb, readCoords(coords, i));
+  });
+  applyMutualAttraction(world, dt, coords);
+  resolveOrbCollisions(world, coords);
+  world.stats.pairChecks += world.attractionGrid.checks + world.collisionGrid.checks;
+  // End-of-tick positions (after collision pushes) are what rendering interpolates toward
+  orbs.forEach((orb, i) => {
+    orb.simPosition = readCoords(coords, i);
+  });
+}
+
+// Every orb's current position in world.coords (grown as needed), packed x, y, z by index.
+function packOrbPositions(world) {
+  const n = world.orbs.length;
+  if (world.coords.length < n * 3) world.coords = new Float64Array(Math.max(n, MAX_ORBS) * 3);
+  world.orbs.forEach((orb, i) => writeCoords(world.coords, i, currentOrbiterPosition(orb)));
+  return world.coords;
+}
+
+function readCoords(coords, i) {
+  return [coords[i * 3], coords[i * 3 + 1], coords[i * 3 + 2]];
+}
+
+function writeCoords(coords, i, p) {
+  coords[i * 3] = p[0];
+  coords[i * 3 + 1] = p[1];
+  coords[i * 3 + 2] = p[2];
+}
+
+function isFormationLeader(world, orb) {
+  return world.groupMode !== "none" && world.groupMode !== "flock" && getGroupLeader(world) === orb;
+}
+
+function getGroupLeader(world) {
+  let first = null;
+  for (const orb of world.orbs) {
+    if (orb.physicsMode === "orbital") continue;
+    if (orb.id === world.groupLeaderId) return orb;
+    if (!first) first = orb;
+  }
+  return first;
+}
+
+// Ease each erratic orb toward (or away from) group motion and step the group agents.
+// Joining orbs start their agent where they currently are, so switching never jumps.
+function updateOrbGroups(world, dt) {
+  const mode = world.groupMode;
+  const needsLeader = mode !== "flock";
+  const leader = needsLeader ? getGroupLeader(world) : null;
+  const active = mode !== "none" && (!needsLeader || leader);
+  const blendStep = dt / GROUP_BLEND_TIME;
+  const members = [];
+  const leaving = [];
+
+  for (const orb of world.orbs) {
+    if (orb.physicsMode === "orbital") {
+      orb.groupWeight = 0;
+      orb.group = null;
+      continue;
+    }
+    const joins = active && orb !== leader;
+    if (joins && !orb.group) {
+      const p = currentOrbiterPosition(orb);
+      const prev = orb.prevPosition || p;
+      orb.group = {
+        position: p,
+        velocity: [(p[0] - prev[0]) / dt, (p[1] - prev[1]) / dt, (p[2] - prev[2]) / dt],
+      };
+    }
+    orb.groupWeight = joins
+      ? Math.min(1, orb.groupWeight + blendStep)
+      : Math.max(0, orb.groupWeight - blendStep);
+    if (!orb.group) continue;
+    if (joins) members.push(orb.group);
+    else if (orb.groupWeight > 0) leaving.push(orb.group);
+    else orb.group = null;
+  }
+
+  let leaderAgent = null;
+  if (leader) {
+    const p = currentOrbiterPosition(leader);
+    const prev = leader.prevPosition || p;
+    const velocity = world.groupLeaderVelocity;
+    // A jump (teleport, snapped render) is not motion; keep the last estimate across it
+    if (Math.hypot(p[0] - prev[0], p[1] - prev[1], p[2] - prev[2]) < TELEPORT_BREAK_DIST) {
+      const k = Math.min(1, dt * 6);
+      for (let c = 0; c < 3; c++) {
+        velocity[c] += ((p[c] - prev[c]) / dt - velocity[c]) * k;
+      }
+    }
+    leaderAgent = { position: p, velocity: velocity.slice() };
+  }
+  if (active) world.stats.pairChecks += stepGroup(mode, members, leaderAgent, dt, GROUP_SHELL);
+  // Orbs easing back to their own flight coast along the shell meanwhile
+  if (leaving.length) coastOnShell(leaving, dt, GROUP_SHELL);
+}
+
+// Kick-drift-kick leapfrog for every orbital-mode orb: symplectic, so orbit energy stays
+// bounded over long runs instead of drifting like explicit Euler.
+function integrateOrbitalOrbs(world, dt) {
+  const orbs = world.orbs;
+  const isOrbital = (o) => o.physicsMode === "orbital";
+  // Orb-to-orb gravity pulls from every orb, so all positions are packed for the pair loop
+  const coords = world.orbToOrbGravity ? packOrbPositions(world) : null;
+  if (orbs.some((o) => isOrbital(o) && !o.accel)) {
+    const acc = orbitalAccelerations(world, coords);
+    orbs.forEach((orb, i) => {
+      if (isOrbital(orb) && !orb.accel) orb.accel = readCoords(acc, i);
+    });
+  }
+  orbs.forEach((orb, k) => {
+    if (!isOrbital(orb)) return;
+    for (let i = 0; i < 3; i++) {
+      orb.velocity[i] += orb.accel[i] * dt * 0.5;
+      orb.position[i] += orb.velocity[i] * dt;
+    }
+    if (coords) writeCoords(coords, k, orb.position);
+  });
+  // Second kick once every orbital orb has drifted, so mutual pulls use matching positions
+  const acc = orbitalAccelerations(world, coords);
+  orbs.forEach((orb, k) => {
+    if (!isOrbital(orb)) return;
+    orb.accel = readCoords(acc, k);
+    for (let i = 0; i < 3; i++) orb.velocity[i] += orb.accel[i] * dt * 0.5;
+    collideWithPlanetSurface(world, orb);
+    recaptureEscapedOrb(orb);
+    appendTrailPoint(orb, orb.position.slice());
+  });
+}
+
+// Acceleration of every orb, packed x, y, z by index (zero for erratic orbs): the
+// inverse-square pull toward the planet center, plus softened pulls from every other orb when
+// orb-to-orb gravity is on (`coords` holds every orb's position, packed the same way). Gravity
+// is long range, so the pairs stay exact and all-pairs; each one is visited once and pulls both
+// ends, and the loop runs over typed arrays only.
+function orbitalAccelerations(world, coords) {
+  const orbs = world.orbs;
+  const n = orbs.length;
+  const acc = new Float64Array(n * 3);
+  const orbital = Uint8Array.from(orbs, (o) => (o.physicsMode === "orbital" ? 1 : 0));
+  if (world.orbToOrbGravity && coords) {
+    const soft2 = ORB_GRAVITY_SOFTENING * ORB_GRAVITY_SOFTENING;
+    for (let i = 0; i < n; i++) {
+      const px = coords[i * 3];
+      const py = coords[i * 3 + 1];
+      const pz = coords[i * 3 + 2];
+      const pullsI = orbital[i];
+      let ax = 0;
+      let ay = 0;
+      let az = 0;
+      for (let j = i + 1; j < n; j++) {
+        if (!pullsI && !orbital[j]) continue;
+        const dx = coords[j * 3] - px;
+        const dy = coords[j * 3 + 1] - py;
+        const dz = coords[j * 3 + 2] - pz;
+        const d2 = dx * dx + dy * dy + dz * dz + soft2;
+        const inv = ORB_GM / (d2 * Math.sqrt(d2));
+        ax += dx * inv;
+        ay += dy * inv;
+        az += dz * inv;
+        acc[j * 3] -= dx * inv;
+        acc[j * 3 + 1] -= dy * inv;
+        acc[j * 3 + 2] -= dz * inv;
+      }
+      acc[i * 3] += ax;
+      acc[i * 3 + 1] += ay;
+      acc[i * 3 + 2] += az;
+    }
+    // Pairs with at least one orbital end: all of them less the erratic-only ones
+    const erratic = n - orbital.reduce((sum, o) => sum + o, 0);
+    world.stats.gravityPairs += (n * (n - 1) - erratic * (erratic - 1)) / 2;
+  }
+  for (let i = 0; i < n; i++) {
+    if (!orbital[i]) {
+      acc.fill(0, i * 3, i * 3 + 3);
+      continue;
+    }
+    const p = orbs[i].position;
+    const r2 = dot(p, p) || 1e-6;
+    const k = -PLANET_GM / (r2 * Math.sqrt(r2));
+    for (let c = 0; c < 3; c++) acc[i * 3 + c] += p[c] * k;
+  }
+  return acc;
+}
+
+// Ground distance from the planet center below the world-space unit direction n. Terrain is
+// fixed to the spinning planet, so n is turned back into planet-local space first.
+export function planetSurfaceRadius(world, n) {
+  if (!world.terrain) return PLANET_RADIUS;
+  const c = Math.cos(world.spinAngle);
+  const s = Math.sin(world.spinAngle);
+  return groundRadius(world.terrain, [c * n[0] + s * n[2], n[1], c * n[2] - s * n[0]]);
+}
+
+// Bounce off the planet: keep the orb's billboard above the surface and reflect radial speed.
+function collideWithPlanetSurface(world, orb) {
+  const p = orb.position;
+  const r = length(p) || 1e-6;
+  const n = [p[0] / r, p[1] / r, p[2] / r];
+  const minR = planetSurfaceRadius(world, n) + orb.size;
+  if (r >= minR) return;
+  orb.position = [n[0] * minR, n[1] * minR, n[2] * minR];
+  const vn = dot(orb.velocity, n);
+  if (vn < 0) {
+    for (let i = 0; i < 3; i++) orb.velocity[i] -= (1 + SURFACE_RESTITUTION) * vn * n[i];
+    if (-vn > SURFACE_IMPACT_SPEED) {
+      emitEvent(world.events, "impact", { id: orb.id, normal: n, speed: -vn, level: orb.transform.level });
+    }
+  }
+}
+
+function recaptureEscapedOrb(orb) {
+  const r = length(orb.position);
+  if (r <= ORBITAL_ESCAPE_RADIUS) return;
+  const n = [orb.position[0] / r, orb.position[1] / r, orb.position[2] / r];
+  orb.position = [n[0] * ORBIT_MAX_RADIUS, n[1] * ORBIT_MAX_RADIUS, n[2] * ORBIT_MAX_RADIUS];
+  orb.velocity = circularOrbitVelocity(orb.position, orb.velocity);
+  orb.accel = null;
+  orb.skipTrailInterpolation = true;
+}
+
+// Velocity for a circular orbit at p, heading as close to dirHint as the tangent plane allows.
+function circularOrbitVelocity(p, dirHint) {
+  const r = length(p) || 1e-6;
+  const n = [p[0] / r, p[1] / r, p[2] / r];
+  const d = dot(dirHint, n);
+  let t = [dirHint[0] - n[0] * d, dirHint[1] - n[1] * d, dirHint[2] - n[2] * d];
+  if (length(t) < 1e-6) t = cross(n, Math.abs(n[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0]);
+  normalizeVec3(t);
+  const speed = Math.sqrt(PLANET_GM / r);
+  return [t[0] * speed, t[1] * speed, t[2] * speed];
+}
+
+// Erratic → orbital: start from the current spot on a circular orbit along the current heading.
+function enterOrbitalMode(orb) {
+  const p = currentOrbiterPosition(orb);
+  const { right, forward } = orbitPlaneBasis(orb.planeNormal);
+  const sinA = Math.sin(orb.angle);
+  const cosA = Math.cos(orb.angle);
+  const heading = [
+    (-right[0] * sinA + forward[0] * cosA) * orb.direction,
+    (-right[1] * sinA + forward[1] * cosA) * orb.direction,
+    (-right[2] * sinA + forward[2] * cosA) * orb.direction,
+  ];
+  orb.physicsMode = "orbital";
+  orb.position = p;
+  orb.velocity = circularOrbitVelocity(p, heading);
+  orb.accel = null;
+  orb.isPaused = false;
+}
+
+// Orbital → erratic: adopt the instantaneous orbit plane, angle and direction, then resume segments.
+function enterErraticMode(world, orb) {
+  const p = orb.position;
+  const v = orb.velocity;
+  let n = cross(p, v);
+  n = length(n) > 1e-6 ? normalizeVec3(n) : orb.planeNormal.slice();
+  const { right, forward } = orbitPlaneBasis(n);
+  const angle = Math.atan2(dot(p, forward), dot(p, right));
+  const heading = [
+    -right[0] * Math.sin(angle) + forward[0] * Math.cos(angle),
+    -right[1] * Math.sin(angle) + forward[1] * Math.cos(angle),
+    -right[2] * Math.sin(angle) + forward[2] * Math.cos(angle),
+  ];
+  const inPlane = Math.hypot(dot(p, right), dot(p, forward));
+  const radius = clampOrbit(inPlane, orb.radiusMin, orb.radiusMax);
+
+  orb.physicsMode = "erratic";
+  orb.planeNormal = n;
+  orb.targetPlaneNormal = n.slice();
+  orb.angle = angle;
+  orb.direction = dot(v, heading) >= 0 ? 1 : -1;
+  orb.radius = orb.renderRadius = orb.targetRadius = radius;
+  orb.height = orb.renderHeight = orb.targetHeight = clampOrbit(0, orb.heightMin, orb.heightMax);
+  orb.angularSpeed = Math.abs(dot(v, heading)) / radius;
+  orb.position = null;
+  orb.velocity = null;
+  orb.accel = null;
+  pickNewFlightSegment(world, orb);
+}
+
+function updateSingleOrb(world, orbState, dt) {
+  // Layered wobble for erratic movement without clipping the planet
+  orbState.wobblePhaseA += dt * 2.6;
+  orbState.wobblePhaseB += dt * 3.7;
+
+  // Smoothly reorient the orbit plane toward its target
+  lerpVec3(orbState.planeNormal, orbState.planeNormal, orbState.targetPlaneNormal, Math.min(1, dt * 1.8));
+  normalizeVec3(orbState.planeNormal);
+
+  if (orbState.transform.poweringUp) {
+    // Hold still while powering up; the wobble keeps running so the orb trembles in place
+    orbState.angularSpeed += (0 - orbState.angularSpeed) * Math.min(1, dt * 6);
+  } else if (orbState.isPaused) {
+    orbState.pauseTimer -= dt;
+    // Mid-hover chance to intentionally teleport
+    if (
+      orbState.teleportPlanned &&
+      !orbState.teleportDone &&
+      orbState.pauseTimer <= orbState.pauseDuration * 0.4
+    ) {
+      // Grouped orbs (and the formation leader) hold their place instead of blinking away
+      if (!orbState.group && !isFormationLeader(world, orbState)) performTeleport(world, orbState);
+      orbState.teleportDone = true;
+    }
+    orbState.angularSpeed += (0 - orbState.angularSpeed) * Math.min(1, dt * 6);
+    if (orbState.pauseTimer <= 0) {
+      orbState.isPaused = false;
+      pickNewFlightSegment(world, orbState);
+    }
+  } else {
+    const speedJitter = 1 + 0.35 * Math.sin(orbState.wobblePhaseA * 0.7);
+    const targetSpeed = orbState.targetAngularSpeed * speedJitter;
+    orbState.angularSpeed += (targetSpeed - orbState.angularSpeed) * Math.min(1, dt * 3.5);
+    orbState.angle += orbState.angularSpeed * orbState.direction * dt;
+
+    orbState.radius += (orbState.targetRadius - orbState.radius) * Math.min(1, dt * 2.2);
+    orbState.height += (orbState.targetHeight - orbState.height) * Math.min(1, dt * 2.2);
+
+    orbState.segmentTime += dt;
+    if (orbState.segmentTime >= orbState.segmentDuration) {
+      if (world.random() < 0.3) {
+        orbState.isPaused = true;
+        orbState.pauseDuration = randomRange(world, 0.35, 0.9);
+        orbState.pauseTimer = orbState.pauseDuration;
+        // sometimes he blinks to a new line mid-hover
+        orbState.teleportPlanned = world.random() < 0.45 && orbState.canTeleport;
+        orbState.teleportDone = false;
+        orbState.segmentTime = 0;
+      } else {
+        pickNewFlightSegment(world, orbState);
+      }
+    }
+  }
+
+  // Apply wobble and safety clamps to keep above the surface
+  const radialWobble =
+    Math.sin(orbState.wobblePhaseA) * 0.08 +
+    Math.sin(orbState.wobblePhaseB + 1.1) * 0.05;
+  const verticalWobble =
+    Math.sin(orbState.wobblePhaseA * 1.3 + 0.4) * 0.05 +
+    Math.sin(orbState.wobblePhaseB * 0.6 + 1.1) * 0.035;
+
+  orbState.renderRadius = clampOrbit(
+    orbState.radius + radialWobble,
+    orbState.radiusMin,
+    orbState.radiusMax
+  );
+  orbState.renderHeight = clampOrbit(
+    orbState.height + verticalWobble,
+    orbState.heightMin,
+    orbState.heightMax
+  );
+}
+
+function pickNewFlightSegment(world, orbState, forceFlip = false) {
+  if (forceFlip || world.random() < 0.35) {
+    orbState.direction *= -1;
+  }
+  orbState.segmentTime = 0;
+  orbState.segmentDuration = randomRange(world, 0.9, 2.4);
+  orbState.targetAngularSpeed = randomRange(world, orbState.speedMin, orbState.speedMax);
+
+  orbState.targetRadius = clampOrbit(sampleOrbitRadius(world, orbState), orbState.radiusMin, orbState.radiusMax);
+
+  const anywhere = sampleOrbitHeight(world, orbState);
+  const lift = Math.sin(orbState.wobblePhaseA * 0.5 + world.random() * 0.6) * 0.08;
+  const nextHeight = anywhere + lift;
+  orbState.targetHeight = clampOrbit(nextHeight, orbState.heightMin, orbState.heightMax);
+
+  // Occasionally pick a completely new orbit plane so he can loop over poles
+  if (forceFlip || world.random() < 0.6) {
+    orbState.targetPlaneNormal = randomUnitVec3(world);
+  }
+
+  orbState.teleportPlanned = false;
+  orbState.teleportDone = false;
+}
+
+function performTeleport(world, orbState) {
+  const from = currentOrbiterPosition(orbState);
+  // Pick a new plane, radius/height, and angle, then reset the trail so the jump looks intentional.
+  const newNormal = randomUnitVec3(world);
+  orbState.planeNormal = normalizeVec3(newNormal.slice());
+  orbState.targetPlaneNormal = orbState.planeNormal.slice();
+
+  orbState.angle = randomRange(world, 0, Math.PI * 2);
+  // Teleports keep their own insets: radius 1.2–1.95 and height −0.25–0.55 at the default bands
+  const { radiusMin, radiusMax, heightMin, heightMax } = orbState;
+  orbState.radius = orbState.renderRadius = sampleInBand(world, radiusMin, radiusMax, 0.05, 0.1);
+  orbState.height = orbState.renderHeight = sampleInBand(world, heightMin, heightMax, 0.1, 0.2);
+
+  // Next trail update should not interpolate across the jump
+  orbState.skipTrailInterpolation = true;
+  emitEvent(world.events, "teleport", { id: orbState.id, from, to: currentOrbiterPosition(orbState) });
+}
+
+function resolveOrbCollisions(world, coords) {
+  const orbs = world.orbs;
+  const minDist = ORB_COLLIDE_DIST;
+  rebuildSpatialHash(world.collisionGrid, coords, orbs.length);
+  forEachPairWithin(world.collisionGrid, minDist, (i, j) => {
+    // Measured again: an earlier push in this pass may have moved either orb
+    const a = readCoords(coords, i);
+    const b = readCoords(coords, j);
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const dz = b[2] - a[2];
+    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (dist > 0 && dist < minDist) {
+      // simple bounce: push apart and flip directions
+      const overlap = (minDist - dist) * 0.5;
+      const nx = dx / dist;
+      const ny = dy / dist;
+      const nz = dz / dist;
+      // The higher level pushes harder and sets the kick; equal levels bounce like plain orbs
+      const levelA = orbs[i].transform.level;
+      const levelB = orbs[j].transform.level;
+      const base = SUPER_LEVELS[0];
+      const pushScaleA = levelA > levelB ? SUPER_LEVELS[levelA].collisionPush : base.collisionPush;
+      const pushScaleB = levelB > levelA ? SUPER_LEVELS[levelB].collisionPush : base.collisionPush;
+      orbs[i].renderRadius += overlap * pushScaleA;
+      orbs[j].renderRadius += overlap * pushScaleB;
+      orbs[i].direction *= -1;
+      orbs[j].direction *= -1;
+      const impulse =
+        levelA !== levelB ? SUPER_LEVELS[Math.max(levelA, levelB)].collisionImpulse : base.collisionImpulse;
+      orbs[i].angle += impulse * (levelB > 0 ? -1 : 1);
+      orbs[j].angle -= impulse * (levelA > 0 ? -1 : 1);
+      // Orbital-mode orbs ignore the angle/direction tweaks above and bounce physically
+      if (orbs[i].physicsMode === "orbital") bounceOrbitalOrb(orbs[i], [-nx, -ny, -nz], overlap);
+      if (orbs[j].physicsMode === "orbital") bounceOrbitalOrb(orbs[j], [nx, ny, nz], overlap);
+      nudgeGroupAgent(orbs[i], [-nx, -ny, -nz], overlap);
+      nudgeGroupAgent(orbs[j], [nx, ny, nz], overlap);
+
+      const hitPos = [
+        (a[0] + b[0]) * 0.5,
+        (a[1] + b[1]) * 0.5,
+        (a[2] + b[2]) * 0.5,
+      ];
+      emitEvent(world.events, "collision", {
+        a: orbs[i].id,
+        b: orbs[j].id,
+        position: hitPos,
+        level: Math.max(levelA, levelB),
+      });
+      writeCoords(coords, i, currentOrbiterPosition(orbs[i]));
+      writeCoords(coords, j, currentOrbiterPosition(orbs[j]));
+    }
+  });
+}
+
+// Nudge a group-driven orb apart on the shell too; its own flight alone would barely move it.
+function nudgeGroupAgent(orb, away, overlap) {
+  if (!orb.group) return;
+  for (let i = 0; i < 3; i++) orb.group.position[i] += away[i] * overlap;
+}
+
+// Separate along `away` and reflect the approaching velocity component (elastic).
+function bounceOrbitalOrb(orb, away, overlap) {
+  for (let i = 0; i < 3; i++) orb.position[i] += away[i] * overlap;
+  const vn = dot(orb.velocity, away);
+  if (vn < 0) {
+    for (let i = 0; i < 3; i++) orb.velocity[i] -= 2 * vn * away[i];
+  }
+}
+
+function applyMutualAttraction(world, dt, coords) {
+  const attractDist = ORB_ATTRACT_DIST;
+  const attractStrength = 0.35;
+  const planeBlend = 0.08;
+  const orbs = world.orbs;
+  // Per orb: radius pull, height push, summed plane normals (x, y, z) and the pair count. The
+  // pairs only add into these, and each orb applies its total once after the pass.
+  const sums = new Float64Array(orbs.length * 6);
+  rebuildSpatialHash(world.attractionGrid, coords, orbs.length);
+  forEachPairWithin(world.attractionGrid, attractDist, (i, j, dist) => {
+    if (dist <= 0) return;
+    const pull = (attractDist - dist) * attractStrength * dt;
+    const ax = coords[i * 3];
+    const ay = coords[i * 3 + 1];
+    const az = coords[i * 3 + 2];
+    const bx = coords[j * 3];
+    const by = coords[j * 3 + 1];
+    const bz = coords[j * 3 + 2];
+    const a = i * 6;
+    const b = j * 6;
+
+    // Nudge their target radii/heights slightly toward each other
+    sums[a] += pull * 0.5;
+    sums[b] += pull * 0.5;
+    const dirY = (by - ay) / dist;
+    sums[a + 1] += dirY * pull * 0.4;
+    sums[b + 1] -= dirY * pull * 0.4;
+
+    // Slightly align plane normals toward the plane through the planet center and both orbs
+    // (the one through their midpoint): b × a for A, and its reverse for B
+    const nx = by * az - bz * ay;
+    const ny = bz * ax - bx * az;
+    const nz = bx * ay - by * ax;
+    const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    if (len === 0) return;
+    sums[a + 2] += nx / len;
+    sums[a + 3] += ny / len;
+    sums[a + 4] += nz / len;
+    sums[a + 5]++;
+    sums[b + 2] -= nx / len;
+    sums[b + 3] -= ny / len;
+    sums[b + 4] -= nz / len;
+    sums[b + 5]++;
+  });
+  orbs.forEach((orb, i) => {
+    const s = sums.subarray(i * 6, i * 6 + 6);
+    if (s[0] === 0) return;
+    orb.targetRadius = clampOrbit(orb.targetRadius - s[0], orb.radiusMin, orb.radiusMax);
+    orb.targetHeight += s[1];
+    // Each pair blends the normal by planeBlend; k blends in a row keep (1 - planeBlend)^k of it
+    const n = orb.targetPlaneNormal;
+    const keep = Math.pow(1 - planeBlend, s[5]);
+    for (let c = 0; c < 3; c++) n[c] = n[c] * keep + s[c + 2] * planeBlend;
+    normalizeVec3(n);
+  });
+}
+
+// Orthonormal in-plane axes for an orbit plane normal n.
+function orbitPlaneBasis(n) {
+  // Pick a helper vector that is not parallel to n
+  const helper = Math.abs(n[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0];
+  const right = normalizeVec3([
+    n[1] * helper[2] - n[2] * helper[1],
+    n[2] * helper[0] - n[0] * helper[2],
+    n[0] * helper[1] - n[1] * helper[0],
+  ]);
+  const forward = [
+    right[1] * n[2] - right[2] * n[1],
+    right[2] * n[0] - right[0] * n[2],
+    right[0] * n[1] - right[1] * n[0],
+  ];
+  return { right, forward };
+}
+
+// Position from the orb's own flight parameters, ignoring any group behavior.
+function freeOrbiterPosition(orbState) {
+  const a = orbState.angle;
+  const r = orbState.renderRadius ?? orbState.radius;
+  const h = orbState.renderHeight ?? orbState.height;
+
+  // Build an orthonormal basis for the orbit plane so he can fly over any latitude
+  const n = orbState.planeNormal;
+  const { right, forward } = orbitPlaneBasis(n);
+
+  const x = right[0] * Math.cos(a) * r + forward[0] * Math.sin(a) * r + n[0] * h;
+  const y = right[1] * Math.cos(a) * r + forward[1] * Math.sin(a) * r + n[1] * h;
+  const z = right[2] * Math.cos(a) * r + forward[2] * Math.sin(a) * r + n[2] * h;
+  return [x, y, z];
+}
+
+function clampOrbit(v, min, max) {
+  return Math.min(Math.max(v, min), max);
+}
+
+function randomRange(world, min, max) {
+  return world.random() * (max - min) + min;
+}
+
+function randomUnitVec3(world) {
+  // Marsaglia method
+  const u = randomRange(world, -1, 1);
+  const theta = randomRange(world, 0, Math.PI * 2);
+  const s = Math.sqrt(1 - u * u);
+  return [s * Math.cos(theta), u, s * Math.sin(theta)];
+}
+
+function randomBrightColor(world) {
+  // Pastel-ish palette: moderate saturation, high value
+  const h = world.random();
+  const s = 0.35 + world.random() * 0.2; // 0.35–0.55
+  const v = 0.88 + world.random() * 0.12; // 0.88–1.0
+  const toRgb = (h, s, v) => {
+    const i = Math.floor(h * 6);
+    const f = h * 6 - i;
+    const p = v * (1 - s);
+    const q = v * (1 - f * s);
+    const t = v * (1 - (1 - f) * s);
+    const mod = i % 6;
+    const rgb =
+      mod === 0 ? [v, t, p] :
+      mod === 1 ? [q, v, p] :
+      mod === 2 ? [p, v, t] :
+      mod === 3 ? [p, q, v] :
+      mod === 4 ? [t, p, v] :
+      [v, p, q];
+    return rgb;
+  };
+  return toRgb(h, s, v);
+}
+
+// Targets are drawn a little inside the orb's band so the wobble has room before the clamp.
+// Narrow bands fall back to their middle; the draw still happens to keep the stream aligned.
+function sampleInBand(world, min, max, insetLow, insetHigh) {
+  const t = world.random();
+  const lo = min + insetLow;
+  const hi = max - insetHigh;
+  return lo < hi ? lo + t * (hi - lo) : (min + max) * 0.5;
+}
+
+function sampleOrbitRadius(world, orbState) {
+  return sampleInBand(world, orbState.radiusMin, orbState.radiusMax, 0.1, 0.1);
+}
+
+function sampleOrbitHeight(world, orbState) {
+  // Extra headroom on top for the upward lift added to new segments
+  return sampleInBand(world, orbState.heightMin, orbState.heightMax, 0.03, 0.13);
+}
+
+function lerpVec3(out, a, b, t) {
+  out[0] = a[0] + (b[0] - a[0]) * t;
+  out[1] = a[1] + (b[1] - a[1]) * t;
+  out[2] = a[2] + (b[2] - a[2]) * t;
+  return out;
+}
+
+function smoothstep01(t) {
+  return t * t * (3 - 2 * t);
+}
+
+// Blend two points around the planet: direction and distance separately, so the path
+// between far-apart points stays on the shell instead of cutting through the planet.
+function blendOnShell(a, b, t) {
+  const ra = length(a);
+  const rb = length(b);
+  const dir = lerpVec3([0, 0, 0], a, b, t);
+  const len = length(dir);
+  if (len < 1e-6) return t < 0.5 ? a.slice() : b.slice();
+  const r = ra + (rb - ra) * t;
+  return [(dir[0] / len) * r, (dir[1] / len) * r, (dir[2] / len) * r];
+}
+
+function normalizeVec3(v) {
+  const len = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]) || 1;
+  v[0] /= len;
+  v[1] /= len;
+  v[2] /= len;
+  return v;
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+// Math.hypot is several times slower, and this runs per orb every tick
+function length(v) {
+  return Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+}
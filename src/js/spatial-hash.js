@@ -0,0 +1,142 @@
+// spatial-hash.js
+// Uniform-grid broadphase for points in 3D. Each rebuild fits a dense grid to the points'
+// bounding box and counting-sorts the item ids by cell, so the ids of one cell sit next to each
+// other and the three cells of a neighbourhood row along z form one contiguous run.
+
+const MAX_CELLS = 1 << 18; // beyond this the cells grow instead (far-flung orbital orbs)
+
+export function createSpatialHash(cellSize) {
+  return {
+    cellSize,
+    cell: cellSize, // size the last rebuild used; larger than cellSize only for huge extents
+    coords: null, // packed x, y, z per item, as passed to the last rebuild
+    count: 0,
+    dims: [0, 0, 0],
+    // Ids of cell c are items[cellStart[c]] .. items[cellStart[c + 1] - 1], in ascending order
+    cellStart: new Int32Array(1),
+    items: new Int32Array(0),
+    checks: 0, // candidate pairs distance-tested since the last rebuild
+  };
+}
+
+// Rebuild the grid from the first `count` points of `coords`, packed x, y, z per item; item ids
+// are point indices. The grid keeps `coords` and reads it again in forEachPairWithin.
+export function rebuildSpatialHash(hash, coords, count) {
+  hash.coords = coords;
+  hash.count = count;
+  hash.checks = 0;
+  let minX = Infinity;
+  let minY = Infinity;
+  let minZ = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  let maxZ = -Infinity;
+  for (let p = 0; p < count * 3; p += 3) {
+    minX = Math.min(minX, coords[p]);
+    maxX = Math.max(maxX, coords[p]);
+    minY = Math.min(minY, coords[p + 1]);
+    maxY = Math.max(maxY, coords[p + 1]);
+    minZ = Math.min(minZ, coords[p + 2]);
+    maxZ = Math.max(maxZ, coords[p + 2]);
+  }
+  if (!count) {
+    hash.dims = [0, 0, 0];
+    return;
+  }
+  let cell = hash.cellSize;
+  let inv = 1 / cell;
+  let nx = Math.floor((maxX - minX) * inv) + 1;
+  let ny = Math.floor((maxY - minY) * inv) + 1;
+  let nz = Math.floor((maxZ - minZ) * inv) + 1;
+  while (nx * ny * nz > MAX_CELLS) {
+    cell *= 2;
+    inv = 1 / cell;
+    nx = Math.floor((maxX - minX) * inv) + 1;
+    ny = Math.floor((maxY - minY) * inv) + 1;
+    nz = Math.floor((maxZ - minZ) * inv) + 1;
+  }
+  hash.cell = cell;
+  hash.dims = [nx, ny, nz];
+
+  const total = nx * ny * nz;
+  if (hash.cellStart.length < total + 1) hash.cellStart = new Int32Array((total + 1) * 2);
+  if (hash.items.length < count) hash.items = new Int32Array(count * 2);
+  const start = hash.cellStart;
+  const items = hash.items;
+  start.fill(0, 0, total + 1);
+  // Count per cell (shifted by one), then prefix sums give each cell's first slot
+  for (let i = 0; i < count; i++) start[cellIndex(hash, minX, minY, minZ, inv, i) + 1]++;
+  for (let c = 0; c < total; c++) start[c + 1] += start[c];
+  // Placing advances each cell's start to its end; shifting by one puts the starts back
+  for (let i = 0; i < count; i++) items[start[cellIndex(hash, minX, minY, minZ, inv, i)]++] = i;
+  for (let c = total; c > 0; c--) start[c] = start[c - 1];
+  start[0] = 0;
+}
+
+function cellIndex(hash, minX, minY, minZ, inv, i) {
+  const [, ny, nz] = hash.dims;
+  const p = hash.coords;
+  const ix = Math.floor((p[i * 3] - minX) * inv);
+  const iy = Math.floor((p[i * 3 + 1] - minY) * inv);
+  const iz = Math.floor((p[i * 3 + 2] - minZ) * inv);
+  return (ix * ny + iy) * nz + iz;
+}
+
+// Visit every pair closer than `radius` (which must not exceed the cell size) once, as
+// fn(i, j, dist). Pairs come cell by cell, each cell against itself and the 13 neighbours
+// ahead of it, so the order depends only on where the items are and a seeded run repeats
+// exactly. Coordinates are read as they are now, so a pass may move items it already visited.
+export function forEachPairWithin(hash, radius, fn) {
+  const [nx, ny, nz] = hash.dims;
+  const start = hash.cellStart;
+  const r2 = radius * radius;
+  let checks = 0;
+  for (let x = 0; x < nx; x++) {
+    for (let y = 0; y < ny; y++) {
+      for (let z = 0; z < nz; z++) {
+        const c = (x * ny + y) * nz + z;
+        const end = start[c + 1];
+        for (let m = start[c]; m < end; m++) {
+          const i = hash.items[m];
+          // Rest of this cell, then the next cell along z
+          checks += scanRun(hash, i, m + 1, z + 1 < nz ? start[c + 2] : end, r2, fn);
+          // Rows ahead: (x, y + 1) and (x + 1, y - 1 .. y + 1), each spanning z - 1 .. z + 1
+          if (y + 1 < ny) checks += scanRow(hash, i, c + nz, z, r2, fn);
+          if (x + 1 < nx) {
+            const row = c + ny * nz;
+            if (y > 0) checks += scanRow(hash, i, row - nz, z, r2, fn);
+            checks += scanRow(hash, i, row, z, r2, fn);
+            if (y + 1 < ny) checks += scanRow(hash, i, row + nz, z, r2, fn);
+          }
+        }
+      }
+    }
+  }
+  hash.checks += checks;
+}
+
+// The cells z - 1 .. z + 1 around cell `c` of a row, clipped to the grid, as one run.
+function scanRow(hash, i, c, z, r2, fn) {
+  const nz = hash.dims[2];
+  const from = hash.cellStart[z > 0 ? c - 1 : c];
+  const to = hash.cellStart[z + 1 < nz ? c + 2 : c + 1];
+  return scanRun(hash, i, from, to, r2, fn);
+}
+
+// Test item i against items[from .. to - 1]; returns how many candidates it looked at.
+function scanRun(hash, i, from, to, r2, fn) {
+  const p = hash.coords;
+  const items = hash.items;
+  const ax = p[i * 3];
+  const ay = p[i * 3 + 1];
+  const az = p[i * 3 + 2];
+  for (let k = from; k < to; k++) {
+    const j = items[k];
+    const dx = p[j * 3] - ax;
+    const dy = p[j * 3 + 1] - ay;
+    const dz = p[j * 3 + 2] - az;
+    const d2 = dx * dx + dy * dy + dz * dz;
+    if (d2 < r2) fn(i, j, Math.sqrt(d2));
+  }
+  return to - from;
+}
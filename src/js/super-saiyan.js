@@ -0,0 +1,163 @@
+// super-saiyan.js
+// Transformation levels for orbs and the per-orb state machine that moves between them.
+// Going up a level runs a timed power-up (the orb holds still while its aura swells and
+// flashes); going down is immediate. simulation.js applies the modifiers each tick.
+
+// Index 0 is the untransformed orb; its collision numbers are the original plain-orb bounce.
+export const SUPER_LEVELS = [
+  {
+    id: "base",
+    name: "Base",
+    aura: null, // null = the orb's own color
+    core: null,
+    trail: null,
+    sizeScale: 1,
+    minSpeed: 0, // rad/s floor on the flight speed; 0 leaves the orb's own speed range alone
+    trailWidth: 1,
+    collisionPush: 0.05, // orbit-radius push when this orb outranks the one it hits
+    collisionImpulse: 0.2, // angle kick, taken from the stronger orb
+    burstSize: 0.22,
+    powerUpTime: 0,
+  },
+  {
+    id: "ssj",
+    name: "Super Saiyan",
+    aura: [1.0, 0.88, 0.4], // golden aura
+    core: [0.65, 0.88, 1.0], // light blue core
+    trail: [1.0, 0.88, 0.45],
+    sizeScale: 1.15,
+    minSpeed: 1.6,
+    trailWidth: 1.2,
+    collisionPush: 0.12,
+    collisionImpulse: 0.65,
+    burstSize: 0.28,
+    powerUpTime: 1.2,
+  },
+  {
+    id: "ssj2",
+    name: "Super Saiyan 2",
+    aura: [1.0, 0.95, 0.55],
+    core: [0.8, 0.95, 1.0],
+    trail: [1.0, 0.96, 0.6],
+    sizeScale: 1.3,
+    minSpeed: 2.0,
+    trailWidth: 1.45,
+    collisionPush: 0.16,
+    collisionImpulse: 0.8,
+    burstSize: 0.32,
+    powerUpTime: 1.6,
+  },
+  {
+    id: "ssj3",
+    name: "Super Saiyan 3",
+    aura: [1.0, 0.76, 0.18],
+    core: [1.0, 0.98, 0.85],
+    trail: [1.0, 0.8, 0.3],
+    sizeScale: 1.5,
+    minSpeed: 2.4,
+    trailWidth: 1.75,
+    collisionPush: 0.2,
+    collisionImpulse: 1.0,
+    burstSize: 0.36,
+    powerUpTime: 2.4,
+  },
+];
+
+const POWER_UP_SWELL = 0.6; // extra aura size at the middle of a power-up
+const POWER_UP_FLASH_HZ = 7;
+
+export function createTransformState() {
+  return {
+    level: 0,
+    target: 0,
+    poweringUp: false,
+    timer: 0, // seconds into the current power-up
+    revertAfter: 0, // applied once the target level is reached
+    revertTimer: 0, // seconds left at this level; 0 = stay
+  };
+}
+
+export function clampLevel(level) {
+  const n = Math.round(Number(level));
+  return Number.isFinite(n) ? Math.max(0, Math.min(SUPER_LEVELS.length - 1, n)) : 0;
+}
+
+// Ask for a level. Higher levels start a power-up; the same or lower level applies at once.
+// revertAfter > 0 drops the orb back to base that many seconds after it reaches the level.
+export function requestLevel(state, level, revertAfter = 0) {
+  const next = clampLevel(level);
+  const hold = Number.isFinite(revertAfter) && revertAfter > 0 ? revertAfter : 0;
+  if (next > state.level) {
+    if (!state.poweringUp || state.target !== next) state.timer = 0;
+    state.target = next;
+    state.poweringUp = true;
+    state.revertAfter = hold;
+    state.revertTimer = 0;
+    return;
+  }
+  state.level = state.target = next;
+  state.poweringUp = false;
+  state.timer = 0;
+  state.revertTimer = next > 0 ? hold : 0;
+}
+
+// Advance one tick. Returns "reached" when a power-up completes, "reverted" on auto-revert.
+export function stepTransform(state, dt) {
+  if (state.poweringUp) {
+    state.timer += dt;
+    if (state.timer < SUPER_LEVELS[state.target].powerUpTime) return null;
+    state.level = state.target;
+    state.poweringUp = false;
+    state.timer = 0;
+    state.revertTimer = state.revertAfter;
+    return "reached";
+  }
+  if (state.revertTimer > 0) {
+    state.revertTimer -= dt;
+    if (state.revertTimer <= 0) {
+      state.revertTimer = 0;
+      state.level = state.target = 0;
+      return "reverted";
+    }
+  }
+  return null;
+}
+
+// 0..1 through the current power-up (0 when not powering up).
+export function powerUpProgress(state) {
+  if (!state.poweringUp) return 0;
+  return Math.min(1, state.timer / SUPER_LEVELS[state.target].powerUpTime);
+}
+
+function mix(a, b, t) {
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+}
+
+// Colors, size and trail style for an orb whose own color is baseColor. During a power-up the
+// look moves from the current level to the target while the aura swells and strobes white.
+export function transformLook(state, baseColor) {
+  const from = SUPER_LEVELS[state.level];
+  const looks = (lvl) => ({
+    outer: lvl.aura || baseColor,
+    inner: lvl.core || baseColor,
+    trail: lvl.trail || baseColor,
+  });
+  const a = looks(from);
+  if (!state.poweringUp) {
+    return { ...a, sizeScale: from.sizeScale, trailWidth: from.trailWidth };
+  }
+
+  const to = SUPER_LEVELS[state.target];
+  const b = looks(to);
+  const t = powerUpProgress(state);
+  const flash = 0.5 + 0.5 * Math.sin(state.timer * POWER_UP_FLASH_HZ * Math.PI * 2);
+  const white = flash * (1 - t * 0.5) * 0.7;
+  const swell = 1 + POWER_UP_SWELL * Math.sin(t * Math.PI) * (0.85 + 0.15 * flash);
+  return {
+    outer: mix(mix(a.outer, b.outer, t), [1, 1, 1], white),
+    inner: mix(mix(a.inner, b.inner, t), [1, 1, 1], white * 0.5),
+    trail: mix(a.trail, b.trail, t),
+    sizeScale: (from.sizeScale + (to.sizeScale - from.sizeScale) * t) * swell,
+    trailWidth: from.trailWidth + (to.trailWidth - from.trailWidth) * t,
+  };
+}
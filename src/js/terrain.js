@@ -0,0 +1,82 @@
+// terrain.js
+// Optional procedural terrain for the planet: rolling hills from noise.simplex3 plus a few
+// round craters with raised rims, as a height above the base radius 1.0 measured along the
+// planet normal (the direction gravity pulls). Directions are planet-local unit vectors.
+// Pure math on plain arrays, so the renderer, the character and the orb simulation share it.
+
+import noise from "./noise.js";
+
+export const BASE_RADIUS = 1.0;
+
+const RIM_HEIGHT = 0.35; // crater rim, as a fraction of the crater depth
+const RIM_WIDTH = 0.25; // rim falloff, as a fraction of the crater radius
+
+// `spec` is a normalized layout terrain ({ amplitude, frequency, octaves, craters,
+// craterRadius, craterDepth }); `random` places the craters. The hills follow the noise
+// tables, so they change with the scene seed like everything else.
+export function createTerrain(spec, random) {
+  const craters = [];
+  for (let i = 0; i < spec.craters; i++) {
+    const y = random() * 2 - 1;
+    const a = random() * Math.PI * 2;
+    const s = Math.sqrt(1 - y * y);
+    craters.push({
+      center: [s * Math.cos(a), y, s * Math.sin(a)],
+      radius: spec.craterRadius * (0.5 + 0.5 * random()),
+      depth: spec.craterDepth * (0.6 + 0.4 * random()),
+    });
+  }
+  let octaveNorm = 0;
+  for (let o = 0; o < spec.octaves; o++) octaveNorm += Math.pow(0.5, o);
+  return {
+    amplitude: spec.amplitude,
+    frequency: spec.frequency,
+    octaves: spec.octaves,
+    octaveNorm: octaveNorm || 1,
+    craters,
+  };
+}
+
+// Height above BASE_RADIUS along the unit direction `dir`; 0 everywhere without terrain.
+export function terrainHeight(terrain, dir) {
+  if (!terrain) return 0;
+  let hills = 0;
+  let amp = 1;
+  let freq = terrain.frequency;
+  for (let o = 0; o < terrain.octaves; o++) {
+    // Offset each octave so they do not share a zero at the origin
+    hills += amp * noise.simplex3(dir[0] * freq + o * 17.1, dir[1] * freq + o * 5.3, dir[2] * freq - o * 11.7);
+    amp *= 0.5;
+    freq *= 2;
+  }
+  let h = (hills / terrain.octaveNorm) * terrain.amplitude;
+
+  for (const c of terrain.craters) {
+    const cos = dir[0] * c.center[0] + dir[1] * c.center[1] + dir[2] * c.center[2];
+    const x = Math.acos(Math.max(-1, Math.min(1, cos))) / c.radius; // 0 at the center, 1 at the rim
+    if (x > 1 + RIM_WIDTH * 3) continue;
+    // Smooth bowl inside, raised rim around the edge
+    const bowl = x < 1 ? (x * x - 1) * c.depth : 0;
+    const rim = c.depth * RIM_HEIGHT * Math.exp(-(((x - 1) / RIM_WIDTH) ** 2));
+    h += bowl + rim;
+  }
+  return h;
+}
+
+export function terrainHeightAt(terrain, lat, lon) {
+  const c = Math.cos(lat);
+  return terrainHeight(terrain, [c * Math.cos(lon), Math.sin(lat), c * Math.sin(lon)]);
+}
+
+// Distance from the planet center to the ground along `dir`.
+export function groundRadius(terrain, dir) {
+  return BASE_RADIUS + terrainHeight(terrain, dir);
+}
+
+// Upper bound on the height anywhere, for clearance checks.
+export function terrainMaxHeight(terrain) {
+  if (!terrain) return 0;
+  let rim = 0;
+  for (const c of terrain.craters) rim = Math.max(rim, c.depth * RIM_HEIGHT);
+  return terrain.amplitude + rim;
+}
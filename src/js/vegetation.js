@@ -0,0 +1,291 @@
+// vegetation.js
+// Procedural plants for the planet surface. Trunks, branches and crowns are lathed profiles
+// (latheProfile); palm fronds and grass blades are extruded outlines (extrudePositions). A
+// plant comes out as plain meshes in plant space, +Y up from its foot at the origin, one per
+// color, so the renderer only uploads and places them. Shapes draw from the `random` passed in:
+// the same generator state always grows the same plant.
+
+import noise from "./noise.js";
+import { latheProfile, extrudePositions, computeNormals } from "./geo-helpers.js";
+
+export const TREE_SPECIES = ["broccoli", "pine", "palm", "bush"];
+
+// Default colors per species; the layout's trunkColor and foliageColors replace broccoli's
+export const SPECIES_PALETTES = {
+  broccoli: { trunk: [0.94, 0.92, 0.88], foliage: [[0.11, 0.55, 0.11], [0.13, 0.6, 0.12], [0.1, 0.5, 0.1]] },
+  pine: { trunk: [0.45, 0.3, 0.18], foliage: [[0.07, 0.36, 0.16], [0.09, 0.42, 0.2]] },
+  palm: { trunk: [0.62, 0.5, 0.32], foliage: [[0.2, 0.62, 0.16], [0.26, 0.7, 0.2]] },
+  bush: { trunk: [0.4, 0.3, 0.2], foliage: [[0.15, 0.5, 0.14], [0.2, 0.56, 0.16], [0.12, 0.45, 0.12]] },
+};
+
+const LATHE_STEPS = 10;
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function normalize(v) {
+  const len = Math.hypot(v[0], v[1], v[2]) || 1;
+  return [v[0] / len, v[1] / len, v[2] / len];
+}
+
+function between(random, min, max) {
+  return min + random() * (max - min);
+}
+
+// Unit vector `tilt` radians off +Y toward the azimuth `heading`.
+function leaning(tilt, heading) {
+  return [Math.sin(tilt) * Math.cos(heading), Math.cos(tilt), Math.sin(tilt) * Math.sin(heading)];
+}
+
+// Surface of revolution around +Y from [radius, height] points, bottom to top. The rings wrap,
+// so the seam shares its vertices and shades smoothly.
+function lathe(profile, steps = LATHE_STEPS) {
+  const positions = latheProfile(profile.map(([r, y]) => [r, y, 0]), steps, "y");
+  const n = profile.length;
+  const indices = [];
+  for (let i = 0; i < steps; i++) {
+    const next = (i + 1) % steps;
+    for (let j = 0; j < n - 1; j++) {
+      const a = i * n + j;
+      const c = next * n + j;
+      indices.push(a, c, a + 1, a + 1, c, c + 1);
+    }
+  }
+  return { positions, indices };
+}
+
+// Tapered cylinder from radius r0 at the foot to r1 at `length` up +Y.
+function limb(r0, r1, length) {
+  return lathe([[r0, 0], [(r0 + r1) * 0.5, length * 0.5], [r1, length]], 8);
+}
+
+// Ball of radius r around (0, r, 0), squashed vertically by `squash`.
+function blob(r, squash = 1, rows = 6) {
+  const profile = [];
+  for (let k = 0; k <= rows; k++) {
+    const a = -Math.PI / 2 + (k / rows) * Math.PI;
+    profile.push([r * Math.cos(a), r * squash * (Math.sin(a) + 1)]);
+  }
+  return lathe(profile);
+}
+
+// Flat strip along a centerline: the points extruded sideways by `width`, then pinched toward
+// the centerline by taper(t) (0 at the foot, 1 at the tip).
+function strip(centerline, width, taper) {
+  const n = centerline.length / 3;
+  const positions = extrudePositions(
+    centerline.map((v, i) => (i % 3 === 2 ? v - width / 2 : v)),
+    [0, 0, width]
+  );
+  for (let i = 0; i < n; i++) {
+    const keep = taper(i / (n - 1));
+    const a = i * 3;
+    const b = (i + n) * 3;
+    for (let k = 0; k < 3; k++) {
+      const mid = (positions[a + k] + positions[b + k]) * 0.5;
+      positions[a + k] = mid + (positions[a + k] - mid) * keep;
+      positions[b + k] = mid + (positions[b + k] - mid) * keep;
+    }
+  }
+  const indices = [];
+  for (let i = 0; i < n - 1; i++) indices.push(i, i + n, i + 1, i + 1, i + n, i + n + 1);
+  return { positions, indices };
+}
+
+// Copy of a mesh turned so its +Y runs along `axis`, spun `spin` radians around it, then moved
+// to `origin`.
+function place(mesh, origin, axis = [0, 1, 0], spin = 0) {
+  const up = normalize(axis);
+  const ref = Math.abs(up[1]) > 0.9 ? [1, 0, 0] : [0, 1, 0];
+  const forward0 = normalize(cross(ref, up));
+  const right0 = cross(up, forward0);
+  const c = Math.cos(spin);
+  const s = Math.sin(spin);
+  const right = [0, 1, 2].map((k) => right0[k] * c - forward0[k] * s);
+  const forward = [0, 1, 2].map((k) => right0[k] * s + forward0[k] * c);
+  const positions = [];
+  const p = mesh.positions;
+  for (let i = 0; i < p.length; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      positions.push(origin[k] + right[k] * p[i] + up[k] * p[i + 1] + forward[k] * p[i + 2]);
+    }
+  }
+  return { positions, indices: mesh.indices };
+}
+
+// Collects pieces into one mesh per color.
+function createPlantBuilder(palette) {
+  const byColor = new Map();
+  let top = 0;
+  let reach = 0;
+  return {
+    add(color, mesh) {
+      let part = byColor.get(color);
+      if (!part) byColor.set(color, (part = { positions: [], indices: [], color }));
+      const base = part.positions.length / 3;
+      for (const v of mesh.positions) part.positions.push(v);
+      for (const i of mesh.indices) part.indices.push(base + i);
+      for (let i = 0; i < mesh.positions.length; i += 3) {
+        top = Math.max(top, mesh.positions[i + 1]);
+        reach = Math.max(reach, Math.hypot(mesh.positions[i], mesh.positions[i + 2]));
+      }
+    },
+    trunk: palette.trunk,
+    foliage: (i) => palette.foliage[i % palette.foliage.length],
+    finish(trunkRadius) {
+      const parts = [...byColor.values()].map((part) => ({
+        ...part,
+        normals: computeNormals(part.positions, part.indices),
+      }));
+      return { parts, height: top, crownRadius: reach, trunkRadius };
+    },
+  };
+}
+
+// Short pale trunk forking into a few branches, each ending in a round crown.
+function growBroccoli(plant, random) {
+  const trunkHeight = between(random, 0.14, 0.18);
+  const trunkRadius = between(random, 0.028, 0.034);
+  plant.add(plant.trunk, lathe([[trunkRadius, 0], [trunkRadius * 0.8, trunkHeight * 0.6], [trunkRadius * 0.7, trunkHeight]]));
+  plant.add(plant.foliage(0), place(blob(between(random, 0.08, 0.095), 0.9), [0, trunkHeight * 0.85, 0]));
+
+  const branches = 2 + Math.floor(random() * 3);
+  const start = random() * Math.PI * 2;
+  for (let i = 0; i < branches; i++) {
+    const heading = start + (i / branches) * Math.PI * 2 + between(random, -0.4, 0.4);
+    const dir = leaning(between(random, 0.6, 1.0), heading);
+    const length = between(random, 0.05, 0.08);
+    const root = [0, trunkHeight * between(random, 0.55, 0.9), 0];
+    plant.add(plant.trunk, place(limb(0.014, 0.008, length), root, dir));
+    const tip = [0, 1, 2].map((k) => root[k] + dir[k] * length);
+    const r = between(random, 0.045, 0.06);
+    plant.add(plant.foliage(i + 1), place(blob(r), [tip[0], tip[1] - r * 0.6, tip[2]]));
+  }
+  return plant.finish(trunkRadius);
+}
+
+// Tall thin trunk under stacked cones that narrow toward the top.
+function growPine(plant, random) {
+  const trunkHeight = between(random, 0.3, 0.38);
+  const trunkRadius = between(random, 0.018, 0.024);
+  plant.add(plant.trunk, limb(trunkRadius, trunkRadius * 0.4, trunkHeight));
+
+  const tiers = 3 + Math.floor(random() * 3);
+  for (let k = 0; k < tiers; k++) {
+    const f = k / tiers;
+    const y = trunkHeight * (0.25 + 0.65 * f);
+    const radius = (0.11 - 0.065 * f) * between(random, 0.85, 1.15);
+    const height = between(random, 0.1, 0.13) * (1 - 0.3 * f);
+    const cone = lathe([[0, 0], [radius, 0.012], [radius * 0.45, height * 0.55], [0, height]]);
+    const lean = leaning(between(random, 0, 0.08), random() * Math.PI * 2);
+    plant.add(plant.foliage(k), place(cone, [0, y, 0], lean, random() * Math.PI));
+  }
+  return plant.finish(trunkRadius);
+}
+
+// Trunk curving off to one side in segments, topped by a fan of drooping fronds.
+function growPalm(plant, random) {
+  const segments = 5;
+  const segmentLength = between(random, 0.055, 0.07);
+  const heading = random() * Math.PI * 2;
+  const bend = between(random, 0.05, 0.12); // extra lean per segment
+  const trunkRadius = 0.026;
+  let origin = [0, 0, 0];
+  let dir = [0, 1, 0];
+  for (let i = 0; i < segments; i++) {
+    dir = leaning(bend * (i + 1), heading);
+    const r0 = trunkRadius * (1 - 0.08 * i);
+    plant.add(plant.trunk, place(limb(r0, r0 * 0.92, segmentLength * 1.05), origin, dir));
+    origin = [0, 1, 2].map((k) => origin[k] + dir[k] * segmentLength);
+  }
+
+  const fronds = 5 + Math.floor(random() * 4);
+  const start = random() * Math.PI * 2;
+  for (let i = 0; i < fronds; i++) {
+    const length = between(random, 0.13, 0.18);
+    const rise = between(random, 0.03, 0.06);
+    const droop = between(random, 0.08, 0.13);
+    const centerline = [];
+    const n = 7;
+    for (let j = 0; j < n; j++) {
+      const t = j / (n - 1);
+      centerline.push(length * t, rise * t - droop * t * t, 0);
+    }
+    const frond = strip(centerline, between(random, 0.045, 0.06), (t) => Math.sin(Math.PI * (0.15 + 0.85 * t)));
+    const spin = start + (i / fronds) * Math.PI * 2 + between(random, -0.2, 0.2);
+    plant.add(plant.foliage(i), place(frond, origin, [0, 1, 0], spin));
+  }
+  return plant.finish(trunkRadius);
+}
+
+// Low cluster of overlapping crowns on short stems.
+function growBush(plant, random) {
+  const clumps = 4 + Math.floor(random() * 4);
+  for (let i = 0; i < clumps; i++) {
+    const heading = random() * Math.PI * 2;
+    const spread = between(random, 0, 0.07);
+    const r = between(random, 0.04, 0.065);
+    const center = [Math.cos(heading) * spread, between(random, 0, 0.04), Math.sin(heading) * spread];
+    const stem = [center[0], center[1] + r * 0.5, center[2]];
+    plant.add(plant.trunk, place(limb(0.008, 0.005, Math.hypot(...stem)), [0, 0, 0], stem));
+    plant.add(plant.foliage(i), place(blob(r, 0.8), center));
+  }
+  const shape = plant.finish(0);
+  shape.trunkRadius = shape.crownRadius * 0.6; // the whole bush blocks the way
+  return shape;
+}
+
+const GROWERS = { broccoli: growBroccoli, pine: growPine, palm: growPalm, bush: growBush };
+
+// Meshes for one plant of `species`: { parts: [{ positions, normals, indices, color }], height,
+// crownRadius, trunkRadius }. `palette` is { trunk, foliage: [rgb, ...] }.
+export function buildPlant(species, random, palette = SPECIES_PALETTES[species]) {
+  return GROWERS[species](createPlantBuilder(palette), random);
+}
+
+// A species drawn by weight ({ broccoli: 3, pine: 1, ... }); broccoli when every weight is 0.
+export function pickSpecies(weights, random) {
+  const total = TREE_SPECIES.reduce((sum, s) => sum + (weights[s] || 0), 0);
+  let roll = random() * total;
+  for (const s of TREE_SPECIES) {
+    roll -= weights[s] || 0;
+    if (roll < 0) return s;
+  }
+  return TREE_SPECIES[0];
+}
+
+// One grass tuft: a handful of blades leaning out from the root, bent by their own weight.
+// Unit height; instances scale it.
+export function buildGrassTuft(random, blades = 6) {
+  const positions = [];
+  const indices = [];
+  for (let b = 0; b < blades; b++) {
+    const height = between(random, 0.7, 1);
+    const lean = between(random, 0.1, 0.35);
+    const centerline = [];
+    const n = 4;
+    for (let j = 0; j < n; j++) {
+      const t = j / (n - 1);
+      centerline.push(lean * t * t * height, height * t, 0);
+    }
+    const blade = place(
+      strip(centerline, between(random, 0.08, 0.12), (t) => 1 - t),
+      [between(random, -0.08, 0.08), 0, between(random, -0.08, 0.08)],
+      [0, 1, 0],
+      (b / blades) * Math.PI * 2 + between(random, -0.3, 0.3)
+    );
+    const base = positions.length / 3;
+    positions.push(...blade.positions);
+    for (const i of blade.indices) indices.push(base + i);
+  }
+  return { positions, indices, normals: computeNormals(positions, indices) };
+}
+
+// Share of grass (0..1) at the planet-local unit direction `dir`: patches from noise.simplex3
+// at the layout's frequency, covering about `coverage` of the planet.
+export function grassDensity(rules, dir) {
+  const f = rules.frequency;
+  const n = noise.simplex3(dir[0] * f + 31.7, dir[1] * f - 12.1, dir[2] * f + 4.3) * 0.5 + 0.5;
+  return Math.max(0, Math.min(1, (n - (1 - rules.coverage)) * 4));
+}
@@ -0,0 +1,30 @@
+// wind.js
+// Global wind over the planet: a speed and a heading set from the UI, plus gusts from
+// noise.simplex3 over time that raise and drop the strength and swing the heading a little.
+// Only the renderer reads it (trees and grass sway in their vertex shaders); the simulation
+// does not, so wind never changes where anything ends up.
+
+import noise from "./noise.js";
+
+export const MAX_WIND_SPEED = 1;
+
+const GUST_RATE = 0.35; // noise units per second: a gust builds and fades over a few seconds
+const GUST_STRENGTH = 0.6; // share of the speed a gust adds or takes away
+const GUST_SWING = 0.35; // radians the heading wanders
+
+// `speed` runs from 0 (calm) to MAX_WIND_SPEED; `direction` is the heading the wind blows
+// toward, in radians on the ground from east (0) toward north.
+export function createWind(speed = 0.3, direction = 0) {
+  return { speed, direction };
+}
+
+// The wind blowing at `time` seconds: { strength, direction }, strength 0 when calm.
+export function sampleWind(wind, time) {
+  const t = time * GUST_RATE;
+  const gust = noise.simplex3(t, 0.5, 17.3);
+  const swing = noise.simplex3(t * 0.5, 41.7, 3.1);
+  return {
+    strength: Math.max(0, wind.speed * (1 + GUST_STRENGTH * gust)),
+    direction: wind.direction + GUST_SWING * swing,
+  };
+}
@@ -0,0 +1,70 @@
+// Headless runs of the GL-free world (src/js/simulation.js): long runs stay finite and a seed
+// always plays out the same way.
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createWorld,
+  seedWorld,
+  stepWorld,
+  serializeWorld,
+  setWorldOrbPhysicsMode,
+  setWorldOrbGravity,
+  setWorldGroupBehavior,
+  currentOrbiterPosition,
+} from "../src/js/simulation.js";
+
+const DT = 1 / 120;
+
+// A world with some of everything: erratic and orbital orbs, orb-to-orb gravity, a flock.
+function createTestWorld(seed) {
+  const world = createWorld({ orbCount: 12, seed });
+  seedWorld(world);
+  for (const orb of world.orbs.slice(0, 4)) setWorldOrbPhysicsMode(world, orb.id, "orbital");
+  setWorldOrbGravity(world, true);
+  setWorldGroupBehavior(world, { mode: "flock" });
+  return world;
+}
+
+function runWorld(seed, seconds) {
+  const world = createTestWorld(seed);
+  for (let i = 0; i < seconds / DT; i++) stepWorld(world, DT);
+  return world;
+}
+
+function isFiniteDeep(value) {
+  if (typeof value === "number") return Number.isFinite(value);
+  if (Array.isArray(value)) return value.every(isFiniteDeep);
+  if (value && typeof value === "object") return Object.values(value).every(isFiniteDeep);
+  return true;
+}
+
+test("a long run keeps every orb finite and off the planet", () => {
+  const world = runWorld(1, 120);
+  assert.equal(world.orbs.length, 12);
+  assert.ok(isFiniteDeep(serializeWorld(world)));
+  for (const orb of world.orbs) {
+    const p = currentOrbiterPosition(orb);
+    assert.ok(Math.hypot(p[0], p[1], p[2]) > 1, `orb ${orb.id} inside the planet`);
+  }
+});
+
+test("the same seed plays out the same way", () => {
+  const a = serializeWorld(runWorld(7, 30));
+  const b = serializeWorld(runWorld(7, 30));
+  assert.deepEqual(a, b);
+  assert.notDeepEqual(serializeWorld(runWorld(8, 30)), a);
+});
+
+test("worlds in one process do not share a generator", () => {
+  const alone = serializeWorld(runWorld(3, 10));
+  // Interleave two worlds with the same seed; each must match the one run by itself
+  const a = createTestWorld(3);
+  const b = createTestWorld(3);
+  for (let i = 0; i < 10 / DT; i++) {
+    stepWorld(a, DT);
+    stepWorld(b, DT);
+  }
+  assert.deepEqual(serializeWorld(a), alone);
+  assert.deepEqual(serializeWorld(b), alone);
+});
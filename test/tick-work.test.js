@@ -0,0 +1,75 @@
+// Work per tick at MAX_ORBS, counted rather than timed so the result does not depend on the
+// machine: the broadphase grids must test a bounded number of candidate pairs per orb, and
+// orb-to-orb gravity must visit each pair exactly once. Drawing needs WebGL, which Node lacks,
+// so render cost is out of scope here; check it in a browser.
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  MAX_ORBS,
+  createWorld,
+  seedWorld,
+  stepWorld,
+  savedOrbsProblem,
+  serializeWorld,
+  setWorldOrbPhysicsMode,
+  setWorldOrbGravity,
+  setWorldGroupBehavior,
+} from "../src/js/simulation.js";
+
+const DT = 1 / 120;
+// Settled 1000-orb worlds test 55–145 candidate pairs per orb per tick; an all-pairs pass
+// would test about 500.
+const PAIR_CHECKS_PER_ORB = 200;
+
+// Most pair checks and gravity pairs in one tick over `ticks` ticks, after five simulated
+// seconds so the orbs have gathered into the clusters a running scene shows.
+function peakTickWork(world, ticks = 60) {
+  for (let i = 0; i < 5 / DT; i++) stepWorld(world, DT);
+  let pairChecks = 0;
+  let gravityPairs = 0;
+  for (let i = 0; i < ticks; i++) {
+    stepWorld(world, DT);
+    pairChecks = Math.max(pairChecks, world.stats.pairChecks);
+    gravityPairs = Math.max(gravityPairs, world.stats.gravityPairs);
+  }
+  return { pairChecks, gravityPairs };
+}
+
+function createFullWorld(setup) {
+  const world = createWorld({ orbCount: MAX_ORBS, seed: 1 });
+  seedWorld(world);
+  setup(world);
+  assert.equal(world.orbs.length, MAX_ORBS);
+  return world;
+}
+
+for (const [name, setup] of [
+  ["erratic orbs", () => {}],
+  ["flocking orbs", (world) => setWorldGroupBehavior(world, { mode: "flock" })],
+  ["orbs in a ring", (world) => setWorldGroupBehavior(world, { mode: "ring" })],
+]) {
+  test(`${name} at MAX_ORBS test a bounded number of pairs per tick`, () => {
+    const { pairChecks, gravityPairs } = peakTickWork(createFullWorld(setup));
+    assert.ok(pairChecks <= PAIR_CHECKS_PER_ORB * MAX_ORBS, `${pairChecks} pair checks`);
+    assert.equal(gravityPairs, 0);
+  });
+}
+
+test("orbital orbs with orb-to-orb gravity at MAX_ORBS visit each gravity pair once", () => {
+  const world = createFullWorld((w) => {
+    for (const orb of w.orbs) setWorldOrbPhysicsMode(w, orb.id, "orbital");
+    setWorldOrbGravity(w, true);
+  });
+  const { pairChecks, gravityPairs } = peakTickWork(world);
+  assert.ok(pairChecks <= PAIR_CHECKS_PER_ORB * MAX_ORBS, `${pairChecks} pair checks`);
+  // One pass per tick: the leapfrog's first kick reuses the last tick's accelerations
+  assert.equal(gravityPairs, (MAX_ORBS * (MAX_ORBS - 1)) / 2);
+});
+
+test("saved orbs beyond MAX_ORBS are rejected", () => {
+  const { orbs } = serializeWorld(createFullWorld(() => {}));
+  assert.equal(savedOrbsProblem(orbs), null);
+  orbs.list.push(orbs.list[0]);
+  assert.match(savedOrbsProblem(orbs), /more than the 1000 allowed/);
+});